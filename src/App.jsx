@@ -1,47 +1,112 @@
-import React, { useEffect, useState, useMemo } from "react";
+import React, { useCallback, useEffect, useState, useMemo } from "react";
 import {
   LineChart,
+  ComposedChart,
   Line,
+  Area,
   CartesianGrid,
   XAxis,
   YAxis,
   Tooltip,
   Legend,
   Label,
+  ReferenceLine,
   ResponsiveContainer,
 } from "recharts";
 
-function triMF(x, a, b, c) {
-  if (b === a) {
-    if (x <= a) return 1;
-    if (x >= c) return 0;
-    return (c - x) / (c - a);
-  }
-  if (b === c) {
-    if (x <= a) return 0;
-    if (x >= c) return 1;
-    return (x - a) / (b - a);
-  }
-  if (x <= a) return 0;
-  if (x >= c) return 0;
-  if (x === b) return 1;
-  if (x > a && x < b) return (x - a) / (b - a);
-  if (x > b && x < c) return (c - x) / (c - b);
-  return 0;
-}
+import {
+  DEFAULT_MFS,
+  DEFAULT_VARIABLES,
+  OUTPUT_TERMS,
+  OUTPUT_CENTROIDS,
+  DEFAULT_OUTPUT_MFS,
+  INFERENCE_METHODS,
+  DEFUZZ_METHODS,
+  T_NORMS,
+  AGGREGATIONS,
+  IMPLICATIONS,
+  generateRuleBase,
+  createController,
+  stepSimulation,
+  DEFAULT_PLANT,
+  DEFAULT_TARIFF,
+  TARIFF_BANDS,
+  createAccount,
+  costBreakdown,
+  createRecordStep,
+  explainDecision,
+  DEFAULT_PROTECTION,
+  createProtectionState,
+  activeAlarms,
+  createRunEntry,
+  DEFAULT_SENSORS,
+  createSensorState,
+  createAccuracyState,
+  accuracyMetrics,
+  confidenceBand,
+} from "./engine/index.js";
+import RuleTable from "./components/RuleTable.jsx";
+import MFChart from "./components/MFChart.jsx";
+import MFEditor from "./components/MFEditor.jsx";
+import OutputSetChart from "./components/OutputSetChart.jsx";
+import OperatorSelect from "./components/OperatorSelect.jsx";
+import PredictorPanel from "./components/PredictorPanel.jsx";
+import SingletonEditor from "./components/SingletonEditor.jsx";
+import AnfisPanel from "./components/AnfisPanel.jsx";
+import OptimizerPanel from "./components/OptimizerPanel.jsx";
+import BatteryPanel from "./components/BatteryPanel.jsx";
+import ProfilePanel from "./components/ProfilePanel.jsx";
+import TariffEditor from "./components/TariffEditor.jsx";
+import ComparisonPanel from "./components/ComparisonPanel.jsx";
+import ComparisonChart from "./components/ComparisonChart.jsx";
+import BatchPanel from "./components/BatchPanel.jsx";
+import ControllerExchange from "./components/ControllerExchange.jsx";
+import RecordingPanel from "./components/RecordingPanel.jsx";
+import RuleInspector from "./components/RuleInspector.jsx";
+import ControlSurface from "./components/ControlSurface.jsx";
+import VariableEditor from "./components/VariableEditor.jsx";
+import ProtectionEditor from "./components/ProtectionEditor.jsx";
+import EventLog from "./components/EventLog.jsx";
+import ScenarioLibrary from "./components/ScenarioLibrary.jsx";
+import FaultPanel from "./components/FaultPanel.jsx";
+import SensorChart from "./components/SensorChart.jsx";
+import BankPanel from "./components/BankPanel.jsx";
+import AccuracyTable from "./components/AccuracyTable.jsx";
+import { STORES, putRecord } from "./utils/storage.js";
+
+// Маркери захисного шару на головному графіку
+const EVENT_MARKERS = {
+  trip: { color: "#dc2626", symbol: "▲" },
+  release: { color: "#16a34a", symbol: "▼" },
+};
 
-const defaultMFs = {
-  SOC: { Low: [0, 0, 60], Medium: [50, 75, 90], High: [80, 100, 100] },
-  SOH: { Degraded: [0, 0, 60], Normal: [50, 75, 90], Good: [80, 100, 100] },
-  Load: { Low: [0, 0, 40], Medium: [30, 50, 70], High: [60, 100, 100] },
-  Temperature: { Low: [0, 0, 20], Normal: [15, 30, 45], High: [40, 100, 100] },
+// Канал прогнозу -> поле точки графіка та його колір на графіку параметрів системи
+const FORECAST_LINES = {
+  SOC: { key: "SOC", color: "#ff7300" },
+  SOH: { key: "SOH", color: "#8b0000" },
+  Load: { key: "Load", color: "#0000ff" },
+  Temp: { key: "Temperature", color: "#ff0000" },
 };
 
-const SOC_TERMS = ["Low", "Medium", "High"];
-const SOH_TERMS = ["Degraded", "Normal", "Good"];
-const LOAD_TERMS = ["Low", "Medium", "High"];
-const TEMP_TERMS = ["Low", "Normal", "High"];
-const OUTPUT_CENTROIDS = { Low: 25, Medium: 50, High: 75 };
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// Режим нової сесії; він же — для сценаріїв, збережених без режиму
+const DEFAULT_MODE = "deep";
+
+// Прогноз з останнього кроку: k-те значення стоїть на k кроків після останньої точки (0 — на ній самій),
+// довірчий інтервал — пара [нижня, верхня] межа для Area
+function withForecast(series, band) {
+  const last = series[series.length - 1];
+  const horizon = Math.max(...Object.values(band).map((b) => b.length));
+  const extension = Array.from({ length: horizon }, (_, k) => ({ time: last.time + k }));
+  for (const [ch, { key }] of Object.entries(FORECAST_LINES)) {
+    band[ch]?.forEach((b, k) => {
+      extension[k][`${key}Forecast`] = round2(b.value);
+      if (b.lower !== null) extension[k][`${key}Band`] = [round2(b.lower), round2(b.upper)];
+    });
+  }
+  return [...series.slice(0, -1), { ...last, ...extension[0] }, ...extension.slice(1)];
+}
 
 function App() {
   const [soc, setSoc] = useState(50);
@@ -50,326 +115,322 @@ function App() {
   const [temp, setTemp] = useState(25);
   const [time, setTime] = useState(0);
   const [series, setSeries] = useState([]);
-  const [mode, setMode] = useState("deep");
+  const [mode, setMode] = useState(DEFAULT_MODE);
   const [running, setRunning] = useState(false);
   const [socHist, setSocHist] = useState([50]);
   const [sohHist, setSohHist] = useState([100]);
   const [loadHist, setLoadHist] = useState([50]);
   const [tempHist, setTempHist] = useState([25]);
-  const [mfDefs, setMfDefs] = useState(defaultMFs);
+  const [variables, setVariables] = useState(DEFAULT_VARIABLES);
+  const [mfDefs, setMfDefs] = useState(DEFAULT_MFS);
+  const [rules, setRules] = useState(generateRuleBase);
+  const [inferenceConfig, setInferenceConfig] = useState({
+    method: "sugeno",
+    defuzz: "centroid",
+    tNorm: "min",
+    aggregation: "sum",
+    implication: "min",
+  });
+  const [outputMFs, setOutputMFs] = useState(DEFAULT_OUTPUT_MFS);
+  const [outputs, setOutputs] = useState({
+    CP: { ...OUTPUT_CENTROIDS },
+    GP: { ...OUTPUT_CENTROIDS },
+  });
+  const [lastInference, setLastInference] = useState(null);
+  const [forecaster, setForecaster] = useState(null);
   const [energySeries, setEnergySeries] = useState([]);
-  const [electricityRate, setElectricityRate] = useState(5);
-
-  const updateMF = (variable, term, index, value) => {
-    setMfDefs((prev) => ({
-      ...prev,
-      [variable]: {
-        ...prev[variable],
-        [term]: prev[variable][term].map((v, i) =>
-          i === index ? Number(value) : v
-        ),
-      },
-    }));
-  };
-
-  const fuzzifyInput = (name, x) => {
-    const defs = mfDefs[name];
-    const out = {};
-    Object.keys(defs).forEach((term) => {
-      const [a, b, c] = defs[term];
-      out[term] = triMF(x, a, b, c);
-    });
-    return out;
-  };
-
-  // Генерування правил залежно від mfDefs
-  const RULE_BASE = useMemo(() => {
-    const rules = [];
-    let id = 1;
-    for (let si = 0; si < SOC_TERMS.length; si++) {
-      for (let qi = 0; qi < SOH_TERMS.length; qi++) {
-        for (let li = 0; li < LOAD_TERMS.length; li++) {
-          for (let ti = 0; ti < TEMP_TERMS.length; ti++) {
-            const SOCterm = SOC_TERMS[si];
-            const SOHterm = SOH_TERMS[qi];
-            const LOADterm = LOAD_TERMS[li];
-            const TEMPterm = TEMP_TERMS[ti];
-
-            let CP = "Medium";
-            let GP = "Medium";
-
-            if (SOCterm === "Low") {
-              CP = "Low";
-              GP = "High";
-            } else if (SOCterm === "Medium") {
-              CP = "Medium";
-              GP = "Medium";
-            } else {
-              CP = "High";
-              GP = "Low";
-            }
-
-            if (SOHterm === "Degraded") {
-              if (CP === "High") CP = "Medium";
-              else if (CP === "Medium") CP = "Low";
-              if (GP === "Low") GP = "Medium";
-              else if (GP === "Medium") GP = "High";
-            }
-
-            if (LOADterm === "High") {
-              if (CP === "High") CP = "Medium";
-              else if (CP === "Medium") CP = "Low";
-              if (GP === "Low") GP = "Medium";
-              else if (GP === "Medium") GP = "High";
-            }
-
-            if (TEMPterm === "High") {
-              if (CP === "High") CP = "Medium";
-              else if (CP === "Medium") CP = "Low";
-              if (GP === "Low") GP = "Medium";
-              else if (GP === "Medium") GP = "High";
-            }
-
-            rules.push({
-              id: id++,
-              antecedent: { SOC: SOCterm, SOH: SOHterm, Load: LOADterm, Temp: TEMPterm },
-              consequent: { CP, GP },
-            });
-          }
-        }
-      }
-    }
-    return rules;
-  }, []);
-
-  const inferFuzzy = (SOC, SOH, Load, Temp) => {
-    const fSOC = fuzzifyInput("SOC", SOC);
-    const fSOH = fuzzifyInput("SOH", SOH);
-    const fLoad = fuzzifyInput("Load", Load);
-    const fTemp = fuzzifyInput("Temperature", Temp);
-
-    let cpNumer = 0,
-      cpDenom = 0,
-      gpNumer = 0,
-      gpDenom = 0;
-
-    for (const r of RULE_BASE) {
-      const a1 = fSOC[r.antecedent.SOC] || 0;
-      const a2 = fSOH[r.antecedent.SOH] || 0;
-      const a3 = fLoad[r.antecedent.Load] || 0;
-      const a4 = fTemp[r.antecedent.Temp] || 0;
-      const firing = Math.min(a1, a2, a3, a4);
-
-      if (firing <= 0) continue;
-
-      const cpCent = OUTPUT_CENTROIDS[r.consequent.CP];
-      const gpCent = OUTPUT_CENTROIDS[r.consequent.GP];
-
-      cpNumer += firing * cpCent;
-      cpDenom += firing;
-      gpNumer += firing * gpCent;
-      gpDenom += firing;
-    }
+  const [tariff, setTariff] = useState(DEFAULT_TARIFF);
+  const [protection, setProtection] = useState(DEFAULT_PROTECTION);
+  const [protectionState, setProtectionState] = useState(createProtectionState);
+  const [events, setEvents] = useState([]);
+  const [sensors, setSensors] = useState(DEFAULT_SENSORS);
+  const [sensorState, setSensorState] = useState(createSensorState);
+  const [readings, setReadings] = useState(null);
+  const [scenarioName, setScenarioName] = useState(null);
+  const [runStart, setRunStart] = useState(null);
+  const [runId, setRunId] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+  const [account, setAccount] = useState(createAccount);
+  const [comparisonRuns, setComparisonRuns] = useState([]);
+  const [recordSteps, setRecordSteps] = useState([]);
+  const [replay, setReplay] = useState(null);
+  const [inspectedTime, setInspectedTime] = useState(null);
+  const [plant, setPlant] = useState(DEFAULT_PLANT);
+  const [cycle, setCycle] = useState(null);
+  const [packs, setPacks] = useState(null);
+  const [horizon, setHorizon] = useState(10);
+  const [accuracy, setAccuracy] = useState(createAccuracyState);
+  const [inputForecast, setInputForecast] = useState(null);
+  const [profiles, setProfiles] = useState({
+    load: null,
+    pv: null,
+    ambient: null,
+    interpolation: "linear",
+    offset: 0,
+  });
+
+  const histories = { SOC: socHist, SOH: sohHist, Load: loadHist, Temp: tempHist };
+
+  const updateInferenceConfig = (patch) =>
+    setInferenceConfig((prev) => ({ ...prev, ...patch }));
+
+  const controller = useMemo(
+    () =>
+      createController({ variables, mfDefs, rules, outputs, outputMFs, ...inferenceConfig }),
+    [variables, mfDefs, rules, outputs, outputMFs, inferenceConfig]
+  );
 
-    const CP = cpDenom > 0 ? cpNumer / cpDenom : 50;
-    const GP = gpDenom > 0 ? gpNumer / gpDenom : 50;
+  // Діапазон кожної змінної в mfDefs для перевірки та графіків ФН
+  const ranges = useMemo(
+    () => Object.fromEntries(Object.values(variables).map((v) => [v.name, v.range])),
+    [variables]
+  );
 
-    return { CP, GP, memberships: { fSOC, fSOH, fLoad, fTemp } };
+  const changeVariableModel = (model) => {
+    setVariables(model.variables);
+    setMfDefs(model.mfDefs);
+    setRules(model.rules);
   };
 
-  const predictSeries = (history, steps = 1) => {
-    if (!history || history.length === 0) return Array(steps).fill(50);
-    const alpha = 0.2;
-    let last = history[history.length - 1];
-    for (let i = history.length - 2; i >= 0; i--) {
-      last = alpha * history[i] + (1 - alpha) * last;
+  const lastEnergy = energySeries.length ? energySeries[energySeries.length - 1] : null;
+
+  function stepOnce() {
+    const state = {
+      time,
+      soc,
+      soh,
+      load,
+      temp,
+      energy: lastEnergy ? lastEnergy.energy : 0,
+      exported: lastEnergy ? lastEnergy.exported : 0,
+      account,
+      cycle,
+      packs,
+      protection: protectionState,
+      sensors: sensorState,
+      history: histories,
+      readings,
+      accuracy,
+    };
+    const {
+      state: next,
+      point,
+      inputs,
+      inference,
+      forecast: predicted,
+      protection: guard,
+    } = stepSimulation(state, {
+      controller,
+      mode,
+      forecaster,
+      plant,
+      profiles,
+      tariff,
+      protection,
+      sensors,
+      horizon,
+    });
+    setLastInference(inference);
+    setRunStart((start) => start ?? { soc, soh, load, temp });
+
+    setTime(next.time);
+    // Контролер, його входи та стан захисту до кроку зберігаються, щоб пояснити будь-який крок на графіку
+    const decisionProtection = { protection, state: guard.before, measured: guard.measured };
+    setSeries((s) => [
+      ...s.slice(-199),
+      { ...point, inference: inferenceConfig, decision: { controller, inputs, ...decisionProtection } },
+    ]);
+    setSoc(next.soc);
+    setTemp(next.temp);
+    setSoh(next.soh);
+    setLoad(next.load);
+    setCycle(next.cycle);
+    setPacks(next.packs ?? null);
+    setAccount(next.account);
+    setProtectionState(next.protection);
+    setSensorState(next.sensors);
+    setReadings(next.readings);
+    setAccuracy(next.accuracy);
+    setInputForecast(predicted);
+    if (guard.events.length) {
+      const at = new Date().toISOString();
+      setEvents((log) => [...log, ...guard.events.map((e) => ({ ...e, at }))]);
     }
-    return Array.from({ length: steps }, () =>
-      Math.max(0, Math.min(100, last))
-    );
-  };
+    setSocHist(next.history.SOC);
+    setSohHist(next.history.SOH);
+    setLoadHist(next.history.Load);
+    setTempHist(next.history.Temp);
+    setEnergySeries((s) => [
+      ...s.slice(-199),
+      { time: next.time, energy: next.energy, exported: next.exported },
+    ]);
+    // Повний запис прогону для експорту не обрізається до вікна графіків
+    setRecordSteps((r) => [...r, createRecordStep({ point, inputs, inference, state: next, tariff })]);
+  }
 
   useEffect(() => {
     let timer;
     if (running) timer = setInterval(stepOnce, 1000);
     return () => clearInterval(timer);
-  }, [running, soc, soh, load, temp, mode, mfDefs]);
-
-  function stepOnce() {
-    const t = time + 1;
-    let useSOC = soc,
-      useSOH = soh,
-      useLoad = load,
-      useTemp = temp;
-
-    if (mode === "deep") {
-      useSOC = predictSeries(socHist, 1)[0];
-      useSOH = predictSeries(sohHist, 1)[0];
-      useLoad = predictSeries(loadHist, 1)[0];
-      useTemp = predictSeries(tempHist, 1)[0];
-    }
+  }, [
+    running,
+    soc,
+    soh,
+    load,
+    temp,
+    cycle,
+    packs,
+    account,
+    protectionState,
+    sensorState,
+    readings,
+    accuracy,
+    mode,
+    controller,
+    forecaster,
+    plant,
+    profiles,
+    tariff,
+    protection,
+    sensors,
+    horizon,
+  ]);
+
+  // Поточна конфігурація як сценарій: контролер, початкові умови, установка, тариф, профілі, захист, датчики
+  const definition = { variables, mfDefs, rules, outputs, outputMFs, inference: inferenceConfig };
+  const scenarioConfig = {
+    definition,
+    initial: { soc, soh, load, temp },
+    plant,
+    tariff,
+    profiles,
+    protection,
+    sensors,
+    mode,
+  };
 
-    const inference = inferFuzzy(useSOC, useSOH, useLoad, useTemp);
-    let CP = inference.CP;
-    let GP = inference.GP;
-
-    if (useTemp > 60) { CP = Math.max(CP - 10, 20); GP = Math.min(GP + 10, 80); }
-    if (useSOH < 50) { CP = Math.max(CP - 15, 15); GP = Math.min(GP + 15, 85); }
-    if (useLoad > 80) { CP = Math.min(CP + 10, 75); }
-
-    const batteryCapacityKWh = 16.2;
-    const pvToBat = 200;
-    const batToLoad = Math.max(0, useLoad - 100) * 0.1;
-    const deltaSOC = ((pvToBat - batToLoad) / (batteryCapacityKWh * 1000)) * 100 * 0.9;
-    const newSOC = Math.max(0, Math.min(100, soc + deltaSOC));
-    const newTemp = Math.max(0, Math.min(100, temp + 0.01 * useLoad));
-    const newSOH = Math.max(40, soh - 0.005);
-
-    const point = {
-      time: t,
-      SOC: Math.round(newSOC * 100) / 100,
-      SOH: Math.round(newSOH * 100) / 100,
-      Load: Math.round(useLoad * 100) / 100,
-      Temperature: Math.round(newTemp * 100) / 100,
-      CP: Math.round(CP * 100) / 100,
-      GP: Math.round(GP * 100) / 100,
-      mode,
+  // Прогін зберігається в історію на паузі, при скиданні та закритті сторінки;
+  // повторні збереження того самого прогону перезаписують його запис
+  function saveRun() {
+    if (!recordSteps.length) return;
+    const entry = {
+      ...createRunEntry(
+        scenarioName ?? "Manual run",
+        { ...scenarioConfig, initial: runStart ?? scenarioConfig.initial },
+        { steps: recordSteps, account, events }
+      ),
+      ...(runId && { id: runId }),
     };
-
-    setTime(t);
-    setSeries((s) => [...s.slice(-199), point]);
-    setSoc(newSOC);
-    setTemp(newTemp);
-    setSoh(newSOH);
-    setSocHist((h) => [...h.slice(-199), newSOC]);
-    setSohHist((h) => [...h.slice(-199), newSOH]);
-    setLoadHist((h) => [...h.slice(-199), useLoad]);
-    setTempHist((h) => [...h.slice(-199), newTemp]);
-
-    // ---- Додатково: розрахунок кумулятивної енергії ----
-    const deltaT = 1; // секунда
-    const loadPower = (useLoad / 100) * 5 * 1000; // Вт, Load 0-100% = 0-5 кВт
-    const powerFromGrid = 200; // Вт
-    const batToLoadPower = Math.max(0, loadPower - 1000); // Вт
-
-    const lastEnergy = energySeries.length ? energySeries[energySeries.length - 1].energy : 0;
-    const newEnergy = lastEnergy + (powerFromGrid + batToLoadPower) * deltaT / 3600000; // кВт·год
-
-    setEnergySeries((s) => [...s.slice(-199), { time: t, energy: newEnergy }]);
+    if (!runId) setRunId(entry.id);
+    putRecord(STORES.runs, entry)
+      .then(() => setStorageError(null))
+      .catch((err) => setStorageError(`Run history was not saved: ${err.message}`));
   }
 
-  const MFChart = ({ variable, terms, mfDefs }) => {
-    const data = useMemo(() => {
-      const chartData = [];
-      for (let x = 0; x <= 100; x += 1) {
-        const point = { x };
-        terms.forEach((term) => {
-          const [a, b, c] = mfDefs[variable][term];
-          point[term] = triMF(x, a, b, c);
-        });
-        chartData.push(point);
-      }
-      return chartData;
-    }, [variable, terms, mfDefs]);
-
-    const colors = ["#8884d8", "#82ca9d", "#ff7300"];
-
-    return (
-      <ResponsiveContainer width="100%" height={300}>
-        <LineChart data={data}>
-          <CartesianGrid strokeDasharray="3 3" />
-          <XAxis dataKey="x" />
-          <YAxis />
-          <Tooltip />
-          <Legend />
-          {terms.map((term, i) => (
-            <Line
-              key={term}
-              type="monotone"
-              dataKey={term}
-              stroke={colors[i]}
-              dot={false}
-              isAnimationActive={false}
-            />
-          ))}
-        </LineChart>
-      </ResponsiveContainer>
-    );
-  };
+  // pagehide спрацьовує і при закритті вкладки, і при переході зі сторінки (надійніше за beforeunload)
+  useEffect(() => {
+    window.addEventListener("pagehide", saveRun);
+    return () => window.removeEventListener("pagehide", saveRun);
+  });
+
+  function toggleRunning() {
+    if (running) saveRun();
+    setRunning(!running);
+  }
 
-  function resetSimulation() {
+  // Скидання зберігає прогін в історію; initial — стан для нового прогону
+  function resetSimulation(initial = { soc: 50, soh: 100, load: 50, temp: 25 }) {
+    saveRun();
+    setRunId(null);
     setTime(0);
     setSeries([]);
-    setSoc(50);
-    setSoh(100);
-    setLoad(50);
-    setTemp(25);
-    setSocHist([50]);
-    setSohHist([100]);
-    setLoadHist([50]);
-    setTempHist([25]);
+    setSoc(initial.soc);
+    setSoh(initial.soh);
+    setLoad(initial.load);
+    setTemp(initial.temp);
+    setSocHist([initial.soc]);
+    setSohHist([initial.soh]);
+    setLoadHist([initial.load]);
+    setTempHist([initial.temp]);
+    setRunStart(null);
+    setEnergySeries([]);
+    setCycle(null);
+    setPacks(null);
+    setAccount(createAccount());
+    setProtectionState(createProtectionState());
+    setSensorState(createSensorState());
+    setReadings(null);
+    setAccuracy(createAccuracyState());
+    setInputForecast(null);
+    setEvents([]);
+    setRecordSteps([]);
     setRunning(false);
   }
 
-  const lastPoint = series.length ? series[series.length - 1] : null;
-
-  // Розрахунок вартості споживання
-  const calculateEnergyCost = () => {
-    const deltaT = 1; // крок симуляції в секундах (як у stepOnce)
-    const batteryCapacityKWh = 16.2; // ємність батареї
-    let totalEnergy = 0; // кВт·год
-
-    for (let i = 1; i < series.length; i++) {
-      const loadPercent = series[i].Load; // 0-100%
-
-      // Потужність навантаження (приблизно 0-5 кВт)
-      const loadPower = (loadPercent / 100) * 5 * 1000; // Вт
-
-      // Від мережі забирається 200 Вт для заряду батареї
-      const powerFromGrid = 200; // Вт
+  // Завантаження сценарію з бібліотеки, історії або посилання
+  function applyScenario({ name, config }) {
+    const { definition: loaded } = config;
+    setVariables(loaded.variables);
+    setMfDefs(loaded.mfDefs);
+    setRules(loaded.rules);
+    setOutputs(loaded.outputs);
+    setOutputMFs(loaded.outputMFs);
+    setInferenceConfig(loaded.inference);
+    setPlant(config.plant);
+    setTariff(config.tariff);
+    setProfiles(config.profiles ?? { load: null, pv: null, ambient: null, interpolation: "linear", offset: 0 });
+    setProtection(config.protection ?? DEFAULT_PROTECTION);
+    setSensors(config.sensors ?? DEFAULT_SENSORS);
+    setMode(config.mode ?? DEFAULT_MODE);
+    setScenarioName(name);
+    resetSimulation(config.initial);
+  }
 
-      // Потужність, яку батарея віддає на навантаження
-      const batToLoad = Math.max(0, loadPower - 1000); // 1000 Вт – умовна власна генерація/покриття
+  const changeReplay = useCallback((r) => {
+    setRunning(false);
+    setReplay(r);
+  }, []);
 
-      // Загальна енергія за крок Δt: (Вт * сек) / 3600000 = кВт·год
-      totalEnergy += (powerFromGrid + batToLoad) * deltaT / 3600000;
-    }
+  // Під час відтворення графіки показують записаний прогін до позиції повзунка
+  const replaySeries = replay
+    ? replay.recording.steps.slice(Math.max(0, replay.index - 199), replay.index + 1)
+    : null;
+  const chartSeries = replaySeries ?? series;
+  const showComparison = comparisonRuns.length > 0 && !replay;
+
+  const lastPoint = chartSeries.length ? chartSeries[chartSeries.length - 1] : null;
+
+  // Записаний прогін пояснюється контролером із його власної конфігурації
+  const replayRecording = replay?.recording;
+  const replayController = useMemo(() => {
+    if (!replayRecording) return null;
+    const { definition } = replayRecording.config;
+    return createController({ ...definition, ...definition.inference });
+  }, [replayRecording]);
+
+  const inspectedPoint = chartSeries.find((p) => p.time === inspectedTime) ?? lastPoint;
+  let decision = null;
+  if (inspectedPoint?.decision) {
+    const { controller: inspected, inputs, ...guard } = inspectedPoint.decision;
+    decision = explainDecision(inspected, inputs, guard);
+  } else if (inspectedPoint?.predicted && replayController) {
+    // Записані налаштування захисту без стану гістерезису, якого в записі немає
+    decision = explainDecision(replayController, inspectedPoint.predicted, {
+      protection: replayRecording.config.protection ?? undefined,
+    });
+  }
 
-    const cost = totalEnergy * electricityRate;
-    return { totalEnergy: totalEnergy.toFixed(4), cost: cost.toFixed(2) };
-  };
+  const alarms = activeAlarms(protectionState);
 
+  // Прогноз входів пунктиром після останньої точки з 95% інтервалом за ковзною RMSE (не під час відтворення)
+  const forecastMetrics = accuracyMetrics(accuracy);
+  const parameterSeries =
+    inputForecast && !replay && chartSeries.length
+      ? withForecast(chartSeries, confidenceBand(inputForecast, forecastMetrics))
+      : chartSeries;
 
-  const energyCost = calculateEnergyCost();
-
-  const RuleTable = ({ rules }) => (
-    <table className="border-collapse border border-gray-400 w-full text-sm">
-      <thead>
-        <tr className="bg-gray-200">
-          <th className="border border-gray-400 px-2 py-1">#</th>
-          <th className="border border-gray-400 px-2 py-1">SOC</th>
-          <th className="border border-gray-400 px-2 py-1">SOH</th>
-          <th className="border border-gray-400 px-2 py-1">Load</th>
-          <th className="border border-gray-400 px-2 py-1">Temp</th>
-          <th className="border border-gray-400 px-2 py-1">CP</th>
-          <th className="border border-gray-400 px-2 py-1">GP</th>
-        </tr>
-      </thead>
-      <tbody>
-        {rules.map((r) => (
-          <tr key={r.id}>
-            <td className="border border-gray-400 px-2 py-1">{r.id}</td>
-            <td className="border border-gray-400 px-2 py-1">{r.antecedent.SOC}</td>
-            <td className="border border-gray-400 px-2 py-1">{r.antecedent.SOH}</td>
-            <td className="border border-gray-400 px-2 py-1">{r.antecedent.Load}</td>
-            <td className="border border-gray-400 px-2 py-1">{r.antecedent.Temp}</td>
-            <td className="border border-gray-400 px-2 py-1">{r.consequent.CP}</td>
-            <td className="border border-gray-400 px-2 py-1">{r.consequent.GP}</td>
-          </tr>
-        ))}
-      </tbody>
-    </table>
-  );
+  // Вартість з того самого обліку енергії, що веде симуляція
+  const energyCost = costBreakdown(account, tariff);
 
   return (
     <div className="p-4 bg-gray-50 min-h-screen">
@@ -402,12 +463,13 @@ function App() {
               />
             </div>
             <div>
-              <label>Load: {Math.round(load)}</label>
+              <label>Load: {Math.round(load)}{profiles.load && " (profile)"}</label>
               <input
                 type="range"
                 min="0"
                 max="100"
                 value={load}
+                disabled={!!profiles.load}
                 onChange={(e) => setLoad(Number(e.target.value))}
                 className="w-full"
               />
@@ -435,22 +497,74 @@ function App() {
               <option value="conventional">Conventional FLC</option>
               <option value="deep">Deep-FLC</option>
             </select>
+            <label className="block mt-2">
+              Forecast horizon (steps):{" "}
+              <input
+                type="number"
+                min="1"
+                max="50"
+                value={horizon}
+                onChange={(e) => setHorizon(Math.max(1, Math.min(50, Number(e.target.value))))}
+                className="border px-1 w-16"
+              />
+            </label>
+          </div>
+
+          <div className="mt-4 grid grid-cols-2 gap-2">
+            <OperatorSelect
+              label="Inference"
+              options={INFERENCE_METHODS}
+              value={inferenceConfig.method}
+              onChange={(method) =>
+                updateInferenceConfig({
+                  method,
+                  aggregation: method === "mamdani" ? "max" : "sum",
+                })
+              }
+            />
+            <OperatorSelect
+              label="Defuzzification"
+              options={DEFUZZ_METHODS}
+              value={inferenceConfig.defuzz}
+              onChange={(defuzz) => updateInferenceConfig({ defuzz })}
+              disabled={inferenceConfig.method !== "mamdani"}
+            />
+            <OperatorSelect
+              label="AND (T-norm)"
+              options={T_NORMS}
+              value={inferenceConfig.tNorm}
+              onChange={(tNorm) => updateInferenceConfig({ tNorm })}
+            />
+            <OperatorSelect
+              label="Aggregation (S-norm)"
+              options={AGGREGATIONS}
+              value={inferenceConfig.aggregation}
+              onChange={(aggregation) => updateInferenceConfig({ aggregation })}
+            />
+            <OperatorSelect
+              label="Implication"
+              options={IMPLICATIONS}
+              value={inferenceConfig.implication}
+              onChange={(implication) => updateInferenceConfig({ implication })}
+              disabled={inferenceConfig.method !== "mamdani"}
+            />
           </div>
 
           <div className="mt-4 space-x-2">
             <button
-              onClick={() => setRunning((r) => !r)}
+              onClick={toggleRunning}
               className="px-3 py-1 bg-blue-500 text-black rounded"
             >
               {running ? "Pause" : "Start"}
             </button>
             <button
-              onClick={resetSimulation}
+              onClick={() => resetSimulation()}
               className="px-3 py-1 bg-gray-500 text-black rounded"
             >
               Reset
             </button>
           </div>
+          {storageError && <p className="text-sm text-red-600 mt-2">{storageError}</p>}
 
           <div className="my-4 bg-blue-100 p-2 rounded">
             <p>Last CP: {lastPoint ? lastPoint.CP : "-"}</p>
@@ -460,34 +574,68 @@ function App() {
           </div>
           <div className="bg-white p-4 rounded shadow">
             <h2 className="font-bold mb-3">Energy Settings</h2>
-            <div>
-              <label className="block text-sm font-semibold mb-2">
-                Electricity Rate (грн/кВтч): {electricityRate.toFixed(2)}
-              </label>
-              <input
-                type="range"
-                min="0.5"
-                max="20"
-                step="0.1"
-                value={electricityRate}
-                onChange={(e) => setElectricityRate(Number(e.target.value))}
-                className="w-full"
-              />
-              <input
-                type="number"
-                min="0.5"
-                max="20"
-                step="0.1"
-                value={electricityRate}
-                onChange={(e) => setElectricityRate(Number(e.target.value))}
-                className="border px-2 py-1 w-full mt-2"
-              />
+            <TariffEditor tariff={tariff} onChange={setTariff} />
+            <div className="grid grid-cols-2 gap-2 mt-3 text-sm">
+              {[
+                ["chargeRatedKW", "Battery charge rating (кВт)"],
+                ["dischargeRatedKW", "Battery discharge rating (кВт)"],
+                ["gridRatedKW", "Grid import rating (кВт)"],
+                ["pvKW", "PV generation (кВт)"],
+              ].map(([key, label]) => (
+                <label key={key}>
+                  {label}
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={plant[key]}
+                    onChange={(e) =>
+                      setPlant((p) => ({ ...p, [key]: Math.max(0, Number(e.target.value)) }))
+                    }
+                    className="border px-2 py-1 w-full"
+                  />
+                </label>
+              ))}
             </div>
           </div>
+          <div className="my-4 bg-white p-4 rounded shadow">
+            <h2 className="font-bold mb-3">Load, PV and Temperature Profiles</h2>
+            <ProfilePanel
+              profiles={profiles}
+              time={time * plant.deltaT}
+              onChange={setProfiles}
+            />
+          </div>
+          <div className="my-4 bg-white p-4 rounded shadow">
+            <h2 className="font-bold mb-3">Battery</h2>
+            <BatteryPanel plant={plant} soh={soh} onChange={setPlant} />
+          </div>
+          <div className="my-4 bg-white p-4 rounded shadow">
+            <h2 className="font-bold mb-3">Battery Bank</h2>
+            <BankPanel plant={plant} series={chartSeries} onChange={setPlant} />
+          </div>
+          <div className="my-4 bg-white p-4 rounded shadow">
+            <h2 className="font-bold mb-3">Battery Protection</h2>
+            <ProtectionEditor protection={protection} onChange={setProtection} />
+            <h3 className="font-semibold mt-3 mb-2">Event Log</h3>
+            <EventLog events={events} onClear={() => setEvents([])} />
+          </div>
+          <div className="my-4 bg-white p-4 rounded shadow">
+            <h2 className="font-bold mb-3">Sensor Faults</h2>
+            <FaultPanel sensors={sensors} onChange={setSensors} />
+          </div>
+          <div className="my-4 bg-white p-4 rounded shadow">
+            <h2 className="font-bold mb-3">Deep-FLC Neural Predictor</h2>
+            <PredictorPanel
+              histories={histories}
+              model={forecaster}
+              onModelChange={setForecaster}
+            />
+          </div>
           <div className="my-4 bg-white p-4 rounded shadow">
             <h2 className="font-bold mb-3">Cumulative Energy Consumption (кВт·год)</h2>
             <ResponsiveContainer width="100%" height={300}>
-              <LineChart data={energySeries}>
+              <LineChart data={replaySeries ?? energySeries}>
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis dataKey="time" />
                 <YAxis />
@@ -500,89 +648,261 @@ function App() {
         </div>
 
         <div className="bg-white p-4 rounded shadow">
-          <h2 className="font-bold mb-3">Edit Membership Functions</h2>
-          <div className="flex w-full gap-2">
-            {Object.keys(mfDefs).map((variable) => (
-              <div key={variable} className="border p-2 rounded w-full h-fit mb-4">
-                <p className="font-semibold">{variable}</p>
-                {Object.keys(mfDefs[variable]).map((term) => (
-                  <div key={term} className="text-sm mt-1 ">
-                    <p className="mb-2">{term}:</p>
-                    <div className="flex gap-2">
-                      {mfDefs[variable][term].map((val, i) => (
-                        <input
-                          key={i}
-
-                          min="0"
-                          max="100"
-                          value={val}
-                          onChange={(e) => updateMF(variable, term, i, e.target.value)}
-                          className="border w-full text-center text-xs outline-none"
-                        />
-                      ))}
-                    </div>
-                  </div>
-                ))}
+          <h2 className="font-bold mb-3">Input Variables</h2>
+          <VariableEditor variables={variables} mfDefs={mfDefs} rules={rules} onChange={changeVariableModel} />
+
+          <h2 className="font-bold mb-3 mt-4">Edit Membership Functions</h2>
+          <MFEditor defs={mfDefs} ranges={ranges} onChange={setMfDefs} />
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            {Object.entries(variables).map(([key, v]) => (
+              <div key={key} className="bg-white p-4 rounded shadow">
+                <h2 className="font-bold mb-3">{v.name} Membership Functions</h2>
+                <MFChart variable={v.name} mfDefs={mfDefs} range={v.range} />
               </div>
             ))}
           </div>
-          <div className="grid grid-cols-2 gap-4 mb-4">
-            <div className="bg-white p-4 rounded shadow">
-              <h2 className="font-bold mb-3">SOC Membership Functions</h2>
-              <MFChart variable="SOC" terms={SOC_TERMS} mfDefs={mfDefs} />
-            </div>
-            <div className="bg-white p-4 rounded shadow">
-              <h2 className="font-bold mb-3">SOH Membership Functions</h2>
-              <MFChart variable="SOH" terms={SOH_TERMS} mfDefs={mfDefs} />
-            </div>
-            <div className="bg-white p-4 rounded shadow">
-              <h2 className="font-bold mb-3">Load Membership Functions</h2>
-              <MFChart variable="Load" terms={LOAD_TERMS} mfDefs={mfDefs} />
-            </div>
-            <div className="bg-white p-4 rounded shadow">
-              <h2 className="font-bold mb-3">Temperature Membership Functions</h2>
-              <MFChart
-                variable="Temperature"
-                terms={TEMP_TERMS}
-                mfDefs={mfDefs}
-              />
+
+          {inferenceConfig.method === "sugeno" && (
+            <div>
+              <h2 className="font-bold mb-3">Output Singletons (Sugeno)</h2>
+              <SingletonEditor outputs={outputs} onChange={setOutputs} />
             </div>
+          )}
+
+          <div className="bg-white p-4 rounded shadow mb-4">
+            <h2 className="font-bold mb-3">ANFIS Training</h2>
+            <AnfisPanel
+              variables={variables}
+              mfDefs={mfDefs}
+              rules={rules}
+              outputs={outputs}
+              operators={{
+                tNorm: inferenceConfig.tNorm,
+                aggregation: inferenceConfig.aggregation,
+              }}
+              onApply={(tunedMFs, tunedOutputs) => {
+                setMfDefs(tunedMFs);
+                setOutputs(tunedOutputs);
+              }}
+            />
           </div>
+
+          <div className="bg-white p-4 rounded shadow mb-4">
+            <h2 className="font-bold mb-3">Controller Optimizer</h2>
+            <OptimizerPanel
+              base={{ variables, mfDefs, rules }}
+              scenario={{ initial: { soc, soh, load, temp }, mode, forecaster, plant, profiles, protection }}
+              tariff={tariff}
+              controllerOptions={{ variables, outputs, outputMFs, ...inferenceConfig }}
+              onApply={(best) => {
+                setMfDefs(best.mfDefs);
+                setRules(best.rules);
+              }}
+            />
+          </div>
+
+          {inferenceConfig.method === "mamdani" && (
+            <div>
+              <h2 className="font-bold mb-3">Output Membership Functions (Mamdani)</h2>
+              <MFEditor defs={outputMFs} onChange={setOutputMFs} />
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                <div className="bg-white p-4 rounded shadow">
+                  <h2 className="font-bold mb-3">CP Output Terms</h2>
+                  <MFChart variable="CP" terms={OUTPUT_TERMS} mfDefs={outputMFs} />
+                </div>
+                <div className="bg-white p-4 rounded shadow">
+                  <h2 className="font-bold mb-3">GP Output Terms</h2>
+                  <MFChart variable="GP" terms={OUTPUT_TERMS} mfDefs={outputMFs} />
+                </div>
+              </div>
+              <div className="bg-white p-4 rounded shadow">
+                <h2 className="font-bold mb-3">Aggregated Output Set (current step)</h2>
+                {lastInference?.aggregated ? (
+                  <OutputSetChart inference={lastInference} />
+                ) : (
+                  <p className="text-sm text-gray-600">Run a step to see the aggregated output.</p>
+                )}
+              </div>
+            </div>
+          )}
         </div>
 
 
       </div>
 
+      <div className="mb-4 bg-white p-4 rounded shadow">
+        <h2 className="font-bold mb-3">Controller Comparison</h2>
+        <ComparisonPanel
+          config={{ variables, mfDefs, rules, outputs, outputMFs, ...inferenceConfig }}
+          mode={mode}
+          forecaster={forecaster}
+          initial={{ soc, soh, load, temp }}
+          load={load}
+          plant={plant}
+          profiles={profiles}
+          tariff={tariff}
+          protection={protection}
+          sensors={sensors}
+          forecastHorizon={horizon}
+          runs={comparisonRuns}
+          onRunsChange={setComparisonRuns}
+        />
+      </div>
+
+      <div className="mb-4 bg-white p-4 rounded shadow">
+        <h2 className="font-bold mb-3">Batch Simulation</h2>
+        <BatchPanel
+          controllerOptions={{ variables, mfDefs, rules, outputs, outputMFs, ...inferenceConfig }}
+          mode={mode}
+          forecaster={forecaster}
+          plant={plant}
+          profiles={profiles}
+          tariff={tariff}
+          protection={protection}
+          sensors={sensors}
+          forecastHorizon={horizon}
+          initial={{ soc, soh, load, temp }}
+        />
+      </div>
+
+      <div className="mb-4 bg-white p-4 rounded shadow">
+        <h2 className="font-bold mb-3">Scenario Library</h2>
+        <ScenarioLibrary config={scenarioConfig} onLoad={applyScenario} />
+      </div>
+
+      <div className="mb-4 bg-white p-4 rounded shadow">
+        <h2 className="font-bold mb-3">Run Recording and Replay</h2>
+        <RecordingPanel
+          steps={recordSteps}
+          config={{
+            definition,
+            plant,
+            tariff,
+            profiles,
+            protection,
+            sensors,
+            mode,
+          }}
+          replay={replay}
+          onReplayChange={changeReplay}
+        />
+      </div>
+
       <div className="mb-4 bg-white p-4 rounded shadow">
         <h2 className="font-bold mb-3">Main Chart (CP, GP)</h2>
+        {showComparison ? (
+          <ComparisonChart runs={comparisonRuns} keys={["CP", "GP"]} />
+        ) : (
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart
+              data={chartSeries}
+              onClick={(e) => e?.activeLabel !== undefined && setInspectedTime(e.activeLabel)}
+            >
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="CP" stroke="#8884d8" dot={false} />
+              <Line type="monotone" dataKey="GP" stroke="#82ca9d" dot={false} />
+              {chartSeries.flatMap((p) =>
+                (p.events ?? []).map((e) => (
+                  <ReferenceLine
+                    key={`${p.time}-${e.id}`}
+                    x={p.time}
+                    stroke={EVENT_MARKERS[e.type].color}
+                    strokeOpacity={0.6}
+                  >
+                    <Label value={EVENT_MARKERS[e.type].symbol} position="top" fill={EVENT_MARKERS[e.type].color} />
+                  </ReferenceLine>
+                ))
+              )}
+              {inspectedPoint && inspectedPoint !== lastPoint && (
+                <ReferenceLine x={inspectedPoint.time} stroke="#000" strokeDasharray="4 2" />
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+
+      <div className="mb-4 bg-white p-4 rounded shadow">
+        <h2 className="font-bold mb-3">Decision Explanation</h2>
+        <RuleInspector
+          decision={decision}
+          time={inspectedPoint?.time}
+          following={inspectedPoint === lastPoint}
+          onFollow={() => setInspectedTime(null)}
+        />
+      </div>
+
+      <div className="mb-4 bg-white p-4 rounded shadow">
+        <h2 className="font-bold mb-3">Power Flows (кВт)</h2>
         <ResponsiveContainer width="100%" height={300}>
-          <LineChart data={series}>
+          <LineChart data={chartSeries}>
             <CartesianGrid strokeDasharray="3 3" />
             <XAxis dataKey="time" />
             <YAxis />
             <Tooltip />
             <Legend />
-            <Line type="monotone" dataKey="CP" stroke="#8884d8" dot={false} />
-            <Line type="monotone" dataKey="GP" stroke="#82ca9d" dot={false} />
+            <Line type="monotone" dataKey="BatteryPower" stroke="#8884d8" dot={false} name="Battery (+charge)" />
+            <Line type="monotone" dataKey="GridPower" stroke="#82ca9d" dot={false} name="Grid (+import)" />
+            <Line type="monotone" dataKey="PV" stroke="#ffa500" dot={false} name="PV" />
           </LineChart>
         </ResponsiveContainer>
       </div>
 
       <div className="mb-4 bg-white p-4 rounded shadow">
         <h2 className="font-bold mb-3">System Parameters (SOC, SOH, Load, Temperature)</h2>
-        <ResponsiveContainer width="100%" height={300}>
-          <LineChart data={series}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="time" />
-            <YAxis />
-            <Tooltip />
-            <Legend />
-            <Line type="monotone" dataKey="SOC" stroke="#ff7300" dot={false} />
-            <Line type="monotone" dataKey="SOH" stroke="#8b0000" dot={false} />
-            <Line type="monotone" dataKey="Load" stroke="#0000ff" dot={false} />
-            <Line type="monotone" dataKey="Temperature" stroke="#ff0000" dot={false} />
-          </LineChart>
-        </ResponsiveContainer>
+        {showComparison ? (
+          <ComparisonChart
+            runs={comparisonRuns}
+            keys={["SOC", "SOH", "Temperature"]}
+            shared={["Load"]}
+          />
+        ) : (
+          <ResponsiveContainer width="100%" height={300}>
+            <ComposedChart data={parameterSeries}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              {Object.values(FORECAST_LINES).map(({ key, color }) => (
+                <Area
+                  key={`${key}Band`}
+                  dataKey={`${key}Band`}
+                  stroke="none"
+                  fill={color}
+                  fillOpacity={0.12}
+                  legendType="none"
+                  isAnimationActive={false}
+                />
+              ))}
+              {Object.values(FORECAST_LINES).map(({ key, color }) => (
+                <Line key={key} type="monotone" dataKey={key} stroke={color} dot={false} />
+              ))}
+              {Object.values(FORECAST_LINES).map(({ key, color }) => (
+                <Line
+                  key={`${key}Forecast`}
+                  type="monotone"
+                  dataKey={`${key}Forecast`}
+                  stroke={color}
+                  strokeDasharray="5 5"
+                  dot={false}
+                  legendType="none"
+                  isAnimationActive={false}
+                />
+              ))}
+            </ComposedChart>
+          </ResponsiveContainer>
+        )}
+        <h3 className="font-semibold mt-3 mb-2">Prediction Accuracy</h3>
+        <AccuracyTable metrics={forecastMetrics} />
+      </div>
+
+      <div className="mb-4 bg-white p-4 rounded shadow">
+        <h2 className="font-bold mb-3">Sensor Readings (true vs measured)</h2>
+        <SensorChart series={chartSeries} />
       </div>
 
       <div className="mb-4 grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -591,15 +911,28 @@ function App() {
           <div className="space-y-2">
             <div className="flex justify-between">
               <span>Total Energy Consumed:</span>
-              <span className="font-semibold">{energyCost.totalEnergy} кВтч</span>
+              <span className="font-semibold">{energyCost.importKWh.toFixed(4)} кВтч</span>
             </div>
+            {Object.entries(TARIFF_BANDS).map(([band, label]) => (
+              <div key={band} className="flex justify-between text-sm">
+                <span>
+                  {label}: {energyCost.bands[band].kWh.toFixed(4)} кВтч ×{" "}
+                  {tariff.rates[band].toFixed(2)} грн/кВтч
+                </span>
+                <span className="font-semibold">{energyCost.bands[band].cost.toFixed(2)} грн</span>
+              </div>
+            ))}
             <div className="flex justify-between">
-              <span>Electricity Rate:</span>
-              <span className="font-semibold">{electricityRate.toFixed(2)} грн/кВтч</span>
+              <span>Energy Exported ({energyCost.exportKWh.toFixed(4)} кВтч):</span>
+              <span className="font-semibold">−{energyCost.exportCredit.toFixed(2)} грн</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Demand Charge ({energyCost.peakKW.toFixed(2)} кВт peak, prorated):</span>
+              <span className="font-semibold">{energyCost.demandCost.toFixed(2)} грн</span>
             </div>
             <div className="flex justify-between text-lg border-t pt-2 mt-2">
               <span>Total Cost:</span>
-              <span className="font-bold text-green-600">{energyCost.cost} грн</span>
+              <span className="font-bold text-green-600">{energyCost.total.toFixed(2)} грн</span>
             </div>
             <div className="flex justify-between">
               <span>Simulation Steps:</span>
@@ -622,6 +955,20 @@ function App() {
         <div className="bg-white p-4 rounded shadow">
           <h2 className="font-bold mb-3">System Status Summary</h2>
           <div className="space-y-2">
+            <div>
+              <p className="text-sm text-gray-600">Active Alarms</p>
+              {alarms.length === 0 ? (
+                <p className="font-semibold text-green-600">None</p>
+              ) : (
+                <ul>
+                  {alarms.map((a) => (
+                    <li key={a.id} className="font-semibold text-red-600">
+                      ⚠ {a.label}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
             <div>
               <p className="text-sm text-gray-600">Current SOC</p>
               <p className="text-2xl font-bold">{lastPoint ? lastPoint.SOC : Math.round(soc)}%</p>
@@ -639,6 +986,14 @@ function App() {
                 <p className="text-xs text-gray-600">Current Temp</p>
                 <p className="font-semibold">{lastPoint ? lastPoint.Temperature : Math.round(temp)}°</p>
               </div>
+              <div>
+                <p className="text-xs text-gray-600">Pack Voltage</p>
+                <p className="font-semibold">{lastPoint ? lastPoint.Voltage : "-"} В</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-600">Pack Current</p>
+                <p className="font-semibold">{lastPoint ? lastPoint.Current : "-"} А</p>
+              </div>
             </div>
           </div>
         </div>
@@ -648,10 +1003,36 @@ function App() {
 
 
 
+      <div className="bg-white p-4 rounded shadow mb-4">
+        <h2 className="font-bold mb-3">Control Surface</h2>
+        <ControlSurface controller={controller} protection={protection} />
+      </div>
+
+      <div className="bg-white p-4 rounded shadow mb-4">
+        <h2 className="font-bold mb-3">Controller Import / Export</h2>
+        <ControllerExchange
+          definition={definition}
+          onImport={(imported) => {
+            setVariables(imported.variables);
+            setMfDefs(imported.mfDefs);
+            setRules(imported.rules);
+            setOutputs(imported.outputs);
+            setOutputMFs(imported.outputMFs);
+            setInferenceConfig(imported.inference);
+          }}
+        />
+      </div>
+
       <div className="bg-white p-4 rounded shadow mb-4">
         <h2 className="font-bold mb-3">Rule Base</h2>
         <div className="overflow-x-auto max-h-96 overflow-y-auto">
-          <RuleTable rules={RULE_BASE} />
+          <RuleTable
+            rules={rules}
+            variables={variables}
+            mfDefs={mfDefs}
+            onChange={setRules}
+            onReset={() => setRules(generateRuleBase(variables, mfDefs))}
+          />
         </div>
       </div>
     </div>
@@ -0,0 +1,49 @@
+import React from "react";
+import { ACCURACY_CHANNELS, ACCURACY_WINDOW } from "../engine/index.js";
+
+const fmt = (v) => (typeof v === "number" ? v.toFixed(3) : "-");
+
+// Ковзні MAE/RMSE прогнозу кожного входу: загалом по горизонту, для першого та останнього кроку
+export default function AccuracyTable({ metrics }) {
+  if (!ACCURACY_CHANNELS.some((ch) => metrics[ch].count > 0)) {
+    return (
+      <p className="text-sm text-gray-600">Prediction accuracy is measured while running in Deep-FLC mode.</p>
+    );
+  }
+  return (
+    <div className="text-sm">
+      <p className="mb-1">
+        Rolling over about the last {ACCURACY_WINDOW} predictions per forecast step.
+      </p>
+      <table className="w-full border">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="text-left px-2">Input</th>
+            <th className="text-right px-2">MAE</th>
+            <th className="text-right px-2">RMSE</th>
+            <th className="text-right px-2">RMSE (1 step)</th>
+            <th className="text-right px-2">RMSE (last step)</th>
+            <th className="text-right px-2">Scored</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ACCURACY_CHANNELS.map((ch) => {
+            const m = metrics[ch];
+            return (
+              <tr key={ch} className="border-t">
+                <td className="px-2">{ch}</td>
+                <td className="text-right px-2">{fmt(m.mae)}</td>
+                <td className="text-right px-2">{fmt(m.rmse)}</td>
+                <td className="text-right px-2">{fmt(m.steps[0]?.rmse)}</td>
+                <td className="text-right px-2">
+                  {m.steps.length > 1 ? `${fmt(m.steps[m.steps.length - 1]?.rmse)} (${m.steps.length})` : "-"}
+                </td>
+                <td className="text-right px-2">{m.count}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { parseTrainingData } from "../engine/index.js";
+
+const round = (v) => Math.round(v * 100) / 100;
+
+function roundDefs(defs) {
+  return Object.fromEntries(
+    Object.entries(defs).map(([variable, terms]) => [
+      variable,
+      Object.fromEntries(
+        Object.entries(terms).map(([term, mf]) => [
+          term,
+          { ...mf, params: mf.params.map(round) },
+        ])
+      ),
+    ])
+  );
+}
+
+// ANFIS-подібне налаштування ФН та синглтонів за записаними даними
+export default function AnfisPanel({ variables, mfDefs, rules, outputs, operators, onApply }) {
+  const [samples, setSamples] = useState(null);
+  const [config, setConfig] = useState({ epochs: 20, stepSize: 2, validationSplit: 0.2 });
+  const [history, setHistory] = useState([]);
+  const [training, setTraining] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setTraining(false);
+  };
+
+  const importDataset = async (file) => {
+    try {
+      setSamples({ name: file.name, data: parseTrainingData(await file.text(), variables) });
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const train = () => {
+    stopWorker();
+    setError(null);
+    setHistory([]);
+    setTraining(true);
+    const worker = new Worker(new URL("../workers/anfis.worker.js", import.meta.url), {
+      type: "module",
+    });
+    workerRef.current = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.type === "epoch") {
+        setHistory((h) => [...h, data.entry]);
+      } else if (data.type === "done") {
+        const outs = Object.fromEntries(
+          Object.entries(data.result.outputs).map(([out, terms]) => [
+            out,
+            Object.fromEntries(Object.entries(terms).map(([t, v]) => [t, round(v)])),
+          ])
+        );
+        onApply(roundDefs(data.result.mfDefs), outs);
+        stopWorker();
+      } else if (data.type === "error") {
+        setError(data.message);
+        stopWorker();
+      }
+    };
+    worker.onerror = (e) => {
+      setError(e.message || "The worker stopped with an error");
+      stopWorker();
+    };
+    worker.onmessageerror = () => {
+      setError("The worker sent a message that could not be read");
+      stopWorker();
+    };
+    worker.postMessage({
+      variables,
+      mfDefs,
+      rules,
+      outputs,
+      operators,
+      samples: samples.data,
+      ...config,
+    });
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-2 text-sm">
+        <label>
+          Epochs
+          <input
+            type="number"
+            min="1"
+            value={config.epochs}
+            onChange={(e) => setConfig((c) => ({ ...c, epochs: Number(e.target.value) }))}
+            className="border px-1 w-full"
+          />
+        </label>
+        <label>
+          Initial step
+          <input
+            type="number"
+            min="0.1"
+            step="0.1"
+            value={config.stepSize}
+            onChange={(e) => setConfig((c) => ({ ...c, stepSize: Number(e.target.value) }))}
+            className="border px-1 w-full"
+          />
+        </label>
+        <label>
+          Validation share
+          <input
+            type="number"
+            min="0"
+            max="0.9"
+            step="0.05"
+            value={config.validationSplit}
+            onChange={(e) =>
+              setConfig((c) => ({ ...c, validationSplit: Number(e.target.value) }))
+            }
+            className="border px-1 w-full"
+          />
+        </label>
+      </div>
+
+      <p className="text-sm mt-2">
+        Dataset: {samples ? `${samples.name} (${samples.data.length} samples)` : "none"}
+      </p>
+
+      <div className="mt-2 flex flex-wrap gap-2 text-sm">
+        <label className="px-3 py-1 bg-gray-500 text-black rounded cursor-pointer">
+          Load Dataset
+          <input
+            type="file"
+            accept=".csv,.json"
+            className="hidden"
+            onChange={(e) => e.target.files[0] && importDataset(e.target.files[0])}
+          />
+        </label>
+        <button
+          onClick={train}
+          disabled={!samples || training}
+          className="px-3 py-1 bg-blue-500 text-black rounded"
+        >
+          Train
+        </button>
+        {training && (
+          <button onClick={stopWorker} className="px-3 py-1 bg-gray-500 text-black rounded">
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+      <ResponsiveContainer width="100%" height={200}>
+        <LineChart data={history}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="epoch" />
+          <YAxis />
+          <Tooltip />
+          <Legend />
+          <Line
+            type="monotone"
+            dataKey="train"
+            stroke="#8884d8"
+            dot={false}
+            isAnimationActive={false}
+            name="Training RMSE"
+          />
+          <Line
+            type="monotone"
+            dataKey="validation"
+            stroke="#ff7300"
+            dot={false}
+            isAnimationActive={false}
+            name="Validation RMSE"
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import React from "react";
+import { LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import {
+  ALLOCATION_STRATEGIES,
+  END_OF_LIFE_SOH,
+  MIN_PACK_CAPACITY,
+  createBank,
+  createPack,
+} from "../engine/index.js";
+import OperatorSelect from "./OperatorSelect.jsx";
+
+const COLORS = ["#8884d8", "#82ca9d", "#ff7300", "#8b0000", "#0000ff", "#ffa500"];
+
+// Поле, підпис, крок, мінімум
+const PACK_FIELDS = [
+  ["capacityKWh", "Capacity (кВт·год)", 0.1, MIN_PACK_CAPACITY],
+  ["soc", "Initial SOC (%)", 1, 0],
+  ["soh", "Initial SOH (%)", 1, END_OF_LIFE_SOH],
+  ["temp", "Initial temp (°C)", 1, 0],
+];
+
+const CHARTS = [
+  ["SOC", "SOC (%)"],
+  ["Temperature", "Temperature (°C)"],
+  ["Power", "Power (кВт, +charge)"],
+];
+
+const fmt = (v) => (typeof v === "number" ? v.toFixed(2) : "-");
+
+// Банк пакетів: опис пакетів, стратегія розподілу CP, таблиця стану та графіки по пакетах.
+// Початкові SOC і температура пакетів діють з початку прогону (після Reset)
+export default function BankPanel({ plant, series, onChange }) {
+  const { bank } = plant;
+  const setBank = (next) => onChange({ ...plant, bank: next });
+
+  if (!bank) {
+    return (
+      <div className="text-sm">
+        <p className="mb-2">A single pack is simulated.</p>
+        <button
+          onClick={() => setBank(createBank(2, plant.battery))}
+          className="px-3 py-1 bg-blue-500 text-black rounded"
+        >
+          Use a Multi-Pack Bank
+        </button>
+      </div>
+    );
+  }
+
+  const updatePack = (id, patch) =>
+    setBank({ ...bank, packs: bank.packs.map((p) => (p.id === id ? { ...p, ...patch } : p)) });
+  const latest = [...series].reverse().find((p) => p.packs)?.packs ?? [];
+  const chartData = series.filter((p) => p.packs);
+
+  return (
+    <div className="text-sm space-y-3">
+      <div className="flex flex-wrap gap-2 items-end">
+        <div className="w-56">
+          <OperatorSelect
+            label="CP allocation"
+            options={ALLOCATION_STRATEGIES}
+            value={bank.strategy}
+            onChange={(strategy) => setBank({ ...bank, strategy })}
+          />
+        </div>
+        <button
+          onClick={() =>
+            setBank({
+              ...bank,
+              packs: [
+                ...bank.packs,
+                createPack({ name: `Pack ${bank.packs.length + 1}`, capacityKWh: plant.battery.capacityKWh }),
+              ],
+            })
+          }
+          className="px-3 py-1 bg-green-500 text-black rounded"
+        >
+          Add Pack
+        </button>
+        <button onClick={() => setBank(null)} className="px-3 py-1 bg-gray-500 text-black rounded">
+          Single Pack
+        </button>
+      </div>
+
+      <table className="w-full border">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="text-left px-2">Pack</th>
+            {PACK_FIELDS.map(([key, label]) => (
+              <th key={key} className="text-left px-2">
+                {label}
+              </th>
+            ))}
+            <th className="text-right px-2">SOC</th>
+            <th className="text-right px-2">SOH</th>
+            <th className="text-right px-2">Temp</th>
+            <th className="text-right px-2">Power</th>
+            <th className="text-right px-2">Current (А)</th>
+            <th className="px-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {bank.packs.map((pack) => {
+            const state = latest.find((p) => p.id === pack.id);
+            return (
+              <tr key={pack.id} className="border-t">
+                <td className="px-2">
+                  <input
+                    value={pack.name}
+                    onChange={(e) => updatePack(pack.id, { name: e.target.value })}
+                    className="border px-1 w-24"
+                  />
+                </td>
+                {PACK_FIELDS.map(([key, , step, min]) => (
+                  <td key={key} className="px-2">
+                    <input
+                      type="number"
+                      min={min}
+                      step={step}
+                      value={pack[key]}
+                      onChange={(e) => updatePack(pack.id, { [key]: Math.max(min, Number(e.target.value)) })}
+                      className="border px-1 w-20"
+                    />
+                  </td>
+                ))}
+                <td className="text-right px-2">{fmt(state?.SOC)}</td>
+                <td className="text-right px-2">{fmt(state?.SOH)}</td>
+                <td className="text-right px-2">{fmt(state?.Temperature)}</td>
+                <td className="text-right px-2">{fmt(state?.Power)}</td>
+                <td className="text-right px-2">{fmt(state?.Current)}</td>
+                <td className="px-2 text-right">
+                  <button
+                    onClick={() => setBank({ ...bank, packs: bank.packs.filter((p) => p.id !== pack.id) })}
+                    disabled={bank.packs.length <= 1}
+                    className="px-2 bg-red-500 text-black rounded"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {chartData.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+          {CHARTS.map(([key, title]) => (
+            <div key={key}>
+              <p className="font-semibold">{title}</p>
+              <ResponsiveContainer width="100%" height={200}>
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="time" />
+                  <YAxis domain={["auto", "auto"]} />
+                  <Tooltip />
+                  <Legend />
+                  {bank.packs.map((pack, i) => (
+                    <Line
+                      key={pack.id}
+                      type="monotone"
+                      dataKey={(p) => p.packs.find((s) => s.id === pack.id)?.[key]}
+                      stroke={COLORS[i % COLORS.length]}
+                      dot={false}
+                      name={pack.name}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
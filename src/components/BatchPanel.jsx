@@ -0,0 +1,216 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { columnsToCSVParts } from "../engine/index.js";
+import { downloadFile } from "../utils/download.js";
+
+const HORIZON_UNITS = { 3600: "hours", 86400: "days" };
+
+// Пакетна симуляція у Web Worker: довгий горизонт, довільний крок, даунсемплінг для графіків
+export default function BatchPanel({
+  controllerOptions,
+  mode,
+  forecaster,
+  plant,
+  profiles,
+  tariff,
+  protection,
+  sensors,
+  forecastHorizon,
+  initial,
+}) {
+  const [settings, setSettings] = useState({
+    deltaT: 60,
+    horizon: 1,
+    unit: 86400,
+    chartPoints: 500,
+  });
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [elapsed, setElapsed] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const update = (patch) => setSettings((s) => ({ ...s, ...patch }));
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setProgress(null);
+  };
+
+  const run = () => {
+    stopWorker();
+    setError(null);
+    setResult(null);
+    setProgress(0);
+    const started = performance.now();
+    const worker = new Worker(new URL("../workers/batch.worker.js", import.meta.url), {
+      type: "module",
+    });
+    workerRef.current = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        setProgress(data.done / data.total);
+      } else if (data.type === "done") {
+        setResult(data.result);
+        setElapsed((performance.now() - started) / 1000);
+        stopWorker();
+      } else if (data.type === "error") {
+        setError(data.message);
+        stopWorker();
+      }
+    };
+    // Помилка поза try у воркері (завантаження модуля, неперехоплений виняток) або непрочитане повідомлення
+    worker.onerror = (e) => {
+      setError(e.message || "The worker stopped with an error");
+      stopWorker();
+    };
+    worker.onmessageerror = () => {
+      setError("The worker sent a message that could not be read");
+      stopWorker();
+    };
+    worker.postMessage({
+      controllerOptions,
+      mode,
+      forecaster,
+      plant: { ...plant, deltaT: settings.deltaT },
+      profiles,
+      tariff,
+      protection,
+      sensors,
+      forecastHorizon,
+      initial,
+      horizon: settings.horizon * settings.unit,
+      chartPoints: settings.chartPoints,
+    });
+  };
+
+  const chart = result?.chart.map((p) => ({ ...p, hour: Math.round((p.time / 3600) * 100) / 100 }));
+
+  return (
+    <div className="text-sm">
+      <div className="grid grid-cols-4 gap-2">
+        <label>
+          Time step ΔT (с)
+          <input
+            type="number"
+            min="1"
+            value={settings.deltaT}
+            onChange={(e) => update({ deltaT: Math.max(1, Number(e.target.value)) })}
+            className="border px-1 w-full"
+          />
+        </label>
+        <label>
+          Horizon
+          <div className="flex gap-1">
+            <input
+              type="number"
+              min="1"
+              value={settings.horizon}
+              onChange={(e) => update({ horizon: Math.max(1, Number(e.target.value)) })}
+              className="border px-1 w-full"
+            />
+            <select
+              value={settings.unit}
+              onChange={(e) => update({ unit: Number(e.target.value) })}
+              className="border rounded px-1"
+            >
+              {Object.entries(HORIZON_UNITS).map(([seconds, label]) => (
+                <option key={seconds} value={seconds}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </label>
+        <label>
+          Chart points
+          <input
+            type="number"
+            min="10"
+            value={settings.chartPoints}
+            onChange={(e) => update({ chartPoints: Math.max(10, Number(e.target.value)) })}
+            className="border px-1 w-full"
+          />
+        </label>
+        <p className="self-end">
+          {Math.ceil((settings.horizon * settings.unit) / settings.deltaT)} steps, mode {mode}
+        </p>
+      </div>
+
+      <div className="mt-2 flex gap-2">
+        <button
+          onClick={run}
+          disabled={progress !== null}
+          className="px-3 py-1 bg-blue-500 text-black rounded"
+        >
+          Run Batch
+        </button>
+        {progress !== null && (
+          <button onClick={stopWorker} className="px-3 py-1 bg-gray-500 text-black rounded">
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={() => downloadFile("batch-run.csv", columnsToCSVParts(result.columns), "text/csv")}
+          disabled={!result}
+          className="px-3 py-1 bg-gray-500 text-black rounded"
+        >
+          Export Full Resolution (CSV)
+        </button>
+      </div>
+
+      {progress !== null && (
+        <div className="mt-2 h-3 bg-gray-200 rounded">
+          <div className="h-3 bg-blue-500 rounded" style={{ width: `${progress * 100}%` }} />
+        </div>
+      )}
+      {error && <p className="text-red-600 mt-2">{error}</p>}
+
+      {result && (
+        <>
+          <p className="mt-2">
+            {result.steps} steps in {elapsed.toFixed(2)} с · imported{" "}
+            {result.cost.importKWh.toFixed(2)} кВт·год · cost {result.cost.total.toFixed(2)} грн ·
+            final SOC {result.state.soc.toFixed(1)}% · SOH {result.state.soh.toFixed(3)}%
+          </p>
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={chart}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="hour" />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="SOC" stroke="#ff7300" dot={false} isAnimationActive={false} />
+              <Line type="monotone" dataKey="Load" stroke="#0000ff" dot={false} isAnimationActive={false} />
+              <Line type="monotone" dataKey="Temperature" stroke="#ff0000" dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={chart}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="hour" />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="BatteryPower" stroke="#8884d8" dot={false} isAnimationActive={false} name="Battery (+charge)" />
+              <Line type="monotone" dataKey="GridPower" stroke="#82ca9d" dot={false} isAnimationActive={false} name="Grid (+import)" />
+              <Line type="monotone" dataKey="PV" stroke="#ffa500" dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useState } from "react";
+import {
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+import { BATTERY_PRESETS, capacityAh, nominalVoltage, packResistance } from "../engine/index.js";
+import OperatorSelect from "./OperatorSelect.jsx";
+
+const STORAGE_KEY = "deep-flc.batteryPresets";
+
+const FIELDS = [
+  ["capacityKWh", "Capacity (кВт·год)", 0.1],
+  ["cellsInSeries", "Cells in series", 1],
+  ["resistanceOhm", "Internal resistance (Ом)", 0.001],
+  ["resistanceGrowth", "Resistance growth at 0% SOH", 0.1],
+  ["coulombicEfficiency", "Coulombic efficiency", 0.001],
+  ["heatCapacityJK", "Heat capacity (Дж/К)", 1000],
+  ["coolingWK", "Passive cooling (Вт/К)", 1],
+  ["activeCoolingWK", "Active cooling (Вт/К)", 1],
+  ["activeCoolingOnTemp", "Active cooling from (°C)", 1],
+  ["cycleFadePerFEC", "Cycle fade (% SOH / FEC)", 0.0001],
+  ["calendarFadePerYear", "Calendar fade (% SOH / рік)", 0.1],
+  ["dodStress", "DoD stress factor", 0.1],
+  ["activationEnergy", "Activation energy (Дж/моль)", 100],
+];
+
+// Користувацькі пресети зберігаються в localStorage поряд із вбудованими LFP/NMC
+function loadPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+// Параметри моделі батареї: еквівалентна схема, теплова модель, деградація
+export default function BatteryPanel({ plant, soh, onChange }) {
+  const [custom, setCustom] = useState(loadPresets);
+  const [preset, setPreset] = useState("LFP");
+  const [name, setName] = useState("");
+  const { battery } = plant;
+  const presets = { ...BATTERY_PRESETS, ...custom };
+
+  const updateBattery = (patch) => onChange({ ...plant, battery: { ...battery, ...patch } });
+
+  const storePresets = (next) => {
+    setCustom(next);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  };
+
+  const selectPreset = (key) => {
+    setPreset(key);
+    onChange({ ...plant, battery: structuredClone(presets[key]) });
+  };
+
+  const savePreset = () => {
+    const key = name.trim();
+    if (!key || BATTERY_PRESETS[key]) return;
+    storePresets({ ...custom, [key]: structuredClone(battery) });
+    setPreset(key);
+    setName("");
+  };
+
+  const deletePreset = () => {
+    const next = { ...custom };
+    delete next[preset];
+    storePresets(next);
+    setPreset("LFP");
+  };
+
+  const updateCurve = (i, j, value) =>
+    updateBattery({
+      ocvCurve: battery.ocvCurve.map((p, k) => (k === i ? p.map((v, m) => (m === j ? value : v)) : p)),
+    });
+
+  const addPoint = () => {
+    const last = battery.ocvCurve[battery.ocvCurve.length - 1];
+    updateBattery({ ocvCurve: [...battery.ocvCurve, [Math.min(100, last[0] + 5), last[1]]] });
+  };
+
+  const removePoint = (i) =>
+    updateBattery({ ocvCurve: battery.ocvCurve.filter((_, k) => k !== i) });
+
+  const curveData = [...battery.ocvCurve]
+    .sort((a, b) => a[0] - b[0])
+    .map(([soc, v]) => ({ soc, voltage: v }));
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 items-end text-sm">
+        <div className="w-40">
+          <OperatorSelect
+            label="Preset"
+            options={Object.fromEntries(Object.keys(presets).map((key) => [key, key]))}
+            value={preset}
+            onChange={selectPreset}
+          />
+        </div>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Preset name"
+          className="border px-2 py-1"
+        />
+        <button onClick={savePreset} className="px-3 py-1 bg-blue-500 text-black rounded">
+          Save as preset
+        </button>
+        {custom[preset] && (
+          <button onClick={deletePreset} className="px-3 py-1 bg-red-500 text-black rounded">
+            Delete preset
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm mt-2">
+        Nominal {nominalVoltage(battery).toFixed(1)} В · {capacityAh(battery, soh).toFixed(1)} А·год
+        at SOH {soh.toFixed(1)}% · R {(packResistance(battery, soh) * 1000).toFixed(1)} мОм
+      </p>
+
+      <div className="grid grid-cols-3 gap-2 mt-3 text-sm">
+        <label>
+          Ambient temperature (°C)
+          <input
+            type="number"
+            value={plant.ambientTemp}
+            onChange={(e) => onChange({ ...plant, ambientTemp: Number(e.target.value) })}
+            className="border px-2 py-1 w-full"
+          />
+        </label>
+        {FIELDS.map(([key, label, step]) => (
+          <label key={key}>
+            {label}
+            <input
+              type="number"
+              min="0"
+              step={step}
+              value={battery[key]}
+              onChange={(e) => updateBattery({ [key]: Math.max(0, Number(e.target.value)) })}
+              className="border px-2 py-1 w-full"
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex gap-4 mt-3">
+        <div className="text-sm w-1/3">
+          <p className="font-semibold">OCV curve (В на комірку)</p>
+          {battery.ocvCurve.map(([soc, v], i) => (
+            <div key={i} className="flex gap-1 mb-1">
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={soc}
+                onChange={(e) => updateCurve(i, 0, Number(e.target.value))}
+                className="border px-1 w-full"
+              />
+              <input
+                type="number"
+                step="0.01"
+                value={v}
+                onChange={(e) => updateCurve(i, 1, Number(e.target.value))}
+                className="border px-1 w-full"
+              />
+              <button
+                onClick={() => removePoint(i)}
+                disabled={battery.ocvCurve.length <= 2}
+                className="px-2 bg-gray-300 rounded"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button onClick={addPoint} className="px-3 py-1 bg-green-500 text-black rounded">
+            Add point
+          </button>
+        </div>
+        <div className="w-2/3">
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={curveData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="soc" type="number" domain={[0, 100]} />
+              <YAxis domain={["auto", "auto"]} />
+              <Tooltip />
+              <Line
+                type="linear"
+                dataKey="voltage"
+                stroke="#8884d8"
+                isAnimationActive={false}
+                name="OCV"
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
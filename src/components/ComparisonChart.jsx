@@ -0,0 +1,58 @@
+import React from "react";
+import {
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { mergeRunSeries } from "../engine/index.js";
+
+const RUN_COLORS = ["#8884d8", "#ff7300", "#82ca9d", "#d62728", "#17becf", "#8c564b"];
+const DASHES = ["", "6 3", "2 2", "10 4 2 4"];
+
+// Накладені ряди кількох прогонів: колір — прогін, штрих — змінна.
+// `shared` — змінні, однакові для всіх прогонів (вхідний слід), малюються один раз
+export default function ComparisonChart({ runs, keys, shared = [] }) {
+  const data = mergeRunSeries(runs, [...keys, ...shared]);
+  return (
+    <ResponsiveContainer width="100%" height={300}>
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="time" />
+        <YAxis />
+        <Tooltip />
+        <Legend />
+        {runs.flatMap((run, i) =>
+          keys.map((key, k) => (
+            <Line
+              key={`${key}:${run.id}`}
+              type="monotone"
+              dataKey={`${key}:${run.id}`}
+              stroke={RUN_COLORS[i % RUN_COLORS.length]}
+              strokeDasharray={DASHES[k % DASHES.length]}
+              dot={false}
+              isAnimationActive={false}
+              name={`${key} · ${run.label}`}
+            />
+          ))
+        )}
+        {runs.length > 0 &&
+          shared.map((key) => (
+            <Line
+              key={key}
+              type="monotone"
+              dataKey={`${key}:${runs[0].id}`}
+              stroke="#0000ff"
+              dot={false}
+              isAnimationActive={false}
+              name={key}
+            />
+          ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  COMPARISON_KPIS,
+  compareKPIs,
+  createComparison,
+  stepComparison,
+} from "../engine/index.js";
+
+// Синхронне порівняння Conventional FLC, Deep-FLC і збережених варіантів контролера
+export default function ComparisonPanel({
+  config,
+  mode,
+  forecaster,
+  initial,
+  load,
+  plant,
+  profiles,
+  tariff,
+  protection,
+  sensors,
+  forecastHorizon,
+  runs,
+  onRunsChange,
+}) {
+  const [saved, setSaved] = useState([]);
+  const [selected, setSelected] = useState({ conventional: true, deep: true });
+  const [name, setName] = useState("");
+  const [socBand, setSocBand] = useState([20, 90]);
+  const [running, setRunning] = useState(false);
+
+  const variants = [
+    { id: "conventional", label: "Conventional FLC", mode: "conventional", config },
+    { id: "deep", label: "Deep-FLC", mode: "deep", config, forecaster },
+    ...saved,
+  ];
+
+  const step = useCallback(
+    () =>
+      onRunsChange((r) =>
+        stepComparison(r, { plant, profiles, tariff, protection, sensors, forecastHorizon, load, socBand })
+      ),
+    [onRunsChange, plant, profiles, tariff, protection, sensors, forecastHorizon, load, socBand]
+  );
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setInterval(step, 1000);
+    return () => clearInterval(timer);
+  }, [running, step]);
+
+  // Знімок поточного контролера як окремий варіант
+  const saveVariant = () => {
+    const label = name.trim() || `Variant ${saved.length + 1}`;
+    const id = `variant-${Date.now()}`;
+    setSaved((s) => [...s, { id, label, mode, config: structuredClone(config), forecaster }]);
+    setSelected((s) => ({ ...s, [id]: true }));
+    setName("");
+  };
+
+  const removeVariant = (id) => setSaved((s) => s.filter((v) => v.id !== id));
+
+  const start = () => {
+    const chosen = variants.filter((v) => selected[v.id]);
+    if (!chosen.length) return;
+    onRunsChange(createComparison(chosen, initial));
+    setRunning(true);
+  };
+
+  const reset = () => {
+    setRunning(false);
+    onRunsChange([]);
+  };
+
+  const table = runs.length ? compareKPIs(runs, tariff) : [];
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap gap-3">
+        {variants.map((v) => (
+          <label key={v.id} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={!!selected[v.id]}
+              onChange={(e) => setSelected((s) => ({ ...s, [v.id]: e.target.checked }))}
+            />
+            {v.label}
+            {v.id.startsWith("variant-") && (
+              <button onClick={() => removeVariant(v.id)} className="text-red-600">
+                ×
+              </button>
+            )}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-2 items-center">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Variant name"
+          className="border px-2 py-1"
+        />
+        <button onClick={saveVariant} className="px-3 py-1 bg-gray-500 text-black rounded">
+          Save Current Controller
+        </button>
+        <label>
+          SOC band
+          <input
+            type="number"
+            value={socBand[0]}
+            onChange={(e) => setSocBand(([, hi]) => [Number(e.target.value), hi])}
+            className="border px-1 w-14 mx-1"
+          />
+          –
+          <input
+            type="number"
+            value={socBand[1]}
+            onChange={(e) => setSocBand(([lo]) => [lo, Number(e.target.value)])}
+            className="border px-1 w-14 ml-1"
+          />
+        </label>
+      </div>
+
+      <div className="flex gap-2 mt-2">
+        <button onClick={start} className="px-3 py-1 bg-blue-500 text-black rounded">
+          {runs.length ? "Restart" : "Start"}
+        </button>
+        <button
+          onClick={() => setRunning((r) => !r)}
+          disabled={!runs.length}
+          className="px-3 py-1 bg-yellow-500 text-black rounded"
+        >
+          {running ? "Pause" : "Resume"}
+        </button>
+        <button onClick={step} disabled={!runs.length} className="px-3 py-1 bg-green-500 text-black rounded">
+          Step
+        </button>
+        <button onClick={reset} className="px-3 py-1 bg-red-500 text-black rounded">
+          Stop Comparison
+        </button>
+      </div>
+
+      {table.length > 0 && (
+        <table className="w-full mt-3 border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="text-left px-2">KPI</th>
+              {table.map((row) => (
+                <th key={row.id} className="text-right px-2">
+                  {row.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(COMPARISON_KPIS).map(([key, label]) => (
+              <tr key={key} className="border-t">
+                <td className="px-2">{label}</td>
+                {table.map((row, i) => (
+                  <td key={row.id} className="text-right px-2">
+                    {row.values[key].toFixed(key === "socViolations" ? 0 : 3)}
+                    {i > 0 && (
+                      <span className={row.deltas[key] > 0 ? "text-red-600 ml-1" : "text-green-600 ml-1"}>
+                        ({row.deltas[key] >= 0 ? "+" : ""}
+                        {row.deltas[key].toFixed(key === "socViolations" ? 0 : 3)})
+                      </span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {runs.length > 0 && (
+        <p className="mt-2">
+          Step {runs[0].state.time}; deltas are relative to {runs[0].label}.
+        </p>
+      )}
+    </div>
+  );
+}
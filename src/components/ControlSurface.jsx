@@ -0,0 +1,176 @@
+import React, { useMemo, useState } from "react";
+import { OUTPUT_VARIABLES, controlSurface } from "../engine/index.js";
+import OperatorSelect from "./OperatorSelect.jsx";
+
+const OUTPUT_OPTIONS = Object.fromEntries(OUTPUT_VARIABLES.map((o) => [o, o]));
+const RESOLUTIONS = { 11: "11 × 11", 21: "21 × 21", 41: "41 × 41" };
+
+const SIZE = 360;
+const MARGIN = 40;
+const TICKS = [0, 0.25, 0.5, 0.75, 1];
+const fmtTick = (v) => String(Math.round(v * 100) / 100);
+// Непризначені фіксовані входи стоять посередині свого діапазону
+const midpoint = (v) => (v.range[0] + v.range[1]) / 2;
+
+// Синя (мінімум) -> червона (максимум) шкала
+function color(t) {
+  const hue = 240 - 240 * t;
+  return `hsl(${hue}, 80%, 55%)`;
+}
+
+// Осі, яких уже немає в моделі, замінюються першими доступними входами
+function resolveAxes(keys, axes) {
+  const x = keys.includes(axes.x) ? axes.x : keys.find((k) => k !== axes.y);
+  const y = keys.includes(axes.y) && axes.y !== x ? axes.y : keys.find((k) => k !== x);
+  return { x, y };
+}
+
+// Теплова карта виходу контролера по двох входах; оновлюється разом із контролером та його змінними
+export default function ControlSurface({ controller, protection }) {
+  const [output, setOutput] = useState("CP");
+  const [axes, setAxes] = useState({ x: "SOC", y: "Load" });
+  const [fixed, setFixed] = useState({ SOC: 50, SOH: 90, Load: 50, Temp: 30 });
+  const [resolution, setResolution] = useState(21);
+  const [withProtection, setWithProtection] = useState(false);
+  const [hover, setHover] = useState(null);
+
+  const { variables } = controller;
+  const keys = Object.keys(variables);
+  const inputOptions = Object.fromEntries(keys.map((k) => [k, variables[k].name]));
+  const { x, y } = useMemo(() => resolveAxes(Object.keys(controller.variables), axes), [controller, axes]);
+
+  const surface = useMemo(() => {
+    if (y === undefined) return null;
+    const values = Object.fromEntries(
+      Object.entries(controller.variables).map(([k, v]) => [k, fixed[k] ?? midpoint(v)])
+    );
+    return controlSurface(controller, {
+      output,
+      x,
+      y,
+      fixed: values,
+      resolution,
+      withProtection,
+      protection,
+    });
+  }, [controller, output, x, y, fixed, resolution, withProtection, protection]);
+
+  if (!surface) return <p className="text-sm text-gray-600">The surface needs at least two inputs.</p>;
+
+  // Вибір осі, що збігається з іншою, міняє їх місцями
+  const setAxis = (axis, key) => {
+    const other = axis === "x" ? "y" : "x";
+    const current = { x, y };
+    setAxes(current[other] === key ? { [axis]: key, [other]: current[axis] } : { ...current, [axis]: key });
+  };
+
+  const n = surface.xs.length;
+  const cell = SIZE / n;
+  const span = surface.max - surface.min || 1;
+  const others = keys.filter((k) => k !== x && k !== y);
+  const label = (key) => variables[key].name;
+  const tick = (key, t) => fmtTick(variables[key].range[0] + t * (variables[key].range[1] - variables[key].range[0]));
+
+  return (
+    <div className="text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <OperatorSelect label="Output" options={OUTPUT_OPTIONS} value={output} onChange={setOutput} />
+        <OperatorSelect label="X axis" options={inputOptions} value={x} onChange={(k) => setAxis("x", k)} />
+        <OperatorSelect label="Y axis" options={inputOptions} value={y} onChange={(k) => setAxis("y", k)} />
+        <OperatorSelect
+          label="Grid"
+          options={RESOLUTIONS}
+          value={String(resolution)}
+          onChange={(v) => setResolution(Number(v))}
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-4 mt-2 items-center">
+        {others.map((key) => (
+          <label key={key} className="flex items-center gap-2">
+            {label(key)} = {fmtTick(fixed[key] ?? midpoint(variables[key]))}
+            <input
+              type="range"
+              min={variables[key].range[0]}
+              max={variables[key].range[1]}
+              step={(variables[key].range[1] - variables[key].range[0]) / 100}
+              value={fixed[key] ?? midpoint(variables[key])}
+              onChange={(e) => setFixed((f) => ({ ...f, [key]: Number(e.target.value) }))}
+            />
+          </label>
+        ))}
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={withProtection}
+            onChange={(e) => setWithProtection(e.target.checked)}
+          />
+          Include protection limits
+        </label>
+      </div>
+
+      <div className="flex gap-4 mt-3 items-start">
+        <svg
+          width={SIZE + MARGIN + 10}
+          height={SIZE + MARGIN + 10}
+          onMouseLeave={() => setHover(null)}
+        >
+          <g transform={`translate(${MARGIN}, 10)`}>
+            {surface.values.map((row, j) =>
+              row.map((v, i) => (
+                <rect
+                  key={`${i}-${j}`}
+                  x={i * cell}
+                  y={SIZE - (j + 1) * cell}
+                  width={cell + 0.5}
+                  height={cell + 0.5}
+                  fill={color((v - surface.min) / span)}
+                  onMouseEnter={() => setHover({ x: surface.xs[i], y: surface.ys[j], value: v })}
+                />
+              ))
+            )}
+            {TICKS.map((t) => (
+              <g key={t}>
+                <text x={t * SIZE} y={SIZE + 14} textAnchor="middle" fontSize="10">
+                  {tick(x, t)}
+                </text>
+                <text x={-6} y={SIZE - t * SIZE + 3} textAnchor="end" fontSize="10">
+                  {tick(y, t)}
+                </text>
+              </g>
+            ))}
+            <text x={SIZE / 2} y={SIZE + 30} textAnchor="middle" fontSize="12">
+              {label(x)}
+            </text>
+            <text
+              transform={`translate(${-30}, ${SIZE / 2}) rotate(-90)`}
+              textAnchor="middle"
+              fontSize="12"
+            >
+              {label(y)}
+            </text>
+          </g>
+        </svg>
+
+        <div>
+          <p className="font-semibold">{output}</p>
+          <div className="flex items-center gap-2 mt-1">
+            <div
+              className="w-4 h-40 rounded"
+              style={{ background: `linear-gradient(to top, ${color(0)}, ${color(0.5)}, ${color(1)})` }}
+            />
+            <div className="h-40 flex flex-col justify-between">
+              <span>{surface.max.toFixed(2)}</span>
+              <span>{surface.min.toFixed(2)}</span>
+            </div>
+          </div>
+          <p className="mt-3 w-40">
+            {hover
+              ? `${label(x)} ${hover.x.toFixed(1)}, ${label(y)} ${hover.y.toFixed(1)} → ${output} ${hover.value.toFixed(3)}`
+              : "Hover the map to read the exact value."}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { CONTROLLER_FORMATS, exportController, importController } from "../engine/index.js";
+import { downloadFile } from "../utils/download.js";
+import OperatorSelect from "./OperatorSelect.jsx";
+
+// Експорт/імпорт контролера: Deep-FLC JSON, MATLAB .fis, FCL
+export default function ControllerExchange({ definition, onImport }) {
+  const [format, setFormat] = useState("json");
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  const exportCurrent = () => {
+    try {
+      const { extension } = CONTROLLER_FORMATS[format];
+      downloadFile(`controller.${extension}`, exportController(definition, format), "text/plain");
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const importFile = async (file) => {
+    try {
+      const imported = importController(await file.text(), file.name);
+      onImport(imported);
+      setStatus(`Imported ${file.name}: ${imported.inference.method}, ${imported.rules.length} rules`);
+      setError(null);
+    } catch (err) {
+      setStatus(null);
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap gap-2 items-end">
+        <div className="w-48">
+          <OperatorSelect
+            label="Format"
+            options={CONTROLLER_FORMATS}
+            value={format}
+            onChange={setFormat}
+          />
+        </div>
+        <button onClick={exportCurrent} className="px-3 py-1 bg-blue-500 text-black rounded">
+          Export Controller
+        </button>
+        <label className="px-3 py-1 bg-gray-500 text-black rounded cursor-pointer">
+          Import Controller
+          <input
+            type="file"
+            accept=".json,.fis,.fcl"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) importFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+      {status && <p className="mt-2 text-green-700">{status}</p>}
+      {error && <p className="mt-2 text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React from "react";
+import { downloadFile } from "../utils/download.js";
+
+const TYPE_CLASS = { trip: "text-red-600", release: "text-green-700" };
+
+const fmtValue = (v) => (v === undefined ? "" : (Math.round(v * 100) / 100).toFixed(2));
+
+// Журнал спрацювань захисного шару: найновіші зверху, експорт у CSV
+export default function EventLog({ events, onClear }) {
+  const exportCSV = () => {
+    const lines = [
+      "timestamp,time,protection,event,value,message",
+      ...events.map((e) => [e.at, e.time, e.id, e.type, fmtValue(e.value), e.message].join(",")),
+    ];
+    downloadFile("protection-events.csv", lines.join("\n"), "text/csv");
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="flex gap-2 items-center mb-2">
+        <span>{events.length} event(s)</span>
+        <button
+          onClick={exportCSV}
+          disabled={!events.length}
+          className="px-3 py-1 bg-blue-500 text-black rounded"
+        >
+          Export CSV
+        </button>
+        <button onClick={onClear} className="px-3 py-1 bg-gray-500 text-black rounded">
+          Clear
+        </button>
+      </div>
+      {events.length === 0 ? (
+        <p className="text-gray-600">No protection has activated yet.</p>
+      ) : (
+        <div className="max-h-48 overflow-y-auto">
+          <table className="w-full border">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="text-left px-2">Timestamp</th>
+                <th className="text-right px-2">t</th>
+                <th className="text-left px-2">Protection</th>
+                <th className="text-left px-2">Event</th>
+                <th className="text-right px-2">Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...events].reverse().map((e, i) => (
+                <tr key={events.length - i} className="border-t">
+                  <td className="px-2">{new Date(e.at).toLocaleTimeString()}</td>
+                  <td className="text-right px-2">{e.time}</td>
+                  <td className="px-2">{e.label}</td>
+                  <td className={`px-2 ${TYPE_CLASS[e.type]}`}>
+                    {e.type === "trip" ? "▲ trip" : "▼ release"} — {e.message}
+                  </td>
+                  <td className="text-right px-2">{fmtValue(e.value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useState } from "react";
+import { FAULT_TYPES, SENSOR_SIGNALS, createFault, validateFaults } from "../engine/index.js";
+
+const PARAM_LABELS = {
+  sigma: "σ",
+  offset: "Offset",
+  rate: "Per step",
+  value: "Value",
+  probability: "Probability",
+  magnitude: "Magnitude",
+};
+
+// Поле числа; порожнє значення — null (кінець вікна або "застигнути на поточному")
+function NumberField({ label, value, step = "1", placeholder, onChange }) {
+  return (
+    <label className="flex items-center gap-1">
+      {label}
+      <input
+        type="number"
+        step={step}
+        value={value ?? ""}
+        placeholder={placeholder}
+        onChange={(e) => onChange(e.target.value === "" ? null : Number(e.target.value))}
+        className="border px-1 w-16 text-center"
+      />
+    </label>
+  );
+}
+
+// Несправності датчиків: тип, вхід, вікно кроків і параметри кожної; seed відтворює випадкові відліки
+export default function FaultPanel({ sensors, onChange }) {
+  const [type, setType] = useState("noise");
+  const [signal, setSignal] = useState("SOC");
+  const { faults } = sensors;
+  const errors = validateFaults(sensors);
+
+  const setFaults = (next) => onChange({ ...sensors, faults: next });
+  const update = (id, patch) => setFaults(faults.map((f) => (f.id === id ? { ...f, ...patch } : f)));
+
+  return (
+    <div className="text-sm space-y-2">
+      <div className="flex flex-wrap gap-2 items-center">
+        <select value={type} onChange={(e) => setType(e.target.value)} className="border rounded px-2 py-1">
+          {Object.entries(FAULT_TYPES).map(([key, t]) => (
+            <option key={key} value={key}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        <select value={signal} onChange={(e) => setSignal(e.target.value)} className="border rounded px-2 py-1">
+          {SENSOR_SIGNALS.map((s) => (
+            <option key={s}>{s}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setFaults([...faults, createFault(type, signal)])}
+          className="px-3 py-1 bg-blue-500 text-black rounded"
+        >
+          Add Fault
+        </button>
+        <NumberField
+          label="Seed"
+          value={sensors.seed}
+          onChange={(seed) => onChange({ ...sensors, seed: seed ?? 1 })}
+        />
+        {faults.length > 0 && (
+          <button onClick={() => setFaults([])} className="px-3 py-1 bg-gray-500 text-black rounded">
+            Clear All
+          </button>
+        )}
+      </div>
+
+      {faults.length === 0 && <p className="text-gray-600">All sensors read the true values.</p>}
+      {faults.map((f) => (
+        <div key={f.id} className="flex flex-wrap items-center gap-3 border-b pb-1">
+          <label className="flex items-center gap-1 w-36">
+            <input
+              type="checkbox"
+              checked={f.enabled}
+              onChange={(e) => update(f.id, { enabled: e.target.checked })}
+            />
+            {FAULT_TYPES[f.type].label}
+          </label>
+          <select
+            value={f.signal}
+            onChange={(e) => update(f.id, { signal: e.target.value })}
+            className="border rounded px-1"
+          >
+            {SENSOR_SIGNALS.map((s) => (
+              <option key={s}>{s}</option>
+            ))}
+          </select>
+          <NumberField label="From step" value={f.start} onChange={(start) => update(f.id, { start: start ?? 0 })} />
+          <NumberField label="to" value={f.end} placeholder="end" onChange={(end) => update(f.id, { end })} />
+          {Object.keys(FAULT_TYPES[f.type].params)
+            .filter((key) => key !== "hold")
+            .map((key) => (
+              <NumberField
+                key={key}
+                label={PARAM_LABELS[key]}
+                step={key === "probability" ? "0.01" : "0.1"}
+                value={f[key]}
+                placeholder={key === "value" ? "hold" : undefined}
+                onChange={(v) => update(f.id, { [key]: v })}
+              />
+            ))}
+          {f.type === "dropout" && (
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={f.hold} onChange={(e) => update(f.id, { hold: e.target.checked })} />
+              repeat last sample
+            </label>
+          )}
+          <button
+            onClick={() => setFaults(faults.filter((x) => x.id !== f.id))}
+            className="px-2 bg-red-500 text-black rounded"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      {errors.map((message) => (
+        <p key={message} className="text-red-600">
+          {message}
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React, { useMemo } from "react";
+import {
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { evaluateMF } from "../engine/index.js";
+
+const colors = ["#8884d8", "#82ca9d", "#ff7300", "#d0453b", "#2f9bd6", "#a05cc4", "#8a8a2e"];
+const SAMPLES = 101;
+
+// Графік термів змінної на її діапазоні; без terms показуються всі терми з mfDefs
+export default function MFChart({ variable, terms, mfDefs, range = [0, 100] }) {
+  const [lo, hi] = range;
+  const lines = useMemo(() => terms ?? Object.keys(mfDefs[variable] ?? {}), [terms, mfDefs, variable]);
+  const data = useMemo(() => {
+    const chartData = [];
+    for (let i = 0; i < SAMPLES; i++) {
+      const x = Math.round((lo + ((hi - lo) * i) / (SAMPLES - 1)) * 100) / 100;
+      const point = { x };
+      lines.forEach((term) => {
+        point[term] = evaluateMF(mfDefs[variable][term], x);
+      });
+      chartData.push(point);
+    }
+    return chartData;
+  }, [variable, lines, mfDefs, lo, hi]);
+
+  return (
+    <ResponsiveContainer width="100%" height={300}>
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="x" />
+        <YAxis />
+        <Tooltip />
+        <Legend />
+        {lines.map((term, i) => (
+          <Line
+            key={term}
+            type="monotone"
+            dataKey={term}
+            stroke={colors[i % colors.length]}
+            dot={false}
+            isAnimationActive={false}
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
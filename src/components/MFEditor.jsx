@@ -0,0 +1,84 @@
+import React, { useMemo } from "react";
+import { MF_SHAPES, analyzeMembership, convertMF } from "../engine/index.js";
+
+const LEVEL_CLASS = { error: "text-red-600", warning: "text-yellow-700" };
+const INPUT_CLASS = { error: "border-red-500 bg-red-50", warning: "border-yellow-500 bg-yellow-50" };
+
+function IssueList({ issues }) {
+  if (!issues.length) return null;
+  return (
+    <ul className="text-xs mt-1">
+      {issues.map((issue, i) => (
+        <li key={i} className={LEVEL_CLASS[issue.level]}>
+          {issue.level === "error" ? "✕" : "⚠"} {issue.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Редактор функцій належності для набору змінних { variable: { term: mf } }; ranges — діапазон кожної змінної
+export default function MFEditor({ defs, ranges = {}, onChange }) {
+  const report = useMemo(() => analyzeMembership(defs, ranges), [defs, ranges]);
+
+  const updateTerm = (variable, term, mf) =>
+    onChange({ ...defs, [variable]: { ...defs[variable], [term]: mf } });
+
+  const updateParam = (variable, term, index, value) => {
+    const mf = defs[variable][term];
+    updateTerm(variable, term, {
+      ...mf,
+      params: mf.params.map((v, i) => (i === index ? Number(value) : v)),
+    });
+  };
+
+  return (
+    <div className="flex flex-wrap md:flex-nowrap w-full gap-2">
+      {Object.keys(defs).map((variable) => (
+        <div key={variable} className="border p-2 rounded w-full h-fit mb-4">
+          <p className="font-semibold">{variable}</p>
+          <IssueList issues={report[variable].issues} />
+          {Object.keys(defs[variable]).map((term) => (
+            <div key={term} className="text-sm mt-1 ">
+              <div className="flex justify-between items-center mb-2">
+                <p>{term}:</p>
+                <select
+                  value={defs[variable][term].type}
+                  onChange={(e) =>
+                    updateTerm(variable, term, convertMF(defs[variable][term], e.target.value))
+                  }
+                  className="border rounded text-xs"
+                >
+                  {Object.entries(MF_SHAPES).map(([type, shape]) => (
+                    <option key={type} value={type}>
+                      {shape.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex gap-2">
+                {defs[variable][term].params.map((val, i) => {
+                  const issue = report[variable].terms[term].find((t) => t.param === i);
+                  return (
+                    <input
+                      key={i}
+                      type="number"
+                      step="any"
+                      title={issue?.message ?? MF_SHAPES[defs[variable][term].type].params[i]}
+                      min={ranges[variable]?.[0] ?? 0}
+                      max={ranges[variable]?.[1] ?? 100}
+                      value={Number.isFinite(val) ? val : ""}
+                      onChange={(e) => updateParam(variable, term, i, e.target.value)}
+                      className={`border w-full text-center text-xs outline-none ${issue ? INPUT_CLASS[issue.level] : ""}`}
+                    />
+                  );
+                })}
+              </div>
+              <IssueList issues={report[variable].terms[term]} />
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
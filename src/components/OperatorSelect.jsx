@@ -0,0 +1,22 @@
+import React from "react";
+
+// Випадний список для таблиць виду { key: label } або { key: { label } }
+export default function OperatorSelect({ label, options, value, onChange, disabled }) {
+  return (
+    <div>
+      <label className="block font-semibold mb-2">{label}:</label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="border rounded px-2 py-1 w-full"
+      >
+        {Object.entries(options).map(([key, option]) => (
+          <option key={key} value={key}>
+            {typeof option === "string" ? option : option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { DEFAULT_OBJECTIVE, OPTIMIZER_ALGORITHMS } from "../engine/index.js";
+import OperatorSelect from "./OperatorSelect.jsx";
+
+const WEIGHT_LABELS = {
+  cost: "Energy cost",
+  socBand: "SOC outside band",
+  sohLoss: "SOH loss",
+  tempPeak: "Temperature peak",
+};
+
+const numberInput = (value, onChange, props = {}) => (
+  <input
+    type="number"
+    value={value}
+    onChange={(e) => onChange(Number(e.target.value))}
+    className="border px-1 w-full"
+    {...props}
+  />
+);
+
+// Оптимізація ФН і консеквентів правил за зваженою ціллю (GA / PSO)
+export default function OptimizerPanel({ base, scenario, tariff, controllerOptions, onApply }) {
+  const [settings, setSettings] = useState({
+    algorithm: "ga",
+    population: 20,
+    iterations: 30,
+    steps: 300,
+    optimizeRules: true,
+  });
+  const [weights, setWeights] = useState(DEFAULT_OBJECTIVE.weights);
+  const [socBand, setSocBand] = useState(DEFAULT_OBJECTIVE.socBand);
+  const [history, setHistory] = useState([]);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const update = (patch) => setSettings((s) => ({ ...s, ...patch }));
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setRunning(false);
+  };
+
+  const run = () => {
+    stopWorker();
+    setError(null);
+    setHistory([]);
+    setResult(null);
+    setRunning(true);
+    const worker = new Worker(new URL("../workers/optimizer.worker.js", import.meta.url), {
+      type: "module",
+    });
+    workerRef.current = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.type === "iteration") {
+        setHistory((h) => [...h, data.entry]);
+      } else if (data.type === "done") {
+        setResult(data.result);
+        stopWorker();
+      } else if (data.type === "error") {
+        setError(data.message);
+        stopWorker();
+      }
+    };
+    worker.onerror = (e) => {
+      setError(e.message || "The worker stopped with an error");
+      stopWorker();
+    };
+    worker.onmessageerror = () => {
+      setError("The worker sent a message that could not be read");
+      stopWorker();
+    };
+    worker.postMessage({
+      base,
+      algorithm: settings.algorithm,
+      population: settings.population,
+      iterations: settings.iterations,
+      optimizeRules: settings.optimizeRules,
+      scenario: { ...scenario, steps: settings.steps },
+      objective: { weights, socBand, tariff },
+      controllerOptions,
+    });
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 gap-2 text-sm">
+        <OperatorSelect
+          label="Algorithm"
+          options={OPTIMIZER_ALGORITHMS}
+          value={settings.algorithm}
+          onChange={(algorithm) => update({ algorithm })}
+        />
+        <label>
+          Population
+          {numberInput(settings.population, (population) => update({ population }), { min: 2 })}
+        </label>
+        <label>
+          Iterations
+          {numberInput(settings.iterations, (iterations) => update({ iterations }), { min: 1 })}
+        </label>
+        <label>
+          Simulated steps
+          {numberInput(settings.steps, (steps) => update({ steps }), { min: 1 })}
+        </label>
+        {Object.entries(WEIGHT_LABELS).map(([key, label]) => (
+          <label key={key}>
+            Weight: {label}
+            {numberInput(weights[key], (w) => setWeights((ws) => ({ ...ws, [key]: w })), {
+              min: 0,
+              step: 0.1,
+            })}
+          </label>
+        ))}
+        <label>
+          SOC band min
+          {numberInput(socBand[0], (v) => setSocBand(([, hi]) => [v, hi]))}
+        </label>
+        <label>
+          SOC band max
+          {numberInput(socBand[1], (v) => setSocBand(([lo]) => [lo, v]))}
+        </label>
+        <label className="col-span-2">
+          <input
+            type="checkbox"
+            checked={settings.optimizeRules}
+            onChange={(e) => update({ optimizeRules: e.target.checked })}
+            className="mr-2"
+          />
+          Also search rule consequents
+        </label>
+      </div>
+
+      <div className="mt-2 flex gap-2 text-sm">
+        <button onClick={run} disabled={running} className="px-3 py-1 bg-blue-500 text-black rounded">
+          Optimize
+        </button>
+        {running && (
+          <button onClick={stopWorker} className="px-3 py-1 bg-gray-500 text-black rounded">
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={() => onApply(result.best)}
+          disabled={!result}
+          className="px-3 py-1 bg-green-500 text-black rounded"
+        >
+          Apply Best
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      {result && (
+        <div className="text-sm mt-2">
+          <p>Best score: {result.score.toFixed(4)}</p>
+          {Object.entries(WEIGHT_LABELS).map(([key, label]) => (
+            <p key={key}>
+              {label}: {result.metrics[key].toFixed(4)}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <ResponsiveContainer width="100%" height={200}>
+        <LineChart data={history}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="iteration" />
+          <YAxis domain={["auto", "auto"]} />
+          <Tooltip />
+          <Legend />
+          <Line
+            type="monotone"
+            dataKey="best"
+            stroke="#82ca9d"
+            dot={false}
+            isAnimationActive={false}
+            name="Best score"
+          />
+          <Line
+            type="monotone"
+            dataKey="mean"
+            stroke="#8884d8"
+            dot={false}
+            isAnimationActive={false}
+            name="Population mean"
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
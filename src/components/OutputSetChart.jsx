@@ -0,0 +1,51 @@
+import React from "react";
+import {
+  AreaChart,
+  Area,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+
+// Агрегована вихідна нечітка множина CP/GP поточного кроку та чітке значення
+export default function OutputSetChart({ inference }) {
+  const data = inference.aggregated.CP.map((p, i) => ({
+    x: p.x,
+    CP: p.mu,
+    GP: inference.aggregated.GP[i].mu,
+  }));
+
+  return (
+    <ResponsiveContainer width="100%" height={300}>
+      <AreaChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="x" type="number" domain={[0, 100]} />
+        <YAxis domain={[0, (max) => Math.max(1, max)]} />
+        <Tooltip />
+        <Legend />
+        <Area
+          type="linear"
+          dataKey="CP"
+          stroke="#8884d8"
+          fill="#8884d8"
+          fillOpacity={0.3}
+          isAnimationActive={false}
+        />
+        <Area
+          type="linear"
+          dataKey="GP"
+          stroke="#82ca9d"
+          fill="#82ca9d"
+          fillOpacity={0.3}
+          isAnimationActive={false}
+        />
+        <ReferenceLine x={inference.CP} stroke="#8884d8" strokeDasharray="4 4" />
+        <ReferenceLine x={inference.GP} stroke="#82ca9d" strokeDasharray="4 4" />
+      </AreaChart>
+    </ResponsiveContainer>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+import { parseForecaster, parseHistoryData } from "../engine/index.js";
+import { downloadFile } from "../utils/download.js";
+
+const FIELDS = [
+  ["window", "Window", 1],
+  ["horizon", "Horizon (N)", 1],
+  ["hidden", "Hidden units", 1],
+  ["epochs", "Epochs", 1],
+  ["learningRate", "Learning rate", 0.001],
+];
+
+// Навчання нейромережевого прогнозувача Deep-FLC у Web Worker
+export default function PredictorPanel({ histories, model, onModelChange }) {
+  const [config, setConfig] = useState({
+    window: 10,
+    horizon: 5,
+    hidden: 16,
+    epochs: 100,
+    learningRate: 0.05,
+  });
+  const [dataset, setDataset] = useState(null);
+  const [loss, setLoss] = useState([]);
+  const [training, setTraining] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setTraining(false);
+  };
+
+  // resume — донавчання поточної моделі (її вікно, горизонт і ваги), інакше нова мережа з налаштувань
+  const train = (resume) => {
+    stopWorker();
+    setError(null);
+    setLoss(resume ? model.loss.map((l, i) => ({ epoch: i + 1, loss: l })) : []);
+    setTraining(true);
+    const worker = new Worker(new URL("../workers/forecaster.worker.js", import.meta.url), {
+      type: "module",
+    });
+    workerRef.current = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.type === "epoch") {
+        setLoss((l) => [...l, { epoch: data.epoch, loss: data.loss }]);
+      } else if (data.type === "done") {
+        onModelChange(data.model);
+        stopWorker();
+      } else if (data.type === "error") {
+        setError(data.message);
+        stopWorker();
+      }
+    };
+    worker.onerror = (e) => {
+      setError(e.message || "The worker stopped with an error");
+      stopWorker();
+    };
+    worker.onmessageerror = () => {
+      setError("The worker sent a message that could not be read");
+      stopWorker();
+    };
+    worker.postMessage({
+      ...(resume ? { model } : { config }),
+      histories: dataset?.histories ?? histories,
+      epochs: config.epochs,
+      learningRate: config.learningRate,
+    });
+  };
+
+  const importDataset = async (file) => {
+    try {
+      setDataset({ name: file.name, histories: parseHistoryData(await file.text()) });
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const loadWeights = async (file) => {
+    try {
+      const loaded = parseForecaster(await file.text());
+      onModelChange(loaded);
+      setLoss(loaded.loss.map((l, i) => ({ epoch: i + 1, loss: l })));
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const lossData = loss.length
+    ? loss
+    : (model?.loss ?? []).map((l, i) => ({ epoch: i + 1, loss: l }));
+
+  return (
+    <div>
+      <div className="grid grid-cols-5 gap-2 text-sm">
+        {FIELDS.map(([key, label, step]) => (
+          <label key={key}>
+            {label}
+            <input
+              type="number"
+              min={step}
+              step={step}
+              value={config[key]}
+              onChange={(e) => setConfig((c) => ({ ...c, [key]: Number(e.target.value) }))}
+              className="border px-1 w-full"
+            />
+          </label>
+        ))}
+      </div>
+
+      <p className="text-sm mt-2">
+        Training data:{" "}
+        {dataset ? (
+          <>
+            {dataset.name} ({dataset.histories.SOC.length} samples){" "}
+            <button onClick={() => setDataset(null)} className="text-blue-600">
+              use simulation history
+            </button>
+          </>
+        ) : (
+          `simulation history (${histories.SOC.length} samples)`
+        )}
+      </p>
+
+      <div className="mt-2 flex flex-wrap gap-2 text-sm">
+        <button onClick={() => train(false)} className="px-3 py-1 bg-blue-500 text-black rounded">
+          {model ? "Train New Model" : "Train"}
+        </button>
+        {model && (
+          <button onClick={() => train(true)} className="px-3 py-1 bg-blue-500 text-black rounded">
+            Continue Training
+          </button>
+        )}
+        {training && (
+          <button onClick={stopWorker} className="px-3 py-1 bg-gray-500 text-black rounded">
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={() => downloadFile("forecaster.json", JSON.stringify(model))}
+          disabled={!model}
+          className="px-3 py-1 bg-gray-500 text-black rounded"
+        >
+          Save Weights
+        </button>
+        <label className="px-3 py-1 bg-gray-500 text-black rounded cursor-pointer">
+          Load Weights
+          <input
+            type="file"
+            accept=".json"
+            className="hidden"
+            onChange={(e) => e.target.files[0] && loadWeights(e.target.files[0])}
+          />
+        </label>
+        <label className="px-3 py-1 bg-gray-500 text-black rounded cursor-pointer">
+          Import Data
+          <input
+            type="file"
+            accept=".csv,.json"
+            className="hidden"
+            onChange={(e) => e.target.files[0] && importDataset(e.target.files[0])}
+          />
+        </label>
+        {model && (
+          <button onClick={() => onModelChange(null)} className="px-3 py-1 text-red-600">
+            Discard Model
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      <p className="text-sm mt-2">
+        Predictor:{" "}
+        {model
+          ? `MLP ${model.window}→${model.horizon} steps, ${model.loss.length} epochs`
+          : "exponential smoothing (no trained model)"}
+        {training && " — training…"}
+      </p>
+
+      <ResponsiveContainer width="100%" height={200}>
+        <LineChart data={lossData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="epoch" />
+          <YAxis scale="log" domain={["auto", "auto"]} />
+          <Tooltip />
+          <Line
+            type="monotone"
+            dataKey="loss"
+            stroke="#8b0000"
+            dot={false}
+            isAnimationActive={false}
+            name="Training loss (MSE)"
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useState } from "react";
+import {
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import {
+  INTERPOLATIONS,
+  PROFILE_CHANNELS,
+  SYNTHETIC_PROFILES,
+  parseProfileData,
+  profileDuration,
+  sampleProfiles,
+} from "../engine/index.js";
+import OperatorSelect from "./OperatorSelect.jsx";
+
+const PREVIEW_POINTS = 200;
+const COLORS = { load: "#0000ff", pv: "#ffa500", ambient: "#ff0000" };
+
+// Профілі навантаження, PV і температури середовища, що керують симуляцією за часом
+export default function ProfilePanel({ profiles, time, onChange }) {
+  const [imported, setImported] = useState({});
+  const [selected, setSelected] = useState({ load: "", pv: "", ambient: "" });
+  const [error, setError] = useState(null);
+
+  const sources = (channel) => {
+    const options = { "": "None (manual)" };
+    for (const [key, p] of Object.entries(SYNTHETIC_PROFILES)) {
+      if (p.channel === channel) options[key] = p.label;
+    }
+    for (const [key, p] of Object.entries(imported)) {
+      if (p.channel === channel) options[key] = p.profile.name;
+    }
+    return options;
+  };
+
+  const select = (channel, key) => {
+    setSelected((s) => ({ ...s, [channel]: key }));
+    const profile = key ? SYNTHETIC_PROFILES[key]?.build() ?? imported[key].profile : null;
+    onChange({ ...profiles, [channel]: profile });
+  };
+
+  const importProfiles = async (file) => {
+    try {
+      const parsed = parseProfileData(await file.text(), file.name);
+      const entries = Object.entries(parsed).map(([channel, profile]) => [
+        `${file.name}:${channel}`,
+        { channel, profile },
+      ]);
+      setImported((s) => ({ ...s, ...Object.fromEntries(entries) }));
+      setSelected((s) => ({
+        ...s,
+        ...Object.fromEntries(entries.map(([key, { channel }]) => [channel, key])),
+      }));
+      onChange({ ...profiles, ...parsed });
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  // Попередній перегляд у часі профілю (без зсуву старту) на тривалості найдовшого профілю або доби
+  const active = Object.keys(PROFILE_CHANNELS).filter((c) => profiles[c]);
+  const duration = Math.max(86400, ...active.map((c) => profileDuration(profiles[c])));
+  const preview = Array.from({ length: PREVIEW_POINTS + 1 }, (_, i) => {
+    const t = (i / PREVIEW_POINTS) * duration;
+    return { hour: Math.round((t / 3600) * 100) / 100, ...sampleProfiles({ ...profiles, offset: 0 }, t) };
+  });
+  const nowHour = Math.round((((time + profiles.offset) % duration) / 3600) * 100) / 100;
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-2 text-sm">
+        {Object.entries(PROFILE_CHANNELS).map(([channel, label]) => (
+          <OperatorSelect
+            key={channel}
+            label={label}
+            options={sources(channel)}
+            value={selected[channel]}
+            onChange={(key) => select(channel, key)}
+          />
+        ))}
+        <OperatorSelect
+          label="Interpolation"
+          options={INTERPOLATIONS}
+          value={profiles.interpolation}
+          onChange={(interpolation) => onChange({ ...profiles, interpolation })}
+        />
+        <label>
+          <span className="block font-semibold mb-2">Start at (год):</span>
+          <input
+            type="number"
+            min="0"
+            max="24"
+            step="0.5"
+            value={profiles.offset / 3600}
+            onChange={(e) => onChange({ ...profiles, offset: Number(e.target.value) * 3600 })}
+            className="border px-2 py-1 w-full"
+          />
+        </label>
+        <label className="self-end px-3 py-1 bg-gray-500 text-black rounded cursor-pointer text-center">
+          Import CSV/JSON
+          <input
+            type="file"
+            accept=".csv,.json"
+            className="hidden"
+            onChange={(e) => e.target.files[0] && importProfiles(e.target.files[0])}
+          />
+        </label>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+      <ResponsiveContainer width="100%" height={250}>
+        <LineChart data={preview}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="hour" type="number" domain={[0, duration / 3600]} />
+          <YAxis yAxisId="left" />
+          <YAxis yAxisId="right" orientation="right" />
+          <Tooltip />
+          <Legend />
+          {active.map((channel) => (
+            <Line
+              key={channel}
+              yAxisId={channel === "pv" ? "right" : "left"}
+              type="monotone"
+              dataKey={channel}
+              stroke={COLORS[channel]}
+              dot={false}
+              isAnimationActive={false}
+              name={PROFILE_CHANNELS[channel]}
+            />
+          ))}
+          <ReferenceLine yAxisId="left" x={nowHour} stroke="#000" label="now" />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
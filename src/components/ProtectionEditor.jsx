@@ -0,0 +1,76 @@
+import React from "react";
+import { PROTECTIONS, validateProtection } from "../engine/index.js";
+
+const UNITS = { SOC: "%", Temp: "°C" };
+
+// Поле числового параметра захисту
+function NumberField({ label, value, step = "1", onChange }) {
+  return (
+    <label className="flex items-center gap-1">
+      {label}
+      <input
+        type="number"
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="border px-1 w-16 text-center"
+      />
+    </label>
+  );
+}
+
+// Редактор захисного шару: увімкнення, пороги спрацювання/зняття, коефіцієнт дерейтингу, швидкість зміни
+export default function ProtectionEditor({ protection, onChange }) {
+  const update = (id, patch) => onChange({ ...protection, [id]: { ...protection[id], ...patch } });
+  const errors = validateProtection(protection);
+
+  return (
+    <div className="text-sm space-y-2">
+      {Object.entries(PROTECTIONS).map(([id, p]) => {
+        const c = protection[id];
+        const unit = p.kind === "ramp" ? "%/step" : UNITS[p.signal];
+        return (
+          <div key={id} className="flex flex-wrap items-center gap-3 border-b pb-1">
+            <label className="flex items-center gap-1 w-56">
+              <input
+                type="checkbox"
+                checked={c.enabled}
+                onChange={(e) => update(id, { enabled: e.target.checked })}
+              />
+              {p.label}
+            </label>
+            {p.kind === "threshold" ? (
+              <>
+                <NumberField
+                  label={`Trip ${p.above ? "≥" : "≤"}`}
+                  value={c.trip}
+                  onChange={(trip) => update(id, { trip })}
+                />
+                <NumberField label="Release" value={c.release} onChange={(release) => update(id, { release })} />
+                {c.factor !== undefined && (
+                  <NumberField
+                    label="CP ×"
+                    step="0.05"
+                    value={c.factor}
+                    onChange={(factor) => update(id, { factor })}
+                  />
+                )}
+              </>
+            ) : (
+              <NumberField label="Max change" value={c.rate} onChange={(rate) => update(id, { rate })} />
+            )}
+            <span className="text-gray-600">
+              {unit}
+              {p.action && ` · ${p.action}`}
+            </span>
+          </div>
+        );
+      })}
+      {errors.map((message) => (
+        <p key={message} className="text-red-600">
+          {message}
+        </p>
+      ))}
+    </div>
+  );
+}
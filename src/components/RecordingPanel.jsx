@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from "react";
+import {
+  createRecording,
+  exportRecordingCSV,
+  exportRecordingJSON,
+  importRecording,
+} from "../engine/index.js";
+import { downloadFile } from "../utils/download.js";
+
+// Виміряний сигнал симуляції для джерела входу
+const MEASURED = { soc: "SOC", soh: "SOH", load: "Load", temp: "Temperature" };
+
+// Архівування прогону (CSV/JSON) і відтворення записаного прогону з повзунком
+export default function RecordingPanel({ steps, config, replay, onReplayChange }) {
+  const [playing, setPlaying] = useState(false);
+  const [error, setError] = useState(null);
+
+  const total = replay?.recording.steps.length ?? 0;
+  const atEnd = !replay || replay.index >= total - 1;
+  const active = playing && !atEnd;
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const timer = setInterval(
+      () => onReplayChange((r) => (r ? { ...r, index: Math.min(r.index + 1, r.recording.steps.length - 1) } : r)),
+      200
+    );
+    return () => clearInterval(timer);
+  }, [active, onReplayChange]);
+
+  const exportRun = (format) => {
+    const recording = createRecording(steps, config);
+    if (format === "csv") downloadFile("run.csv", exportRecordingCSV(recording), "text/csv");
+    else downloadFile("run.json", exportRecordingJSON(recording), "application/json");
+  };
+
+  const loadFile = async (file) => {
+    try {
+      const recording = importRecording(await file.text());
+      onReplayChange({ recording, name: file.name, index: 0 });
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const close = () => {
+    setPlaying(false);
+    onReplayChange(null);
+  };
+
+  const seek = (index) => onReplayChange((r) => ({ ...r, index: Math.max(0, Math.min(index, total - 1)) }));
+
+  const current = replay?.recording.steps[replay.index];
+  const recordedConfig = replay?.recording.config;
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap gap-2 items-center">
+        <button
+          onClick={() => exportRun("csv")}
+          disabled={!steps.length}
+          className="px-3 py-1 bg-blue-500 text-black rounded"
+        >
+          Export Run (CSV)
+        </button>
+        <button
+          onClick={() => exportRun("json")}
+          disabled={!steps.length}
+          className="px-3 py-1 bg-blue-500 text-black rounded"
+        >
+          Export Run (JSON)
+        </button>
+        <label className="px-3 py-1 bg-gray-500 text-black rounded cursor-pointer">
+          Load Recording
+          <input
+            type="file"
+            accept=".csv,.json"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) loadFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        <span>{steps.length} steps recorded in this session</span>
+      </div>
+      {error && <p className="mt-2 text-red-600">{error}</p>}
+
+      {replay && (
+        <div className="mt-3 border-t pt-2">
+          <p>
+            Replaying <span className="font-semibold">{replay.name}</span> · mode {recordedConfig.mode} ·{" "}
+            {recordedConfig.definition.inference.method} · {recordedConfig.definition.rules.length} rules ·{" "}
+            {recordedConfig.plant?.battery?.chemistry ?? "-"} battery · recorded{" "}
+            {replay.recording.createdAt}
+          </p>
+          <div className="flex gap-2 items-center mt-2">
+            <button onClick={() => seek(replay.index - 1)} className="px-3 py-1 bg-gray-500 text-black rounded">
+              ◀
+            </button>
+            <button
+              onClick={() => {
+                if (atEnd) seek(0);
+                setPlaying(atEnd || !active);
+              }}
+              className="px-3 py-1 bg-yellow-500 text-black rounded"
+            >
+              {active ? "Pause" : "Play"}
+            </button>
+            <button onClick={() => seek(replay.index + 1)} className="px-3 py-1 bg-gray-500 text-black rounded">
+              ▶
+            </button>
+            <input
+              type="range"
+              min="0"
+              max={total - 1}
+              value={replay.index}
+              onChange={(e) => seek(Number(e.target.value))}
+              className="flex-1"
+            />
+            <span>
+              Step {replay.index + 1}/{total} (t = {current.time})
+            </span>
+            <button onClick={close} className="px-3 py-1 bg-red-500 text-black rounded">
+              Close Replay
+            </button>
+          </div>
+
+          <table className="w-full mt-2 border">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="text-left px-2">Input</th>
+                <th className="text-right px-2">Measured</th>
+                <th className="text-right px-2">Controller input</th>
+                <th className="text-left px-2">Memberships</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(replay.recording.config.definition.variables).map(([key, variable]) => (
+                <tr key={key} className="border-t">
+                  <td className="px-2">{variable.name}</td>
+                  <td className="text-right px-2">{current[MEASURED[variable.source]] ?? "-"}</td>
+                  <td className="text-right px-2">{current.predicted?.[key] ?? "-"}</td>
+                  <td className="px-2">
+                    {Object.entries(current.memberships?.[key] ?? {})
+                      .map(([term, mu]) => `${term} ${mu}`)
+                      .join(" · ")}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2">
+            CP {current.CP} · GP {current.GP} · energy {Number(current.energy).toFixed(4)} кВт·год · cost{" "}
+            {Number(current.cost).toFixed(2)} грн
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React from "react";
+import { OUTPUT_VARIABLES } from "../engine/index.js";
+
+const fmt = (v) => (Math.round(v * 100) / 100).toFixed(2);
+
+// Входи без терму ("будь-які") у тексті правила пропускаються
+const antecedentText = (rule, variables) =>
+  Object.keys(variables)
+    .filter((key) => rule.antecedent[key])
+    .map((key) => `${key} is ${rule.antecedent[key]}`)
+    .join(" AND ") || "Always";
+
+// Пояснення рішення: фазифікація входів, правила за силою спрацювання, внески у CP/GP і захисні поправки
+export default function RuleInspector({ decision, time, following, onFollow }) {
+  if (!decision) return <p className="text-sm text-gray-600">Run the simulation to inspect decisions.</p>;
+
+  return (
+    <div className="text-sm">
+      <div className="flex gap-2 items-center mb-2">
+        <span>
+          Step t = <span className="font-semibold">{time}</span>
+          {following ? " (latest)" : " (picked on Main Chart)"}
+        </span>
+        {!following && (
+          <button onClick={onFollow} className="px-3 py-1 bg-gray-500 text-black rounded">
+            Follow Latest
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {Object.entries(decision.variables).map(([key, variable]) => (
+          <div key={key} className="border rounded p-2">
+            <p className="font-semibold">
+              {variable.name} = {fmt(decision.inputs[key])}
+            </p>
+            {Object.entries(decision.memberships[key]).map(([term, mu]) => (
+              <div key={term} className="flex items-center gap-1">
+                <span className="w-20">{term}</span>
+                <div className="flex-1 h-2 bg-gray-200 rounded">
+                  <div className="h-2 bg-blue-500 rounded" style={{ width: `${mu * 100}%` }} />
+                </div>
+                <span className="w-10 text-right">{fmt(mu)}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <table className="w-full mt-3 border">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="text-left px-2">#</th>
+            <th className="text-left px-2">Rule</th>
+            <th className="text-left px-2">Then</th>
+            <th className="text-right px-2">Strength</th>
+            <th className="text-right px-2">Share</th>
+            {OUTPUT_VARIABLES.map((out) => (
+              <th key={out} className="text-right px-2">
+                → {out}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {decision.rules.map((r) => (
+            <tr key={r.index} className="border-t">
+              <td className="px-2">{r.rule.id ?? r.index + 1}</td>
+              <td className="px-2">{antecedentText(r.rule, decision.variables)}</td>
+              <td className="px-2">
+                {OUTPUT_VARIABLES.map((out) => `${out} ${r.rule.consequent[out]}`).join(", ")}
+              </td>
+              <td className="text-right px-2">{fmt(r.strength)}</td>
+              <td className="text-right px-2">{fmt(r.share * 100)}%</td>
+              {OUTPUT_VARIABLES.map((out) => (
+                <td key={out} className="text-right px-2">
+                  {fmt(r.contributions[out])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t font-semibold">
+            <td className="px-2" colSpan={5}>
+              Controller output
+            </td>
+            {OUTPUT_VARIABLES.map((out) => (
+              <td key={out} className="text-right px-2">
+                {fmt(decision.raw[out])}
+              </td>
+            ))}
+          </tr>
+        </tfoot>
+      </table>
+      {decision.rules.length === 0 && (
+        <p className="mt-2 text-red-600">No rule fired; outputs fall back to 50.</p>
+      )}
+
+      <div className="mt-3">
+        <h3 className="font-semibold">Protection layer</h3>
+        {decision.protection.length === 0 ? (
+          <p>Nothing active — CP {fmt(decision.final.CP)}, GP {fmt(decision.final.GP)}.</p>
+        ) : (
+          <ul className="list-disc ml-5">
+            {decision.protection.map((o) => (
+              <li key={o.id}>
+                {o.label}: CP {fmt(o.before.CP)} → {fmt(o.after.CP)}, GP {fmt(o.before.GP)} →{" "}
+                {fmt(o.after.GP)}
+                {o.after.allowDischarge === false && ", discharge blocked"}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
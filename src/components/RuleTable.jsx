@@ -0,0 +1,220 @@
+import React, { useMemo, useState } from "react";
+import {
+  DEFAULT_VARIABLES,
+  OUTPUT_TERMS,
+  analyzeRules,
+  createRule,
+  variableTerms,
+} from "../engine/index.js";
+
+const cell = "border border-gray-400 px-2 py-1";
+const ROW_CLASS = { error: "bg-red-50", warning: "bg-yellow-50" };
+const LEVEL_CLASS = { error: "text-red-600", warning: "text-yellow-700" };
+
+// Антецедент без терму — "будь-який" вхід (Any)
+export default function RuleTable({ rules, variables = DEFAULT_VARIABLES, mfDefs, onChange, onReset }) {
+  const [filters, setFilters] = useState({});
+  const [sort, setSort] = useState({ key: "id", dir: 1 });
+  const [problemsOnly, setProblemsOnly] = useState(false);
+
+  const keys = Object.keys(variables);
+  const terms = useMemo(() => variableTerms(variables, mfDefs), [variables, mfDefs]);
+  const report = useMemo(() => analyzeRules(rules, mfDefs, variables), [rules, mfDefs, variables]);
+  const issueCount = (level) =>
+    Object.values(report.rules).filter((issues) => issues.some((i) => i.level === level)).length;
+
+  const visible = useMemo(() => {
+    const filtered = rules.filter(
+      (r) =>
+        Object.keys(variables).every((key) => !filters[key] || r.antecedent[key] === filters[key]) &&
+        (!problemsOnly || report.rules[r.id].length > 0)
+    );
+    // Порядок термів для сортування: Any < Low < Medium < High і т.д.
+    const value = (r) =>
+      sort.key === "id" ? r.id : (terms[sort.key]?.indexOf(r.antecedent[sort.key]) ?? -1);
+    return [...filtered].sort((a, b) => (value(a) - value(b) || a.id - b.id) * sort.dir);
+  }, [rules, variables, terms, filters, sort, problemsOnly, report]);
+
+  const updateRule = (id, patch) =>
+    onChange(rules.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+
+  const deleteRule = (id) => onChange(rules.filter((r) => r.id !== id));
+
+  const setTerm = (r, key, term) => {
+    const { [key]: _previous, ...rest } = r.antecedent;
+    updateRule(r.id, { antecedent: term ? { ...rest, [key]: term } : rest });
+  };
+
+  const toggleSort = (key) =>
+    setSort((s) => ({ key, dir: s.key === key ? -s.dir : 1 }));
+
+  const sortMark = (key) => (sort.key === key ? (sort.dir > 0 ? " ▲" : " ▼") : "");
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-2 text-sm items-center">
+        {keys.map((key) => (
+          <label key={key} className="flex items-center gap-1">
+            {key}:
+            <select
+              value={filters[key] || ""}
+              onChange={(e) => setFilters((f) => ({ ...f, [key]: e.target.value }))}
+              className="border rounded px-1"
+            >
+              <option value="">Any</option>
+              {terms[key].map((term) => (
+                <option key={term} value={term}>
+                  {term}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={problemsOnly}
+            onChange={(e) => setProblemsOnly(e.target.checked)}
+          />
+          Problems only
+        </label>
+        <span className="text-gray-600">
+          {visible.length} / {rules.length}
+        </span>
+      </div>
+
+      <div className="text-sm mb-2">
+        <span className={issueCount("error") ? LEVEL_CLASS.error : "text-green-700"}>
+          {issueCount("error")} rule(s) with errors
+        </span>
+        {" · "}
+        <span className={issueCount("warning") ? LEVEL_CLASS.warning : "text-green-700"}>
+          {issueCount("warning")} with warnings
+        </span>
+        {" · "}
+        {report.missing ? (
+          <span className={report.missing.length ? LEVEL_CLASS.warning : "text-green-700"}>
+            {report.missing.length} uncovered term combination(s)
+          </span>
+        ) : (
+          <span className="text-gray-600">
+            {report.combinations} term combinations: too many to check coverage
+          </span>
+        )}
+        {report.missing?.length > 0 && (
+          <details className="mt-1">
+            <summary className="cursor-pointer">Uncovered combinations</summary>
+            <ul className="max-h-32 overflow-y-auto">
+              {report.missing.map((a) => (
+                <li key={keys.map((k) => a[k]).join("|")}>
+                  {keys.map((k) => `${k} ${a[k]}`).join(", ")}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </div>
+
+      <table className="border-collapse border border-gray-400 w-full text-sm">
+        <thead>
+          <tr className="bg-gray-200">
+            <th className={`${cell} cursor-pointer`} onClick={() => toggleSort("id")}>
+              #{sortMark("id")}
+            </th>
+            {keys.map((key) => (
+              <th key={key} className={`${cell} cursor-pointer`} onClick={() => toggleSort(key)}>
+                {key}
+                {sortMark(key)}
+              </th>
+            ))}
+            <th className={cell}>CP</th>
+            <th className={cell}>GP</th>
+            <th className={cell}>Weight</th>
+            <th className={cell}>Problems</th>
+            <th className={cell}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map((r) => {
+            const issues = report.rules[r.id];
+            const level = issues.some((i) => i.level === "error") ? "error" : issues[0]?.level;
+            return (
+              <tr key={r.id} className={ROW_CLASS[level] ?? ""}>
+                <td className={cell}>{r.id}</td>
+                {keys.map((key) => (
+                  <td key={key} className={cell}>
+                    <select value={r.antecedent[key] ?? ""} onChange={(e) => setTerm(r, key, e.target.value)}>
+                      <option value="">Any</option>
+                      {terms[key].map((term) => (
+                        <option key={term} value={term}>
+                          {term}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                ))}
+                {["CP", "GP"].map((out) => (
+                  <td key={out} className={cell}>
+                    <select
+                      value={r.consequent[out]}
+                      onChange={(e) =>
+                        updateRule(r.id, {
+                          consequent: { ...r.consequent, [out]: e.target.value },
+                        })
+                      }
+                    >
+                      {OUTPUT_TERMS.map((term) => (
+                        <option key={term} value={term}>
+                          {term}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                ))}
+                <td className={cell}>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={r.weight}
+                    onChange={(e) =>
+                      updateRule(r.id, {
+                        weight: Math.max(0, Math.min(1, Number(e.target.value))),
+                      })
+                    }
+                    className="border w-16 text-center"
+                  />
+                </td>
+                <td className={cell}>
+                  {issues.map((issue, i) => (
+                    <p key={i} className={`text-xs ${LEVEL_CLASS[issue.level]}`}>
+                      {issue.message}
+                    </p>
+                  ))}
+                </td>
+                <td className={cell}>
+                  <button onClick={() => deleteRule(r.id)} className="text-red-600">
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="mt-2 space-x-2">
+        <button
+          onClick={() => onChange([...rules, createRule(rules, terms)])}
+          className="px-3 py-1 bg-blue-500 text-black rounded"
+        >
+          Add Rule
+        </button>
+        <button onClick={onReset} className="px-3 py-1 bg-gray-500 text-black rounded">
+          Reset to Generated Defaults
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,288 @@
+import React, { useEffect, useState } from "react";
+import {
+  createScenario,
+  duplicateScenario,
+  readScenario,
+  renameScenario,
+  scenarioFromHash,
+  scenarioHash,
+} from "../engine/index.js";
+import { STORES, deleteRecord, listRecords, putRecord, subscribe } from "../utils/storage.js";
+
+const fmt = (v, digits = 2) => (typeof v === "number" ? v.toFixed(digits) : "-");
+const byNewest = (key) => (a, b) => b[key].localeCompare(a[key]);
+
+// Сценарій з посилання, якщо адреса його містить
+function sharedFromLocation() {
+  try {
+    return { scenario: scenarioFromHash(window.location.hash) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// Прибирає сценарій з адреси, щоб перезавантаження не пропонувало його знову
+function clearHash() {
+  window.history.replaceState(null, "", window.location.pathname + window.location.search);
+}
+
+// Бібліотека сценаріїв та історія прогонів у сховищі браузера, посилання на сценарій.
+// config — поточна конфігурація у форматі createScenario; onLoad отримує перевірений сценарій
+export default function ScenarioLibrary({ config, onLoad }) {
+  const [scenarios, setScenarios] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [name, setName] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const [shared, setShared] = useState(sharedFromLocation);
+  const [link, setLink] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = async () => {
+      try {
+        const [storedScenarios, storedRuns] = await Promise.all([
+          listRecords(STORES.scenarios),
+          listRecords(STORES.runs),
+        ]);
+        if (cancelled) return;
+        setScenarios(storedScenarios.sort(byNewest("updatedAt")));
+        setRuns(storedRuns.sort(byNewest("finishedAt")));
+      } catch (err) {
+        if (!cancelled) setError(`Browser storage is unavailable: ${err.message}`);
+      }
+    };
+    refresh();
+    const unsubscribe = subscribe(refresh);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  // Дія над сховищем з показом помилки
+  const attempt = async (action) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const load = (record) =>
+    attempt(async () => {
+      onLoad(readScenario(record));
+    });
+
+  const save = () =>
+    attempt(async () => {
+      await putRecord(STORES.scenarios, createScenario(name.trim() || `Scenario ${scenarios.length + 1}`, config));
+      setName("");
+    });
+
+  const commitRename = () =>
+    attempt(async () => {
+      const record = scenarios.find((s) => s.id === renaming.id);
+      await putRecord(STORES.scenarios, renameScenario(record, renaming.name));
+      setRenaming(null);
+    });
+
+  const share = (record) => {
+    const url = `${window.location.origin}${window.location.pathname}${scenarioHash(record)}`;
+    setLink({ name: record.name, url });
+    navigator.clipboard?.writeText(url).catch(() => {});
+  };
+
+  const loadShared = () => {
+    load(shared.scenario);
+    setShared(null);
+    clearHash();
+  };
+
+  const saveShared = () =>
+    attempt(async () => {
+      await putRecord(STORES.scenarios, duplicateScenario(shared.scenario, shared.scenario.name));
+      setShared(null);
+      clearHash();
+    });
+
+  return (
+    <div className="text-sm space-y-3">
+      {shared?.scenario && (
+        <div className="bg-blue-100 p-2 rounded flex flex-wrap gap-2 items-center">
+          <span>
+            This link contains the scenario <span className="font-semibold">{shared.scenario.name}</span>.
+          </span>
+          <button onClick={loadShared} className="px-3 py-1 bg-blue-500 text-black rounded">
+            Load
+          </button>
+          <button onClick={saveShared} className="px-3 py-1 bg-green-500 text-black rounded">
+            Save to Library
+          </button>
+          <button
+            onClick={() => {
+              setShared(null);
+              clearHash();
+            }}
+            className="px-3 py-1 bg-gray-500 text-black rounded"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+      {shared?.error && <p className="text-red-600">Shared link: {shared.error}</p>}
+
+      <div className="flex gap-2 items-center">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Scenario name"
+          className="border rounded px-2 py-1"
+        />
+        <button onClick={save} className="px-3 py-1 bg-blue-500 text-black rounded">
+          Save Current as Scenario
+        </button>
+        <button
+          onClick={() => share(createScenario(name.trim() || "Shared scenario", config))}
+          className="px-3 py-1 bg-gray-500 text-black rounded"
+        >
+          Share Current
+        </button>
+      </div>
+
+      {link && (
+        <div>
+          <p>
+            Link to <span className="font-semibold">{link.name}</span> (copied to the clipboard when
+            allowed):
+          </p>
+          <input readOnly value={link.url} onFocus={(e) => e.target.select()} className="border w-full px-1" />
+        </div>
+      )}
+      {error && <p className="text-red-600">{error}</p>}
+
+      <div>
+        <h3 className="font-semibold mb-1">Scenarios</h3>
+        {scenarios.length === 0 ? (
+          <p className="text-gray-600">No saved scenarios yet.</p>
+        ) : (
+          <table className="w-full border">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="text-left px-2">Name</th>
+                <th className="text-left px-2">Mode</th>
+                <th className="text-left px-2">Updated</th>
+                <th className="px-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {scenarios.map((s) => (
+                <tr key={s.id} className="border-t">
+                  <td className="px-2">
+                    {renaming?.id === s.id ? (
+                      <input
+                        autoFocus
+                        value={renaming.name}
+                        onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                        onKeyDown={(e) => e.key === "Enter" && commitRename()}
+                        onBlur={commitRename}
+                        className="border rounded px-1"
+                      />
+                    ) : (
+                      s.name
+                    )}
+                  </td>
+                  <td className="px-2">{s.config.mode}</td>
+                  <td className="px-2">{new Date(s.updatedAt).toLocaleString()}</td>
+                  <td className="px-2 py-1 space-x-1 text-right">
+                    <button onClick={() => load(s)} className="px-2 bg-blue-500 text-black rounded">
+                      Load
+                    </button>
+                    <button
+                      onClick={() => attempt(() => putRecord(STORES.scenarios, duplicateScenario(s)))}
+                      className="px-2 bg-gray-500 text-black rounded"
+                    >
+                      Duplicate
+                    </button>
+                    <button
+                      onClick={() => setRenaming({ id: s.id, name: s.name })}
+                      className="px-2 bg-gray-500 text-black rounded"
+                    >
+                      Rename
+                    </button>
+                    <button onClick={() => share(s)} className="px-2 bg-gray-500 text-black rounded">
+                      Link
+                    </button>
+                    <button
+                      onClick={() => attempt(() => deleteRecord(STORES.scenarios, s.id))}
+                      className="px-2 bg-red-500 text-black rounded"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-1">Run History</h3>
+        {runs.length === 0 ? (
+          <p className="text-gray-600">Runs are stored here when the simulation is paused or reset, or the page is closed.</p>
+        ) : (
+          <div className="overflow-x-auto max-h-64 overflow-y-auto">
+            <table className="w-full border">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="text-left px-2">Finished</th>
+                  <th className="text-left px-2">Run</th>
+                  <th className="text-left px-2">Mode</th>
+                  <th className="text-right px-2">Steps</th>
+                  <th className="text-right px-2">Energy (кВт·год)</th>
+                  <th className="text-right px-2">Cost (грн)</th>
+                  <th className="text-right px-2">SOC final (min–max)</th>
+                  <th className="text-right px-2">SOH loss</th>
+                  <th className="text-right px-2">Peak temp</th>
+                  <th className="text-right px-2">Alarms</th>
+                  <th className="px-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map((r) => (
+                  <tr key={r.id} className="border-t">
+                    <td className="px-2">{new Date(r.finishedAt).toLocaleString()}</td>
+                    <td className="px-2">{r.name}</td>
+                    <td className="px-2">{r.mode}</td>
+                    <td className="text-right px-2">{r.summary.steps}</td>
+                    <td className="text-right px-2">{fmt(r.summary.energy, 4)}</td>
+                    <td className="text-right px-2">{fmt(r.summary.cost)}</td>
+                    <td className="text-right px-2">
+                      {fmt(r.summary.finalSOC, 1)} ({fmt(r.summary.minSOC, 1)}–{fmt(r.summary.maxSOC, 1)})
+                    </td>
+                    <td className="text-right px-2">{fmt(r.summary.sohLoss, 4)}</td>
+                    <td className="text-right px-2">{fmt(r.summary.peakTemp, 1)}</td>
+                    <td className="text-right px-2">{r.summary.alarms}</td>
+                    <td className="px-2 py-1 space-x-1 text-right whitespace-nowrap">
+                      <button onClick={() => load(r.scenario)} className="px-2 bg-blue-500 text-black rounded">
+                        Load Config
+                      </button>
+                      <button
+                        onClick={() => attempt(() => deleteRecord(STORES.runs, r.id))}
+                        className="px-2 bg-red-500 text-black rounded"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React, { useState } from "react";
+import { LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { SENSOR_SIGNALS } from "../engine/index.js";
+
+// Фактичне та виміряне значення входу по кроках; пропущені відліки — розриви лінії
+export default function SensorChart({ series }) {
+  const [signal, setSignal] = useState("SOC");
+  const points = series.filter((p) => p.sensors);
+  if (!points.length) {
+    return <p className="text-sm text-gray-600">Add a sensor fault to compare true and measured inputs.</p>;
+  }
+
+  const errors = points
+    .map((p) => p.sensors.measured[signal] - p.sensors.actual[signal])
+    .filter(Number.isFinite);
+  const dropped = points.length - errors.length;
+  const meanAbs = errors.length ? errors.reduce((acc, e) => acc + Math.abs(e), 0) / errors.length : 0;
+
+  return (
+    <div className="text-sm">
+      <div className="flex gap-3 items-center mb-2">
+        <select value={signal} onChange={(e) => setSignal(e.target.value)} className="border rounded px-2 py-1">
+          {SENSOR_SIGNALS.map((s) => (
+            <option key={s}>{s}</option>
+          ))}
+        </select>
+        <span>
+          Mean |error|: <span className="font-semibold">{meanAbs.toFixed(2)}</span>
+        </span>
+        <span>
+          Missing samples: <span className="font-semibold">{dropped}</span>
+        </span>
+      </div>
+      <ResponsiveContainer width="100%" height={250}>
+        <LineChart data={points}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="time" />
+          <YAxis />
+          <Tooltip />
+          <Legend />
+          <Line type="monotone" dataKey={`sensors.actual.${signal}`} stroke="#8884d8" dot={false} name="True" />
+          <Line
+            type="linear"
+            dataKey={`sensors.measured.${signal}`}
+            stroke="#ff7300"
+            dot={{ r: 2 }}
+            name="Measured"
+            isAnimationActive={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
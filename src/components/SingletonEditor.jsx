@@ -0,0 +1,32 @@
+import React from "react";
+
+// Редактор синглтонів виходу Sugeno: { CP: { term: value }, GP: { ... } }
+export default function SingletonEditor({ outputs, onChange }) {
+  return (
+    <div className="flex w-full gap-2">
+      {Object.keys(outputs).map((out) => (
+        <div key={out} className="border p-2 rounded w-full h-fit mb-4">
+          <p className="font-semibold">{out}</p>
+          <div className="flex gap-2 text-sm">
+            {Object.keys(outputs[out]).map((term) => (
+              <label key={term} className="w-full">
+                {term}
+                <input
+                  type="number"
+                  value={outputs[out][term]}
+                  onChange={(e) =>
+                    onChange({
+                      ...outputs,
+                      [out]: { ...outputs[out], [term]: Number(e.target.value) },
+                    })
+                  }
+                  className="border w-full text-center text-xs outline-none"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React from "react";
+import { TARIFF_BANDS } from "../engine/index.js";
+
+const BAND_COLORS = { peak: "bg-red-300", shoulder: "bg-yellow-200", offPeak: "bg-green-200" };
+const BAND_KEYS = Object.keys(TARIFF_BANDS);
+
+// Редактор тарифу: ставки зон, розклад по годинах, зелений тариф і плата за потужність
+export default function TariffEditor({ tariff, onChange }) {
+  const update = (patch) => onChange({ ...tariff, ...patch });
+
+  // Клік по годині перемикає її на наступну зону
+  const cycleHour = (h) => {
+    const next = BAND_KEYS[(BAND_KEYS.indexOf(tariff.schedule[h]) + 1) % BAND_KEYS.length];
+    update({ schedule: tariff.schedule.map((b, i) => (i === h ? next : b)) });
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="grid grid-cols-3 gap-2">
+        {BAND_KEYS.map((band) => (
+          <label key={band}>
+            <span className={`px-1 rounded ${BAND_COLORS[band]}`}>{TARIFF_BANDS[band]}</span>{" "}
+            (грн/кВтч)
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={tariff.rates[band]}
+              onChange={(e) =>
+                update({ rates: { ...tariff.rates, [band]: Math.max(0, Number(e.target.value)) } })
+              }
+              className="border px-2 py-1 w-full"
+            />
+          </label>
+        ))}
+        <label>
+          Feed-in credit (грн/кВтч)
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={tariff.feedIn}
+            onChange={(e) => update({ feedIn: Math.max(0, Number(e.target.value)) })}
+            className="border px-2 py-1 w-full"
+          />
+        </label>
+        <label className="col-span-2">
+          Demand charge (грн/кВт пікового імпорту за місяць)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={tariff.demandCharge}
+            onChange={(e) => update({ demandCharge: Math.max(0, Number(e.target.value)) })}
+            className="border px-2 py-1 w-full"
+          />
+        </label>
+      </div>
+      <p className="font-semibold mt-3 mb-1">Schedule (click an hour to change its band)</p>
+      <div className="grid grid-cols-12 gap-1">
+        {tariff.schedule.map((band, h) => (
+          <button
+            key={h}
+            onClick={() => cycleHour(h)}
+            title={TARIFF_BANDS[band]}
+            className={`rounded text-xs py-1 ${BAND_COLORS[band]}`}
+          >
+            {String(h).padStart(2, "0")}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
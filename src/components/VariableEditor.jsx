@@ -0,0 +1,199 @@
+import React, { useState } from "react";
+import {
+  INPUT_SOURCES,
+  TERM_PRESETS,
+  addTerm,
+  addVariable,
+  removeTerm,
+  removeVariable,
+  setTermCount,
+  setVariableRange,
+  variableTerms,
+} from "../engine/index.js";
+import OperatorSelect from "./OperatorSelect.jsx";
+
+const SOURCE_OPTIONS = Object.fromEntries(
+  Object.entries(INPUT_SOURCES).map(([key, s]) => [key, `${s.label} (${s.unit})`])
+);
+const COUNT_OPTIONS = Object.fromEntries(Object.keys(TERM_PRESETS).map((n) => [n, `${n} terms`]));
+
+// Редактор моделі входів: змінні, їх джерела, діапазони та терми.
+// onChange отримує { variables, mfDefs, rules } — правила узгоджуються зі зміною термів
+export default function VariableEditor({ variables, mfDefs, rules, onChange }) {
+  const [draft, setDraft] = useState({ name: "", source: "price", terms: "3" });
+  const [newTerms, setNewTerms] = useState({});
+  const [error, setError] = useState(null);
+
+  const terms = variableTerms(variables, mfDefs);
+  const model = { variables, mfDefs, rules };
+
+  // Зміна моделі з показом помилки замість винятку
+  const apply = (change) => {
+    try {
+      onChange({ ...model, ...change() });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const changeRange = (key, index, value) => {
+    const range = [...variables[key].range];
+    range[index] = Number(value);
+    apply(() => setVariableRange(model, key, range));
+  };
+
+  const add = () =>
+    apply(() =>
+      addVariable(model, {
+        name: draft.name.trim(),
+        source: draft.source,
+        range: INPUT_SOURCES[draft.source].range,
+        terms: Number(draft.terms),
+      })
+    );
+
+  return (
+    <div className="text-sm">
+      <table className="w-full border">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="text-left px-2">Input</th>
+            <th className="text-left px-2">Source</th>
+            <th className="text-left px-2">Range</th>
+            <th className="text-left px-2">Terms</th>
+            <th className="px-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(variables).map(([key, v]) => (
+            <tr key={key} className="border-t align-top">
+              <td className="px-2 py-1 font-semibold">
+                {key}
+                {v.name !== key && <span className="font-normal text-gray-600"> ({v.name})</span>}
+              </td>
+              <td className="px-2 py-1">
+                <select
+                  value={v.source}
+                  onChange={(e) =>
+                    onChange({
+                      ...model,
+                      variables: { ...variables, [key]: { ...v, source: e.target.value } },
+                    })
+                  }
+                  className="border rounded px-1"
+                >
+                  {Object.entries(SOURCE_OPTIONS).map(([source, label]) => (
+                    <option key={source} value={source}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td className="px-2 py-1">
+                {[0, 1].map((i) => (
+                  <input
+                    key={i}
+                    type="number"
+                    step="any"
+                    value={v.range[i]}
+                    onChange={(e) => changeRange(key, i, e.target.value)}
+                    className="border w-16 text-center mr-1"
+                  />
+                ))}
+              </td>
+              <td className="px-2 py-1">
+                <div className="flex flex-wrap gap-1 items-center">
+                  <select
+                    value={TERM_PRESETS[terms[key].length] ? terms[key].length : ""}
+                    onChange={(e) => apply(() => setTermCount(model, key, Number(e.target.value)))}
+                    className="border rounded px-1"
+                  >
+                    {!TERM_PRESETS[terms[key].length] && <option value="">{terms[key].length} terms</option>}
+                    {Object.entries(COUNT_OPTIONS).map(([n, label]) => (
+                      <option key={n} value={n}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  {terms[key].map((term) => (
+                    <span key={term} className="border rounded px-1">
+                      {term}
+                      {terms[key].length > 1 && (
+                        <button
+                          onClick={() => apply(() => removeTerm(model, key, term))}
+                          className="text-red-600 ml-1"
+                          title="Remove term and the rules that use it"
+                        >
+                          ✕
+                        </button>
+                      )}
+                    </span>
+                  ))}
+                  <input
+                    placeholder="New term"
+                    value={newTerms[key] ?? ""}
+                    onChange={(e) => setNewTerms((t) => ({ ...t, [key]: e.target.value }))}
+                    className="border rounded px-1 w-24"
+                  />
+                  <button
+                    onClick={() => {
+                      apply(() => ({ mfDefs: addTerm(model, key, (newTerms[key] ?? "").trim()) }));
+                      setNewTerms((t) => ({ ...t, [key]: "" }));
+                    }}
+                    className="px-2 bg-gray-500 text-black rounded"
+                  >
+                    + Term
+                  </button>
+                </div>
+              </td>
+              <td className="px-2 py-1">
+                {Object.keys(variables).length > 1 && (
+                  <button
+                    onClick={() => apply(() => removeVariable(model, key))}
+                    className="text-red-600"
+                    title="Remove input; rules treat it as don't care"
+                  >
+                    ✕
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-4 gap-2 mt-3 items-end">
+        <label>
+          Name
+          <input
+            value={draft.name}
+            onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+            placeholder="Price"
+            className="border rounded px-1 w-full"
+          />
+        </label>
+        <OperatorSelect
+          label="Source"
+          options={SOURCE_OPTIONS}
+          value={draft.source}
+          onChange={(source) => setDraft((d) => ({ ...d, source }))}
+        />
+        <OperatorSelect
+          label="Terms"
+          options={COUNT_OPTIONS}
+          value={draft.terms}
+          onChange={(n) => setDraft((d) => ({ ...d, terms: n }))}
+        />
+        <button onClick={add} className="px-3 py-1 bg-blue-500 text-black rounded">
+          Add Input
+        </button>
+      </div>
+      <p className="text-gray-600 mt-2">
+        New inputs start with uniform terms over the source range and are don't care in existing
+        rules; use Reset to Generated Defaults in the Rule Base to rebuild the grid.
+      </p>
+      {error && <p className="text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
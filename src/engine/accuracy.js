@@ -0,0 +1,81 @@
+// Точність прогнозу входів: кожен прогноз на `horizon` кроків чекає, поки надійдуть фактичні
+// значення, і його похибки на кожному кроці вперед потрапляють у ковзні MAE та RMSE.
+// Ковзне середнє експоненційне з ефективним вікном ACCURACY_WINDOW, тож стан не росте з прогоном.
+
+export const ACCURACY_WINDOW = 50;
+export const ACCURACY_CHANNELS = ["SOC", "SOH", "Load", "Temp"];
+
+// z для двобічного інтервалу 95% за нормальних похибок
+const Z_95 = 1.96;
+
+export function createAccuracyState() {
+  return { pending: [], stats: {} };
+}
+
+// Ковзне оновлення: перші ACCURACY_WINDOW похибок — звичайне середнє, далі експоненційне
+function accumulate(stat = { count: 0, mae: 0, mse: 0 }, error) {
+  const count = stat.count + 1;
+  const rate = 1 / Math.min(count, ACCURACY_WINDOW);
+  return {
+    count,
+    mae: stat.mae + rate * (Math.abs(error) - stat.mae),
+    mse: stat.mse + rate * (error * error - stat.mse),
+  };
+}
+
+// Крок точності в момент `time`: forecast — прогноз, зроблений на цьому кроці
+// ({ SOC: [h значень], ... }, перше значення — для цього ж кроку), actual — фактичні значення кроку
+export function updateAccuracy(state, time, forecast, actual) {
+  const prev = state ?? createAccuracyState();
+  const horizon = forecast ? Math.max(...Object.values(forecast).map((v) => v.length)) : 0;
+  const pending = forecast ? [...prev.pending, { time, values: forecast, horizon }] : prev.pending;
+  const stats = { ...prev.stats };
+  for (const entry of pending) {
+    const k = time - entry.time;
+    for (const ch of ACCURACY_CHANNELS) {
+      const predicted = entry.values[ch]?.[k];
+      if (!Number.isFinite(predicted) || !Number.isFinite(actual[ch])) continue;
+      const steps = [...(stats[ch] ?? [])];
+      steps[k] = accumulate(steps[k], predicted - actual[ch]);
+      stats[ch] = steps;
+    }
+  }
+  // Прогноз чекає, доки не минуть усі його кроки
+  const open = pending.filter((entry) => time - entry.time < entry.horizon - 1);
+  return { pending: open, stats };
+}
+
+// MAE/RMSE кожного входу: загалом по всіх кроках уперед і окремо для кожного кроку
+export function accuracyMetrics(state) {
+  const result = {};
+  for (const ch of ACCURACY_CHANNELS) {
+    const steps = (state?.stats[ch] ?? []).map(
+      (s) => s && { count: s.count, mae: s.mae, rmse: Math.sqrt(s.mse) }
+    );
+    const known = steps.filter(Boolean);
+    const count = known.reduce((acc, s) => acc + s.count, 0);
+    result[ch] = {
+      count,
+      mae: count ? known.reduce((acc, s) => acc + s.mae * s.count, 0) / count : null,
+      rmse: count ? Math.sqrt(known.reduce((acc, s) => acc + s.rmse * s.rmse * s.count, 0) / count) : null,
+      steps,
+    };
+  }
+  return result;
+}
+
+// Довірчий інтервал прогнозу: ±z·RMSE відповідного кроку вперед. Для кроків без власної
+// статистики RMSE першого кроку зростає як √(k+1), як у випадкового блукання; без статистики — null
+export function confidenceBand(forecast, metrics, z = Z_95) {
+  const result = {};
+  for (const [ch, values] of Object.entries(forecast)) {
+    const steps = metrics?.[ch]?.steps ?? [];
+    result[ch] = values.map((value, k) => {
+      const rmse = steps[k]?.rmse ?? (steps[0] ? steps[0].rmse * Math.sqrt(k + 1) : null);
+      return rmse === null
+        ? { value, lower: null, upper: null }
+        : { value, lower: value - z * rmse, upper: value + z * rmse };
+    });
+  }
+  return result;
+}
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  accuracyMetrics,
+  confidenceBand,
+  createController,
+  runSimulation,
+  updateAccuracy,
+} from "./index.js";
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} != ${expected}`);
+
+const flat = (v) => ({ SOC: v, SOH: v, Load: v, Temp: v });
+const forecastOf = (values) => ({ SOC: values, SOH: values, Load: values, Temp: values });
+
+test("past predictions are scored against the values that came in", () => {
+  // Прогноз на 3 кроки з моменту 1: 50, 52, 54; фактично приходять 51, 51, 57
+  let state = updateAccuracy(null, 1, forecastOf([50, 52, 54]), flat(51));
+  state = updateAccuracy(state, 2, null, flat(51));
+  state = updateAccuracy(state, 3, null, flat(57));
+  assert.deepEqual(state.pending, []);
+  const { SOC } = accuracyMetrics(state);
+  assert.equal(SOC.count, 3);
+  close(SOC.mae, (1 + 1 + 3) / 3);
+  close(SOC.rmse, Math.sqrt((1 + 1 + 9) / 3));
+  assert.deepEqual(
+    SOC.steps.map((s) => s.mae),
+    [1, 1, 3]
+  );
+});
+
+test("missing actual values are not scored", () => {
+  const state = updateAccuracy(null, 1, forecastOf([50]), { ...flat(51), Load: NaN });
+  const metrics = accuracyMetrics(state);
+  assert.equal(metrics.SOC.count, 1);
+  assert.equal(metrics.Load.count, 0);
+  assert.equal(metrics.Load.mae, null);
+});
+
+test("the confidence band widens with the forecast step", () => {
+  let state = null;
+  for (let t = 1; t <= 10; t++) state = updateAccuracy(state, t, forecastOf([50]), flat(t % 2 ? 52 : 48));
+  const band = confidenceBand(forecastOf([50, 50, 50]), accuracyMetrics(state)).SOC;
+  close(band[0].upper - band[0].value, 1.96 * 2);
+  assert.ok(band[2].upper - band[2].lower > band[1].upper - band[1].lower);
+  assert.deepEqual(confidenceBand({ SOC: [50] }, null).SOC, [{ value: 50, lower: null, upper: null }]);
+});
+
+test("deep mode forecasts the configured horizon and tracks its accuracy", () => {
+  const controller = createController();
+  const { state } = runSimulation({ controller, steps: 20, mode: "deep", horizon: 5, initial: { load: 80 } });
+  const metrics = accuracyMetrics(state.accuracy);
+  assert.equal(metrics.SOC.steps.length, 5);
+  assert.ok(metrics.SOC.count > 20);
+  assert.ok(Number.isFinite(metrics.SOC.rmse));
+  assert.ok(metrics.SOC.rmse >= metrics.SOC.mae);
+  assert.ok(state.accuracy.pending.length <= 4);
+});
@@ -0,0 +1,164 @@
+import { OUTPUT_VARIABLES, createController } from "./controller.js";
+import { repairMF } from "./membership.js";
+import { parseCSV, rowsToColumns } from "./csv.js";
+import { DEFAULT_VARIABLES } from "./variables.js";
+
+// Навчальна вибірка: CSV або JSON-масив рядків з колонкою на кожен вхід (ключ або назва змінної) та CP, GP
+export function parseTrainingData(text, variables = DEFAULT_VARIABLES) {
+  const trimmed = text.trim();
+  const rows = trimmed.startsWith("[") ? JSON.parse(trimmed) : parseCSV(trimmed);
+  if (!rows.length) throw new Error("Dataset is empty");
+  const keys = Object.keys(variables);
+  const aliases = Object.fromEntries(
+    Object.entries(variables)
+      .filter(([key, v]) => v.name !== key)
+      .map(([key, v]) => [key, [v.name]])
+  );
+  const cols = rowsToColumns(rows, [...keys, ...OUTPUT_VARIABLES], aliases);
+  return rows.map((_, i) => ({
+    inputs: Object.fromEntries(keys.map((k) => [k, cols[k][i]])),
+    targets: Object.fromEntries(OUTPUT_VARIABLES.map((k) => [k, cols[k][i]])),
+  }));
+}
+
+// Розв'язок (AᵀA + λI) v = Aᵀy методом Гауса
+function leastSquares(A, y, lambda = 1e-6) {
+  const n = A[0].length;
+  const M = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n + 1 }, (_, j) => {
+      if (j === n) return A.reduce((acc, row, k) => acc + row[i] * y[k], 0);
+      return A.reduce((acc, row) => acc + row[i] * row[j], 0) + (i === j ? lambda : 0);
+    })
+  );
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col || M[col][col] === 0) continue;
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  return M.map((row, i) => (row[i] === 0 ? 0 : row[n] / row[i]));
+}
+
+// Прямий прохід ANFIS: синглтони термів виходу методом найменших квадратів
+export function fitConsequents(controller, samples, terms) {
+  const outputs = {};
+  const acts = samples.map((s) => controller.activations(s.inputs));
+  for (const out of OUTPUT_VARIABLES) {
+    const A = [];
+    const y = [];
+    acts.forEach((a, i) => {
+      const row = terms.map((t) => a[out][t] ?? 0);
+      if (row.every((v) => v === 0)) return;
+      A.push(row);
+      y.push(samples[i].targets[out]);
+    });
+    const current = controller.outputs.CP ? controller.outputs[out] : controller.outputs;
+    if (A.length === 0) {
+      outputs[out] = { ...current };
+      continue;
+    }
+    const v = leastSquares(A, y);
+    // Терми без жодної активації зберігають попереднє значення
+    outputs[out] = Object.fromEntries(
+      terms.map((t, i) => [t, A.some((row) => row[i] > 0) ? v[i] : current[t]])
+    );
+  }
+  return outputs;
+}
+
+export function rmse(controller, samples) {
+  if (!samples.length) return null;
+  let sum = 0;
+  for (const s of samples) {
+    const res = controller.infer(s.inputs);
+    for (const out of OUTPUT_VARIABLES) sum += (res[out] - s.targets[out]) ** 2;
+  }
+  return Math.sqrt(sum / (samples.length * OUTPUT_VARIABLES.length));
+}
+
+const cloneDefs = (defs) => structuredClone(defs);
+
+// Гібридне навчання: МНК для синглтонів + градієнтний спуск (центральні різниці) по параметрах ФН.
+// Крок адаптивний: зростає на 10% після вдалого кроку і зменшується вдвічі після невдалого.
+export function trainAnfis({
+  variables,
+  mfDefs,
+  rules,
+  outputs,
+  samples,
+  epochs = 20,
+  stepSize = 2,
+  validationSplit = 0.2,
+  operators = {},
+  onEpoch,
+}) {
+  const nVal = Math.floor(samples.length * validationSplit);
+  const train = samples.slice(0, samples.length - nVal);
+  const validation = samples.slice(samples.length - nVal);
+  if (!train.length) throw new Error("No training samples left after the validation split");
+
+  const terms = Object.keys(outputs.CP ?? outputs);
+  const build = (defs, outs) =>
+    createController({ ...operators, variables, mfDefs: defs, rules, outputs: outs, method: "sugeno" });
+
+  let defs = cloneDefs(mfDefs);
+  let outs = fitConsequents(build(defs, outputs), train, terms);
+  let loss = rmse(build(defs, outs), train);
+  const history = [];
+  const h = 0.25;
+
+  for (let epoch = 1; epoch <= epochs; epoch++) {
+    // Зворотний прохід: градієнт RMSE за кожним параметром ФН
+    const grads = [];
+    for (const variable of Object.keys(defs)) {
+      for (const term of Object.keys(defs[variable])) {
+        const { params } = defs[variable][term];
+        params.forEach((p, i) => {
+          // Збіжні параметри (плечі трапеції) не рухаються, щоб форма лишалась плечем
+          if (params.some((q, j) => j !== i && q === p)) return;
+          const probe = (delta) => {
+            const d = cloneDefs(defs);
+            d[variable][term].params[i] = p + delta;
+            return rmse(build(d, outs), train);
+          };
+          grads.push({ variable, term, i, g: (probe(h) - probe(-h)) / (2 * h) });
+        });
+      }
+    }
+    const norm = Math.sqrt(grads.reduce((acc, { g }) => acc + g * g, 0));
+
+    if (norm > 0) {
+      const candidate = cloneDefs(defs);
+      for (const { variable, term, i, g } of grads) {
+        candidate[variable][term].params[i] -= (stepSize * g) / norm;
+      }
+      for (const variable of Object.keys(candidate)) {
+        for (const term of Object.keys(candidate[variable])) {
+          candidate[variable][term] = repairMF(candidate[variable][term]);
+        }
+      }
+      const candidateOuts = fitConsequents(build(candidate, outs), train, terms);
+      const candidateLoss = rmse(build(candidate, candidateOuts), train);
+      if (candidateLoss < loss) {
+        defs = candidate;
+        outs = candidateOuts;
+        loss = candidateLoss;
+        stepSize *= 1.1;
+      } else {
+        stepSize *= 0.5;
+      }
+    }
+
+    const entry = { epoch, train: loss, validation: rmse(build(defs, outs), validation) };
+    history.push(entry);
+    onEpoch?.(entry);
+  }
+
+  return { mfDefs: defs, outputs: outs, history };
+}
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_MFS,
+  OUTPUT_CENTROIDS,
+  createController,
+  createRandom,
+  fitConsequents,
+  generateRuleBase,
+  parseTrainingData,
+  trainAnfis,
+} from "./index.js";
+
+const rules = generateRuleBase();
+const outputs = { CP: { ...OUTPUT_CENTROIDS }, GP: { ...OUTPUT_CENTROIDS } };
+
+// Вчитель: ті ж правила, зсунуті ФН SOC та інші синглтони
+const teacherMFs = structuredClone(DEFAULT_MFS);
+teacherMFs.SOC.Medium.params = [40, 60, 85];
+const teacherOutputs = {
+  CP: { Low: 10, Medium: 45, High: 90 },
+  GP: { Low: 20, Medium: 55, High: 80 },
+};
+const teacher = createController({ mfDefs: teacherMFs, rules, outputs: teacherOutputs });
+
+function makeSamples(n, seed) {
+  const random = createRandom(seed);
+  return Array.from({ length: n }, () => {
+    const inputs = {
+      SOC: random() * 100,
+      SOH: 40 + random() * 60,
+      Load: random() * 100,
+      Temp: random() * 60,
+    };
+    const { CP, GP } = teacher.infer(inputs);
+    return { inputs, targets: { CP, GP } };
+  });
+}
+
+test("parseTrainingData reads inputs and CP/GP targets", () => {
+  const samples = parseTrainingData("SOC,SOH,Load,Temperature,CP,GP\n50,90,40,25,60,40");
+  assert.deepEqual(samples, [
+    { inputs: { SOC: 50, SOH: 90, Load: 40, Temp: 25 }, targets: { CP: 60, GP: 40 } },
+  ]);
+  assert.throws(() => parseTrainingData("SOC,SOH,Load,Temp,CP\n1,2,3,4,5"), /Missing column: GP/);
+});
+
+test("least squares recovers the teacher singletons for fixed MFs", () => {
+  const controller = createController({ mfDefs: teacherMFs, rules, outputs });
+  const fitted = fitConsequents(controller, makeSamples(60, 3), ["Low", "Medium", "High"]);
+  for (const out of ["CP", "GP"]) {
+    for (const term of ["Low", "Medium", "High"]) {
+      assert.ok(Math.abs(fitted[out][term] - teacherOutputs[out][term]) < 1e-3);
+    }
+  }
+});
+
+test("hybrid training lowers training and validation error", () => {
+  const epochs = [];
+  const result = trainAnfis({
+    mfDefs: DEFAULT_MFS,
+    rules,
+    outputs,
+    samples: makeSamples(50, 7),
+    epochs: 3,
+    onEpoch: (e) => epochs.push(e),
+  });
+  assert.equal(result.history.length, 3);
+  assert.deepEqual(epochs, result.history);
+  const untrained = result.history[0];
+  const last = result.history[2];
+  assert.ok(last.train <= untrained.train);
+  assert.ok(last.validation !== null);
+  // Після МНК помилка набагато менша, ніж у контролера за замовчуванням
+  assert.ok(last.train < 5, `train RMSE ${last.train}`);
+  for (const term of Object.values(result.mfDefs.SOC)) {
+    const [a, b, c] = term.params;
+    assert.ok(a <= b && b <= c);
+  }
+  // Вхідне визначення не мутується
+  assert.deepEqual(DEFAULT_MFS.SOC.Medium.params, [50, 75, 90]);
+});
@@ -0,0 +1,122 @@
+import { END_OF_LIFE_SOH, stepBattery } from "./battery.js";
+
+// Банк із кількох паралельних пакетів однієї хімії (plant.battery) з власною ємністю,
+// SOC, SOH і температурою. Потужність батареї від контролера (CP через dispatchPower)
+// ділиться між пакетами обраною стратегією; кожен пакет рахується своєю моделлю stepBattery.
+
+export const ALLOCATION_STRATEGIES = {
+  capacity: "Proportional to capacity",
+  socBalance: "SOC balancing",
+  protectDegraded: "Protect degraded packs",
+};
+
+// Найменша ємність пакета (кВт·год): нульова дала б SOC 0/0 у stepBattery
+export const MIN_PACK_CAPACITY = 0.1;
+
+const packCapacity = (capacityKWh) => Math.max(MIN_PACK_CAPACITY, Number(capacityKWh) || 0);
+// SOH пакета — не нижче кінця ресурсу, як і в одного пакета: нульовий SOH дав би нульову ємність в А·год
+const packSoh = (soh) => Math.min(100, Math.max(END_OF_LIFE_SOH, Number(soh) || 0));
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+// Наскільки сильно "protectDegraded" розвантажує пакети зі зниженим SOH: вага ∝ (SOH/100)^k
+const DEGRADED_EXPONENT = 4;
+
+let nextId = 1;
+
+// Опис пакета: ємність і початковий стан; id пов'язує опис зі станом під час прогону
+export function createPack({ name = "Pack", capacityKWh = 16.2, soc = 50, soh = 100, temp = 25 } = {}) {
+  const id = `pack-${Date.now().toString(36)}-${nextId++}`;
+  return { id, name, capacityKWh: packCapacity(capacityKWh), soc, soh: packSoh(soh), temp };
+}
+
+export function createBank(count = 2, battery) {
+  return {
+    strategy: "capacity",
+    packs: Array.from({ length: count }, (_, i) =>
+      createPack({ name: `Pack ${i + 1}`, capacityKWh: battery?.capacityKWh })
+    ),
+  };
+}
+
+// Стан пакетів для прогону: наявний стан за id, нові пакети — з початкових значень опису.
+// Ємність і SOH обмежуються й тут, бо опис може прийти зі сценарію чи запису
+export function bankPacks(bank, states = null) {
+  if (!bank.packs?.length) fail("Battery bank has no packs");
+  return bank.packs.map((pack) => {
+    const state = states?.find((s) => s.id === pack.id);
+    const capacityKWh = packCapacity(pack.capacityKWh);
+    return state
+      ? { ...state, name: pack.name, capacityKWh }
+      : { ...pack, capacityKWh, soh: packSoh(pack.soh), cycle: null, powerKW: 0, current: 0 };
+  });
+}
+
+// Зведений стан банку для контролера й захистів: SOC за запасеною енергією,
+// SOH зважений за ємністю, температура — найгарячішого пакета
+export function bankSummary(packs) {
+  if (!packs.length) fail("Battery bank has no packs");
+  const capacity = packs.reduce((acc, p) => acc + p.capacityKWh, 0);
+  const usable = packs.reduce((acc, p) => acc + (p.capacityKWh * p.soh) / 100, 0);
+  if (!capacity) return { soc: 0, soh: 0, temp: 25 };
+  return {
+    soc: usable > 0 ? packs.reduce((acc, p) => acc + (p.capacityKWh * p.soh * p.soc) / 100, 0) / usable : 0,
+    soh: packs.reduce((acc, p) => acc + p.capacityKWh * p.soh, 0) / capacity,
+    temp: Math.max(...packs.map((p) => p.temp)),
+  };
+}
+
+// Вага пакета за стратегією; charging — напрямок потужності банку
+function weight(pack, strategy, charging) {
+  const usable = (pack.capacityKWh * pack.soh) / 100;
+  switch (strategy) {
+    case "socBalance":
+      return usable * (charging ? 100 - pack.soc : pack.soc);
+    case "protectDegraded":
+      return usable * Math.pow(pack.soh / 100, DEGRADED_EXPONENT);
+    default:
+      return usable;
+  }
+}
+
+// Розподіл потужності банку (кВт, + заряд) між пакетами. Повний пакет не заряджається,
+// порожній не розряджається — їх частка переходить до решти; без жодного придатного пакета — 0
+export function allocatePower(packs, totalKW, strategy = "capacity") {
+  const charging = totalKW >= 0;
+  const weights = packs.map((p) => {
+    const blocked = charging ? p.soc >= 100 : p.soc <= 0;
+    return blocked ? 0 : Math.max(0, weight(p, strategy, charging));
+  });
+  const sum = weights.reduce((acc, w) => acc + w, 0);
+  return weights.map((w) => (sum > 0 ? (totalKW * w) / sum : 0));
+}
+
+// Крок банку: кожен пакет — stepBattery зі своєю ємністю. Струм банку — сума струмів,
+// напруга — середня (кожен пакет вважається підключеним через власний перетворювач)
+export function stepBank(packs, totalKW, battery, { strategy = "capacity", ambientTemp, deltaT } = {}) {
+  if (!packs.length) fail("Battery bank has no packs");
+  const powers = allocatePower(packs, totalKW, strategy);
+  const next = packs.map((pack, i) => {
+    const cell = stepBattery(pack, powers[i], { ...battery, capacityKWh: pack.capacityKWh }, {
+      ambientTemp,
+      deltaT,
+    });
+    return { ...pack, ...cell, powerKW: (cell.voltage * cell.current) / 1000 };
+  });
+  const summary = bankSummary(next);
+  const current = next.reduce((acc, p) => acc + p.current, 0);
+  const voltage = next.reduce((acc, p) => acc + p.voltage, 0) / next.length;
+  return {
+    ...summary,
+    current,
+    voltage,
+    ocv: next.reduce((acc, p) => acc + p.ocv, 0) / next.length,
+    lossW: next.reduce((acc, p) => acc + p.lossW, 0),
+    dod: Math.max(...next.map((p) => p.dod)),
+    cycle: null,
+    batteryKW: next.reduce((acc, p) => acc + p.powerKW, 0),
+    packs: next,
+  };
+}
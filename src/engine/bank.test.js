@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PLANT,
+  END_OF_LIFE_SOH,
+  MIN_PACK_CAPACITY,
+  allocatePower,
+  bankPacks,
+  bankSummary,
+  createController,
+  createPack,
+  runSimulation,
+  stepBank,
+} from "./index.js";
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} != ${expected}`);
+
+const young = createPack({ name: "Young", capacityKWh: 10, soc: 40, soh: 100 });
+const old = createPack({ name: "Old", capacityKWh: 5, soc: 60, soh: 80 });
+
+test("allocation strategies split the bank power", () => {
+  const byCapacity = allocatePower([young, old], 3, "capacity");
+  close(byCapacity[0], 3 * (10 / 14));
+  close(byCapacity[0] + byCapacity[1], 3);
+
+  // Заряд іде переважно в пакет з нижчим SOC, розряд — з вищим
+  const [chargeYoung, chargeOld] = allocatePower([young, old], 3, "socBalance");
+  const [dischargeYoung, dischargeOld] = allocatePower([young, old], -3, "socBalance");
+  assert.ok(chargeYoung / chargeOld > byCapacity[0] / byCapacity[1]);
+  assert.ok(dischargeOld / dischargeYoung > byCapacity[1] / byCapacity[0]);
+
+  const [protectYoung, protectOld] = allocatePower([young, old], 3, "protectDegraded");
+  assert.ok(protectOld < byCapacity[1]);
+  close(protectYoung + protectOld, 3);
+});
+
+test("full and empty packs hand their share to the others", () => {
+  const full = { ...young, soc: 100 };
+  assert.deepEqual(allocatePower([full, old], 2, "capacity"), [0, 2]);
+  assert.deepEqual(allocatePower([{ ...old, soc: 0 }], -2, "capacity"), [0]);
+});
+
+test("the bank summary weights SOC by stored energy and reports the hottest pack", () => {
+  const summary = bankSummary([young, { ...old, temp: 35 }]);
+  close(summary.soc, (10 * 40 + 4 * 60) / 14);
+  close(summary.soh, (10 * 100 + 5 * 80) / 15);
+  assert.equal(summary.temp, 35);
+});
+
+test("a one-pack bank matches the single-pack model", () => {
+  const controller = createController();
+  const initial = { soc: 50, soh: 100, load: 50, temp: 25 };
+  const single = runSimulation({ controller, steps: 30, initial });
+  const pack = createPack({ capacityKWh: DEFAULT_PLANT.battery.capacityKWh, ...initial });
+  const plant = { ...DEFAULT_PLANT, bank: { strategy: "capacity", packs: [pack] } };
+  const bank = runSimulation({ controller, steps: 30, initial, plant });
+  close(bank.state.soc, single.state.soc);
+  close(bank.state.temp, single.state.temp);
+  assert.equal(bank.series[29].packs[0].SOC, single.series[29].SOC);
+});
+
+test("packs of different age evolve separately in the simulation", () => {
+  const controller = createController({ outputs: { Low: 80, Medium: 80, High: 80 } });
+  const plant = { ...DEFAULT_PLANT, bank: { strategy: "protectDegraded", packs: [young, old] } };
+  const { state, series } = runSimulation({ controller, steps: 60, initial: { load: 10 }, plant });
+  assert.equal(state.packs.length, 2);
+  const [a, b] = state.packs;
+  assert.ok(a.soc > young.soc && b.soc > old.soc);
+  // Деградований пакет отримує меншу частку заряду
+  assert.ok(Math.abs(series[59].packs[1].Power) < Math.abs(series[59].packs[0].Power));
+  close(state.soc, bankSummary(state.packs).soc);
+});
+
+test("pack SOH stays above the end of life, so a pack never loses all its capacity", () => {
+  assert.equal(createPack({ soh: 0 }).soh, END_OF_LIFE_SOH);
+  const worn = { ...createPack({ soc: 50 }), soh: 0 };
+  const plant = { ...DEFAULT_PLANT, bank: { strategy: "capacity", packs: [createPack({ soc: 50 }), worn] } };
+  const controller = createController({ outputs: { Low: 80, Medium: 80, High: 80 } });
+  const { state } = runSimulation({ controller, steps: 5, initial: { soc: 50, load: 10 }, plant });
+  assert.ok(state.packs.every((p) => Number.isFinite(p.soc) && p.soc > 50));
+  assert.ok(state.soc > 50);
+});
+
+test("pack capacity stays positive and an empty bank is rejected", () => {
+  assert.equal(createPack({ capacityKWh: 0 }).capacityKWh, MIN_PACK_CAPACITY);
+  // Опис зі сценарію може обійти createPack
+  const zero = { ...createPack({ soc: 50 }), capacityKWh: 0 };
+  const plant = { ...DEFAULT_PLANT, bank: { strategy: "capacity", packs: [createPack({ soc: 50 }), zero] } };
+  const { state } = runSimulation({ controller: createController(), steps: 5, initial: { soc: 50 }, plant });
+  assert.ok(state.packs.every((p) => Number.isFinite(p.soc)));
+  assert.ok(state.soc > 40);
+
+  assert.throws(() => bankPacks({ strategy: "capacity", packs: [] }), /no packs/);
+  assert.throws(() => bankSummary([]), /no packs/);
+  assert.throws(() => stepBank([], 1, DEFAULT_PLANT.battery), /no packs/);
+});
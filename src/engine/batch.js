@@ -0,0 +1,115 @@
+import { createController } from "./controller.js";
+import { createSimulationState, stepSimulation } from "./simulation.js";
+import { DEFAULT_TARIFF, costBreakdown } from "./tariff.js";
+
+// Канали повнороздільного результату; зберігаються стовпцями Float32Array, щоб місяць симуляції вміщався в пам'ять
+export const BATCH_COLUMNS = [
+  "time",
+  "SOC",
+  "SOH",
+  "Load",
+  "Temperature",
+  "CP",
+  "GP",
+  "BatteryPower",
+  "GridPower",
+  "PV",
+  "Ambient",
+  "Voltage",
+  "Current",
+  "energy",
+];
+
+const PROGRESS_EVERY = 1000;
+const CSV_CHUNK_ROWS = 10000;
+
+// Даунсемплінг для графіків: середнє по відрізках однакової довжини
+export function downsampleColumns(columns, points) {
+  const n = columns.time.length;
+  const buckets = Math.min(points, n);
+  const out = [];
+  for (let b = 0; b < buckets; b++) {
+    const start = Math.floor((b * n) / buckets);
+    const end = Math.floor(((b + 1) * n) / buckets);
+    const row = {};
+    for (const key of BATCH_COLUMNS) {
+      let sum = 0;
+      for (let i = start; i < end; i++) sum += columns[key][i];
+      row[key] = sum / (end - start);
+    }
+    row.time = columns.time[end - 1];
+    out.push(row);
+  }
+  return out;
+}
+
+// CSV частинами по CSV_CHUNK_ROWS рядків: з частин складається Blob, тож місяць із кроком 1 с
+// не потребує одного величезного рядка
+export function columnsToCSVParts(columns, chunkRows = CSV_CHUNK_ROWS) {
+  const n = columns.time.length;
+  const parts = [BATCH_COLUMNS.join(",")];
+  for (let start = 0; start < n; start += chunkRows) {
+    const lines = [];
+    for (let i = start; i < Math.min(n, start + chunkRows); i++) {
+      lines.push(BATCH_COLUMNS.map((k) => columns[k][i]).join(","));
+    }
+    parts.push("\n" + lines.join("\n"));
+  }
+  return parts;
+}
+
+export function columnsToCSV(columns) {
+  return columnsToCSVParts(columns).join("");
+}
+
+// Безголовий прогін на горизонті `horizon` с з кроком plant.deltaT; `forecastHorizon` — горизонт
+// прогнозу входів Deep-FLC у кроках; контролер будується з опцій, щоб прогін можна було передати у Web Worker
+export function runBatch({
+  controllerOptions = {},
+  mode = "conventional",
+  forecaster = null,
+  plant,
+  profiles = null,
+  tariff = DEFAULT_TARIFF,
+  protection,
+  sensors,
+  forecastHorizon,
+  initial,
+  horizon,
+  chartPoints = 500,
+  onProgress,
+}) {
+  const controller = createController(controllerOptions);
+  const steps = Math.max(1, Math.ceil(horizon / plant.deltaT));
+  const columns = Object.fromEntries(BATCH_COLUMNS.map((k) => [k, new Float32Array(steps)]));
+  let state = createSimulationState(initial);
+
+  for (let i = 0; i < steps; i++) {
+    const { state: next, point } = stepSimulation(state, {
+      controller,
+      mode,
+      forecaster,
+      plant,
+      profiles,
+      tariff,
+      protection,
+      sensors,
+      horizon: forecastHorizon,
+    });
+    state = next;
+    for (const key of BATCH_COLUMNS) columns[key][i] = point[key] ?? 0;
+    columns.time[i] = state.time * plant.deltaT;
+    columns.energy[i] = state.energy;
+    if ((i + 1) % PROGRESS_EVERY === 0) onProgress?.(i + 1, steps);
+  }
+  onProgress?.(steps, steps);
+
+  return {
+    steps,
+    deltaT: plant.deltaT,
+    columns,
+    chart: downsampleColumns(columns, chartPoints),
+    state,
+    cost: costBreakdown(state.account, tariff),
+  };
+}
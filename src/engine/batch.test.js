@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BATCH_COLUMNS,
+  DEFAULT_PLANT,
+  SYNTHETIC_PROFILES,
+  columnsToCSV,
+  columnsToCSVParts,
+  downsampleColumns,
+  runBatch,
+} from "./index.js";
+
+test("a day at a 60 s step runs headless at full resolution", () => {
+  const progress = [];
+  const result = runBatch({
+    plant: { ...DEFAULT_PLANT, deltaT: 60 },
+    profiles: { load: SYNTHETIC_PROFILES.residentialDay.build() },
+    initial: { soc: 50 },
+    horizon: 86400,
+    chartPoints: 100,
+    onProgress: (done, total) => progress.push([done, total]),
+  });
+  assert.equal(result.steps, 1440);
+  assert.equal(result.columns.SOC.length, 1440);
+  assert.equal(result.columns.time[1439], 86400);
+  assert.equal(result.chart.length, 100);
+  assert.deepEqual(progress, [[1000, 1440], [1440, 1440]]);
+  assert.ok(Math.abs(result.columns.energy[1439] - result.state.energy) < 1e-3);
+  assert.ok(Math.abs(result.cost.importKWh - result.state.energy) < 1e-9);
+});
+
+test("large steps keep the thermal model stable", () => {
+  const result = runBatch({
+    plant: { ...DEFAULT_PLANT, deltaT: 3600 },
+    initial: { temp: 60 },
+    horizon: 7 * 86400,
+  });
+  for (const t of result.columns.Temperature) assert.ok(t > 0 && t < 100);
+});
+
+test("the forecast horizon reaches the Deep-FLC controller", () => {
+  const result = runBatch({
+    mode: "deep",
+    plant: { ...DEFAULT_PLANT, deltaT: 60 },
+    horizon: 20 * 60,
+    forecastHorizon: 4,
+  });
+  assert.equal(result.steps, 20);
+  assert.equal(result.state.accuracy.stats.SOC.length, 4);
+});
+
+test("downsampling averages buckets and CSV keeps every row", () => {
+  const columns = {
+    ...Object.fromEntries(BATCH_COLUMNS.map((k) => [k, [0, 0, 0, 0]])),
+    time: [1, 2, 3, 4],
+    SOC: [10, 20, 30, 40],
+  };
+  const chart = downsampleColumns(columns, 2);
+  assert.deepEqual(chart.map((r) => [r.time, r.SOC]), [[2, 15], [4, 35]]);
+  assert.equal(columnsToCSV(columns).split("\n").length, 5);
+});
+
+test("CSV parts hold a bounded number of rows and join into the full file", () => {
+  const columns = Object.fromEntries(BATCH_COLUMNS.map((k) => [k, Float32Array.from({ length: 25 }, (_, i) => i)]));
+  const parts = columnsToCSVParts(columns, 10);
+  assert.equal(parts.length, 4);
+  assert.equal(parts[3].split("\n").length - 1, 5);
+  assert.equal(parts.join(""), columnsToCSV(columns));
+  assert.equal(parts.join("").split("\n").length, 26);
+});
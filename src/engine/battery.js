@@ -0,0 +1,166 @@
+// Модель батареї: еквівалентна схема (OCV(SOC) + внутрішній опір),
+// зосереджена теплова модель і деградація SOH від пропускної здатності, DoD та температури.
+
+const GAS_CONSTANT = 8.314; // Дж/(моль·К)
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+// Кінець ресурсу: нижче SOH не деградує, щоб ємність лишалася додатною
+export const END_OF_LIFE_SOH = 40;
+
+// Параметри пакета; OCV задається на комірку, пакет — cellsInSeries послідовно
+export const BATTERY_PRESETS = {
+  LFP: {
+    chemistry: "LFP",
+    capacityKWh: 16.2,
+    cellsInSeries: 16,
+    ocvCurve: [
+      [0, 2.8],
+      [5, 3.15],
+      [10, 3.22],
+      [20, 3.26],
+      [40, 3.29],
+      [60, 3.31],
+      [80, 3.33],
+      [90, 3.35],
+      [95, 3.4],
+      [100, 3.55],
+    ],
+    resistanceOhm: 0.02,
+    resistanceGrowth: 1, // відносний приріст опору на 100% втрати SOH
+    coulombicEfficiency: 0.995,
+    heatCapacityJK: 150000,
+    coolingWK: 15,
+    activeCoolingWK: 60,
+    activeCoolingOnTemp: 35,
+    cycleFadePerFEC: 0.0033, // % SOH на повний еквівалентний цикл
+    calendarFadePerYear: 2, // % SOH на рік при 25 °C
+    dodStress: 1,
+    activationEnergy: 24500, // Дж/моль
+  },
+  NMC: {
+    chemistry: "NMC",
+    capacityKWh: 16.2,
+    cellsInSeries: 14,
+    ocvCurve: [
+      [0, 3.0],
+      [5, 3.35],
+      [10, 3.45],
+      [20, 3.55],
+      [40, 3.65],
+      [60, 3.8],
+      [80, 3.95],
+      [90, 4.05],
+      [100, 4.2],
+    ],
+    resistanceOhm: 0.03,
+    resistanceGrowth: 1.5,
+    coulombicEfficiency: 0.998,
+    heatCapacityJK: 120000,
+    coolingWK: 15,
+    activeCoolingWK: 60,
+    activeCoolingOnTemp: 35,
+    cycleFadePerFEC: 0.01,
+    calendarFadePerYear: 3,
+    dodStress: 2,
+    activationEnergy: 30000,
+  },
+};
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// Лінійна інтерполяція OCV комірки за SOC, помножена на кількість комірок.
+// Точки кривої можуть редагуватися в довільному порядку, тож сортуємо копію
+export function openCircuitVoltage(battery, soc) {
+  const curve = [...battery.ocvCurve].sort((a, b) => a[0] - b[0]);
+  const x = clamp(soc, curve[0][0], curve[curve.length - 1][0]);
+  for (let i = 1; i < curve.length; i++) {
+    const [x1, v1] = curve[i];
+    if (x <= x1) {
+      const [x0, v0] = curve[i - 1];
+      const cell = x1 === x0 ? v1 : v0 + ((x - x0) / (x1 - x0)) * (v1 - v0);
+      return cell * battery.cellsInSeries;
+    }
+  }
+  return curve[curve.length - 1][1] * battery.cellsInSeries;
+}
+
+// Номінальна напруга пакета — середнє OCV по кривій
+export function nominalVoltage(battery) {
+  let sum = 0;
+  for (let s = 0; s <= 100; s += 5) sum += openCircuitVoltage(battery, s);
+  return sum / 21;
+}
+
+export function capacityAh(battery, soh = 100) {
+  return ((battery.capacityKWh * 1000) / nominalVoltage(battery)) * (soh / 100);
+}
+
+export function packResistance(battery, soh = 100) {
+  return battery.resistanceOhm * (1 + battery.resistanceGrowth * (1 - soh / 100));
+}
+
+// Струм (А, + заряд) для потужності на клемах P: R·I² + OCV·I − P = 0.
+// Розрядна потужність обмежена максимумом OCV²/4R.
+export function solveCurrent(ocv, resistance, powerW) {
+  if (resistance <= 0) return powerW / ocv;
+  const disc = Math.max(0, ocv * ocv + 4 * resistance * powerW);
+  return (-ocv + Math.sqrt(disc)) / (2 * resistance);
+}
+
+// Арреніусів множник старіння відносно 25 °C
+function arrhenius(battery, temp) {
+  const T = temp + 273.15;
+  const ref = 298.15;
+  return Math.exp((battery.activationEnergy / GAS_CONSTANT) * (1 / ref - 1 / T));
+}
+
+// Один крок батареї під потужністю на клемах powerKW (+ заряд)
+export function stepBattery(state, powerKW, battery, { ambientTemp = 25, deltaT = 1 } = {}) {
+  const ocv = openCircuitVoltage(battery, state.soc);
+  const resistance = packResistance(battery, state.soh);
+  const current = solveCurrent(ocv, resistance, powerKW * 1000);
+  const voltage = ocv + current * resistance;
+  const ah = capacityAh(battery, state.soh);
+
+  const chargeAh = (current * deltaT) / 3600;
+  const stored = chargeAh > 0 ? chargeAh * battery.coulombicEfficiency : chargeAh;
+  const soc = clamp(state.soc + (stored / ah) * 100, 0, 100);
+
+  // Теплова модель: I²R нагрів, пасивне охолодження та активне понад поріг.
+  // Точний розв'язок лінійного рівняння на кроці — стійкий за будь-якого deltaT
+  const lossW = current * current * resistance;
+  const conductance =
+    battery.coolingWK + (state.temp > battery.activeCoolingOnTemp ? battery.activeCoolingWK : 0);
+  const temp =
+    conductance > 0
+      ? ambientTemp +
+        lossW / conductance +
+        (state.temp - ambientTemp - lossW / conductance) *
+          Math.exp((-conductance * deltaT) / battery.heatCapacityJK)
+      : state.temp + (lossW * deltaT) / battery.heatCapacityJK;
+
+  // Глибина поточного напівциклу: від точки зміни напрямку струму
+  const prev = state.cycle ?? { start: state.soc, direction: 0 };
+  const direction = Math.sign(current) || prev.direction;
+  const cycle = { start: direction !== prev.direction ? state.soc : prev.start, direction };
+  const dod = Math.abs(soc - cycle.start);
+
+  const fec = Math.abs(chargeAh) / (2 * ah);
+  const stress = arrhenius(battery, temp);
+  const cycleFade = battery.cycleFadePerFEC * fec * (1 + battery.dodStress * (dod / 100));
+  const calendarFade = (battery.calendarFadePerYear * deltaT) / SECONDS_PER_YEAR;
+  const faded = state.soh - (cycleFade + calendarFade) * stress;
+  const soh = Math.max(Math.min(state.soh, END_OF_LIFE_SOH), faded);
+
+  return {
+    soc,
+    temp,
+    soh,
+    current,
+    voltage,
+    ocv,
+    lossW,
+    dod,
+    cycle,
+  };
+}
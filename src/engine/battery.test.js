@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BATTERY_PRESETS,
+  END_OF_LIFE_SOH,
+  capacityAh,
+  openCircuitVoltage,
+  solveCurrent,
+  stepBattery,
+} from "./index.js";
+
+const { LFP, NMC } = BATTERY_PRESETS;
+
+test("OCV interpolates the per-cell curve and scales by cells in series", () => {
+  assert.equal(openCircuitVoltage(LFP, 40), 3.29 * 16);
+  assert.ok(Math.abs(openCircuitVoltage(LFP, 50) - 3.3 * 16) < 1e-9);
+  assert.equal(openCircuitVoltage(NMC, 150), 4.2 * 14);
+  assert.ok(openCircuitVoltage(NMC, 80) > openCircuitVoltage(NMC, 20));
+});
+
+test("terminal power includes the I²R drop", () => {
+  const ocv = 50;
+  const r = 0.05;
+  const charge = solveCurrent(ocv, r, 1000);
+  assert.ok(Math.abs((ocv + charge * r) * charge - 1000) < 1e-6);
+  const discharge = solveCurrent(ocv, r, -1000);
+  assert.ok(discharge < 0);
+  assert.ok(Math.abs(discharge) > Math.abs(charge));
+  // Понад OCV²/4R розряд обмежується максимально можливим струмом
+  assert.equal(solveCurrent(ocv, r, -1e6), -ocv / (2 * r));
+});
+
+test("losses heat the pack and cooling pulls it back to ambient", () => {
+  const idle = stepBattery({ soc: 50, soh: 100, temp: 40 }, 0, LFP, { deltaT: 60 });
+  assert.ok(idle.temp < 40);
+  const loaded = stepBattery({ soc: 50, soh: 100, temp: 25 }, -5, LFP, { deltaT: 60 });
+  assert.ok(loaded.lossW > 0);
+  assert.ok(loaded.temp > 25);
+  assert.ok(loaded.soc < 50);
+});
+
+test("SOH fades faster with throughput, deep cycles and heat", () => {
+  const fade = (state, powerKW) =>
+    100 - stepBattery({ soh: 100, ...state }, powerKW, NMC, { deltaT: 60 }).soh;
+  const rest = fade({ soc: 50, temp: 25 }, 0);
+  const cycling = fade({ soc: 50, temp: 25 }, -5);
+  const deep = fade({ soc: 50, temp: 25, cycle: { start: 90, direction: -1 } }, -5);
+  const hot = fade({ soc: 50, temp: 45 }, -5);
+  assert.ok(rest > 0);
+  assert.ok(cycling > rest);
+  assert.ok(deep > cycling);
+  assert.ok(hot > cycling);
+});
+
+test("ageing stops at the end-of-life SOH", () => {
+  // Рік під повною потужністю при 60 °C за один крок
+  const aged = stepBattery({ soc: 50, soh: 41, temp: 60 }, -5, NMC, { deltaT: 365 * 24 * 3600 });
+  assert.equal(aged.soh, END_OF_LIFE_SOH);
+  assert.ok(Number.isFinite(aged.soc));
+});
+
+test("capacity shrinks with SOH", () => {
+  assert.ok(Math.abs(capacityAh(LFP, 80) - 0.8 * capacityAh(LFP, 100)) < 1e-9);
+});
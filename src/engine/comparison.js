@@ -0,0 +1,114 @@
+import { createController } from "./controller.js";
+import { createSimulationState, stepSimulation } from "./simulation.js";
+import { DEFAULT_TARIFF, costBreakdown } from "./tariff.js";
+
+const SERIES_LENGTH = 200;
+
+export const COMPARISON_KPIS = {
+  energy: "Energy imported (кВт·год)",
+  cost: "Cost (грн)",
+  socViolations: "SOC band violations (steps)",
+  peakTemp: "Peak temperature (°C)",
+  sohLoss: "SOH loss (%)",
+};
+
+// Варіант: { id, label, mode, config (опції createController), forecaster }.
+// Усі прогони стартують з однакового стану і крокують синхронно на однаковому вхідному сліді.
+export function createComparison(variants, initial) {
+  const start = createSimulationState(initial);
+  return variants.map((v) => ({
+    id: v.id,
+    label: v.label,
+    mode: v.mode,
+    controller: createController(v.config),
+    forecaster: v.forecaster ?? null,
+    initialSOH: start.soh,
+    state: start,
+    series: [],
+    stats: { violations: 0, peakTemp: start.temp },
+  }));
+}
+
+// Один синхронний крок усіх прогонів; `load` — спільне ручне навантаження (якщо немає профілю),
+// `forecastHorizon` — горизонт прогнозу входів для Deep-FLC варіантів (кроків)
+export function stepComparison(
+  runs,
+  {
+    plant,
+    profiles,
+    tariff,
+    protection,
+    sensors,
+    forecastHorizon,
+    load,
+    socBand = [20, 90],
+    seriesLength = SERIES_LENGTH,
+  }
+) {
+  const [lo, hi] = socBand;
+  return runs.map((run) => {
+    const state = load === undefined ? run.state : { ...run.state, load };
+    const res = stepSimulation(state, {
+      controller: run.controller,
+      mode: run.mode,
+      forecaster: run.forecaster,
+      plant,
+      profiles,
+      tariff,
+      protection,
+      sensors,
+      horizon: forecastHorizon,
+    });
+    const soc = res.state.soc;
+    return {
+      ...run,
+      state: res.state,
+      series: [...run.series.slice(-(seriesLength - 1)), { ...res.point, energy: res.state.energy }],
+      stats: {
+        violations: run.stats.violations + (soc < lo || soc > hi ? 1 : 0),
+        peakTemp: Math.max(run.stats.peakTemp, res.state.temp),
+      },
+    };
+  });
+}
+
+export function runKPIs(run, tariff = DEFAULT_TARIFF) {
+  return {
+    energy: run.state.energy,
+    cost: costBreakdown(run.state.account, tariff).total,
+    socViolations: run.stats.violations,
+    peakTemp: run.stats.peakTemp,
+    sohLoss: run.initialSOH - run.state.soh,
+  };
+}
+
+// KPI кожного прогону та різниця відносно першого (базового)
+export function compareKPIs(runs, tariff = DEFAULT_TARIFF) {
+  const kpis = runs.map((run) => runKPIs(run, tariff));
+  return runs.map((run, i) => ({
+    id: run.id,
+    label: run.label,
+    values: kpis[i],
+    deltas: Object.fromEntries(Object.keys(kpis[i]).map((k) => [k, kpis[i][k] - kpis[0][k]])),
+  }));
+}
+
+// Об'єднання рядів за часом для накладених графіків: ключі виду "SOC:<id>"
+export function mergeRunSeries(runs, keys) {
+  const rows = new Map();
+  for (const run of runs) {
+    for (const p of run.series) {
+      const row = rows.get(p.time) ?? { time: p.time };
+      for (const k of keys) row[`${k}:${run.id}`] = p[k];
+      rows.set(p.time, row);
+    }
+  }
+  return [...rows.values()].sort((a, b) => a.time - b.time);
+}
+
+// Безголове порівняння на `steps` кроків
+export function runComparison({ variants, steps, initial, ...options }) {
+  let runs = createComparison(variants, initial);
+  for (let i = 0; i < steps; i++) runs = stepComparison(runs, { seriesLength: steps, ...options });
+  return runs;
+}
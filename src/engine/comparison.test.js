@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SYNTHETIC_PROFILES,
+  compareKPIs,
+  createComparison,
+  mergeRunSeries,
+  runComparison,
+  stepComparison,
+} from "./index.js";
+
+const variants = [
+  { id: "conventional", label: "Conventional FLC", mode: "conventional", config: {} },
+  { id: "deep", label: "Deep-FLC", mode: "deep", config: {} },
+];
+const initial = { soc: 70, soh: 80, load: 35, temp: 42 };
+
+test("runs start from the same state and share the input trace", () => {
+  const profiles = { load: SYNTHETIC_PROFILES.residentialDay.build(), offset: 18 * 3600 };
+  const runs = runComparison({ variants, steps: 20, initial, profiles });
+  assert.equal(runs.length, 2);
+  assert.equal(runs[0].series.length, 20);
+  assert.deepEqual(
+    runs[0].series.map((p) => p.Load),
+    runs[1].series.map((p) => p.Load)
+  );
+  assert.notEqual(runs[0].state.soc, runs[1].state.soc);
+});
+
+test("manual load is applied to every run in lockstep", () => {
+  let runs = createComparison(variants, initial);
+  runs = stepComparison(runs, { load: 90 });
+  assert.deepEqual(runs.map((r) => r.series[0].Load), [90, 90]);
+});
+
+test("the forecast horizon reaches the Deep-FLC run", () => {
+  const runs = runComparison({ variants, steps: 10, initial, forecastHorizon: 3 });
+  assert.equal(runs[0].state.accuracy.stats.SOC, undefined);
+  assert.equal(runs[1].state.accuracy.stats.SOC.length, 3);
+});
+
+test("KPI deltas are relative to the first run", () => {
+  const runs = runComparison({ variants, steps: 30, initial, socBand: [75, 90] });
+  const table = compareKPIs(runs);
+  assert.deepEqual(Object.values(table[0].deltas), [0, 0, 0, 0, 0]);
+  assert.equal(table[1].deltas.energy, table[1].values.energy - table[0].values.energy);
+  assert.ok(table[0].values.socViolations > 0);
+  assert.ok(table[0].values.sohLoss > 0);
+});
+
+test("merged series key each run's values by id", () => {
+  const runs = runComparison({ variants, steps: 3, initial });
+  const rows = mergeRunSeries(runs, ["SOC"]);
+  assert.equal(rows.length, 3);
+  assert.equal(rows[2]["SOC:deep"], runs[1].series[2].SOC);
+});
@@ -0,0 +1,187 @@
+import { DEFAULT_MFS, evaluateMF, fuzzifyInput, isMissing } from "./membership.js";
+import { OUTPUT_CENTROIDS, generateRuleBase } from "./rules.js";
+import { defuzzify } from "./defuzzify.js";
+import { getAggregation, getImplication, getTNorm } from "./operators.js";
+import { DEFAULT_VARIABLES } from "./variables.js";
+
+// Ключ входу в антецеденті правила -> назва змінної в mfDefs (типовий набір входів)
+export const INPUT_VARIABLES = Object.fromEntries(
+  Object.entries(DEFAULT_VARIABLES).map(([key, v]) => [key, v.name])
+);
+
+export const OUTPUT_VARIABLES = ["CP", "GP"];
+
+export const INFERENCE_METHODS = {
+  sugeno: "Sugeno (singletons)",
+  mamdani: "Mamdani",
+};
+
+const outputTerms = () => ({
+  Low: { type: "tri", params: [0, 25, 50] },
+  Medium: { type: "tri", params: [25, 50, 75] },
+  High: { type: "tri", params: [50, 75, 100] },
+});
+
+// Вихідні функції належності для Mamdani; піки збігаються з OUTPUT_CENTROIDS
+export const DEFAULT_OUTPUT_MFS = { CP: outputTerms(), GP: outputTerms() };
+
+const OUTPUT_RANGE = [0, 100];
+const OUTPUT_SAMPLES = 201;
+
+// Центр ваги одного вихідного терму (для зваженого середнього в Mamdani)
+function termCentroid(mf, xs) {
+  const mus = xs.map((x) => evaluateMF(mf, x));
+  return defuzzify("centroid", xs, mus) ?? 50;
+}
+
+export function createController({
+  variables = DEFAULT_VARIABLES,
+  mfDefs = DEFAULT_MFS,
+  rules = generateRuleBase(),
+  outputs = OUTPUT_CENTROIDS,
+  method = "sugeno",
+  outputMFs = DEFAULT_OUTPUT_MFS,
+  defuzz = "centroid",
+  tNorm = "min",
+  aggregation = method === "mamdani" ? "max" : "sum",
+  implication = "min",
+} = {}) {
+  // Синглтони можна задати спільно ({ Low, Medium, High }) або окремо для CP і GP
+  const singletons = outputs.CP ? outputs : { CP: outputs, GP: outputs };
+  const and = getTNorm(tNorm);
+  const aggregate = getAggregation(aggregation);
+  const imply = getImplication(implication);
+  const [lo, hi] = OUTPUT_RANGE;
+  const xs = Array.from(
+    { length: OUTPUT_SAMPLES },
+    (_, i) => lo + ((hi - lo) * i) / (OUTPUT_SAMPLES - 1)
+  );
+  // Дискретизовані вихідні терми та їх центри рахуються один раз на контролер
+  const sampled = {};
+  const centroids = {};
+  for (const out of OUTPUT_VARIABLES) {
+    sampled[out] = {};
+    centroids[out] = {};
+    for (const [term, mf] of Object.entries(outputMFs[out])) {
+      sampled[out][term] = xs.map((x) => evaluateMF(mf, x));
+      centroids[out][term] = termCentroid(mf, xs);
+    }
+  }
+
+  const fuzzify = (inputs) => {
+    const memberships = {};
+    for (const [key, v] of Object.entries(variables)) {
+      memberships[key] = fuzzifyInput(mfDefs[v.name] ?? {}, inputs[key]);
+    }
+    return memberships;
+  };
+
+  // Вхід без терму в антецеденті — "будь-який" і в T-норму не входить
+  const fire = (memberships) =>
+    rules.map((r) => {
+      const degrees = Object.keys(variables)
+        .filter((key) => r.antecedent[key])
+        .map((key) => memberships[key][r.antecedent[key]] || 0);
+      const strength = degrees.length ? degrees.reduce(and) : 1;
+      return strength * (r.weight ?? 1);
+    });
+
+  // Активації термів виходу: сили правил з однаковим термом агрегуються S-нормою
+  const termActivation = (firings, out) => {
+    const activation = {};
+    rules.forEach((r, i) => {
+      if (firings[i] <= 0) return;
+      const term = r.consequent[out];
+      activation[term] = aggregate(activation[term] ?? 0, firings[i]);
+    });
+    return activation;
+  };
+
+  // Sugeno нульового порядку: зважене середнє синглтонів виходу
+  const inferSugeno = (firings) => {
+    const result = {};
+    for (const out of OUTPUT_VARIABLES) {
+      let numer = 0,
+        denom = 0;
+      for (const [term, act] of Object.entries(termActivation(firings, out))) {
+        numer += act * singletons[out][term];
+        denom += act;
+      }
+      result[out] = denom > 0 ? numer / denom : 50;
+    }
+    return result;
+  };
+
+  // Mamdani: імплікація над вихідними термами, агрегація S-нормою, дефазифікація
+  const inferMamdani = (firings) => {
+    const result = { aggregated: {} };
+    for (const out of OUTPUT_VARIABLES) {
+      const mus = new Array(xs.length).fill(0);
+      let numer = 0,
+        denom = 0;
+      rules.forEach((r, i) => {
+        if (firings[i] <= 0) return;
+        const term = sampled[out][r.consequent[out]];
+        if (!term) return;
+        for (let k = 0; k < xs.length; k++) {
+          mus[k] = aggregate(mus[k], imply(firings[i], term[k]));
+        }
+        numer += firings[i] * centroids[out][r.consequent[out]];
+        denom += firings[i];
+      });
+
+      const crisp =
+        defuzz === "wtaver"
+          ? denom > 0
+            ? numer / denom
+            : null
+          : defuzzify(defuzz, xs, mus);
+      result[out] = crisp ?? 50;
+      result.aggregated[out] = xs.map((x, k) => ({ x, mu: mus[k] }));
+    }
+    return result;
+  };
+
+  // Пропущені входи (isMissing) фазифікуються як "будь-який" терм і перелічуються в missing
+  const infer = (inputs) => {
+    const memberships = fuzzify(inputs);
+    const firings = fire(memberships);
+    const result = method === "mamdani" ? inferMamdani(firings) : inferSugeno(firings);
+    const missing = Object.keys(variables).filter((key) => isMissing(inputs[key]));
+    return { ...result, memberships, firings, missing };
+  };
+
+  // Нормовані активації термів: Sugeno-вихід лінійний за синглтонами (для МНК в ANFIS)
+  const activations = (inputs) => {
+    const firings = fire(fuzzify(inputs));
+    const result = {};
+    for (const out of OUTPUT_VARIABLES) {
+      const activation = termActivation(firings, out);
+      const total = Object.values(activation).reduce((acc, a) => acc + a, 0);
+      result[out] = Object.fromEntries(
+        Object.entries(activation).map(([term, a]) => [term, a / total])
+      );
+    }
+    return result;
+  };
+
+  // Чітке значення терму виходу: синглтон (Sugeno) або центр ваги терму (Mamdani)
+  const consequentValues = method === "mamdani" ? centroids : singletons;
+
+  return {
+    variables,
+    mfDefs,
+    rules,
+    outputs,
+    method,
+    outputMFs,
+    defuzz,
+    tNorm,
+    aggregation,
+    implication,
+    consequentValues,
+    fuzzify,
+    activations,
+    infer,
+  };
+}
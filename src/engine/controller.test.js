@@ -0,0 +1,321 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_MFS,
+  MF_SHAPES,
+  convertMF,
+  createController,
+  createRule,
+  defuzzify,
+  evaluateMF,
+  generateRuleBase,
+  predictSeries,
+  triMF,
+} from "./index.js";
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test("triMF handles peaks and shoulders", () => {
+  assert.equal(triMF(50, 30, 50, 70), 1);
+  assert.equal(triMF(40, 30, 50, 70), 0.5);
+  assert.equal(triMF(0, 0, 0, 60), 1);
+  assert.equal(triMF(30, 0, 0, 60), 0.5);
+  assert.equal(triMF(100, 80, 100, 100), 1);
+  assert.equal(triMF(90, 80, 100, 100), 0.5);
+});
+
+test("membership shapes evaluate at their key points", () => {
+  const at = (type, params, x) => evaluateMF({ type, params }, x);
+  assert.equal(at("trap", [20, 40, 60, 80], 50), 1);
+  assert.equal(at("trap", [20, 40, 60, 80], 30), 0.5);
+  assert.equal(at("trap", [20, 40, 60, 80], 90), 0);
+  assert.equal(at("trap", [0, 0, 0, 60], -5), 1);
+  assert.equal(at("trap", [80, 100, 100, 100], 90), 0.5);
+  assert.equal(at("gauss", [10, 50], 50), 1);
+  close(at("gauss", [10, 50], 60), Math.exp(-0.5));
+  assert.equal(at("gbell", [10, 2, 50], 60), 0.5);
+  assert.equal(at("sigmoid", [1, 50], 50), 0.5);
+  assert.equal(at("s", [20, 60], 40), 0.5);
+  assert.equal(at("s", [20, 60], 70), 1);
+  assert.equal(at("z", [20, 60], 10), 1);
+  assert.equal(at("z", [20, 60], 40), 0.5);
+  assert.equal(evaluateMF([30, 50, 70], 40), 0.5);
+  assert.throws(() => at("blob", [], 0), /Unknown membership function type/);
+});
+
+test("default shoulders match the legacy triangle definitions", () => {
+  const legacy = {
+    SOC: { Low: [0, 0, 60], High: [80, 100, 100] },
+    Temperature: { Low: [0, 0, 20], High: [40, 100, 100] },
+  };
+  for (const [variable, terms] of Object.entries(legacy)) {
+    for (const [term, [a, b, c]] of Object.entries(terms)) {
+      for (let x = 0; x <= 100; x += 0.5) {
+        close(evaluateMF(DEFAULT_MFS[variable][term], x), triMF(x, a, b, c));
+      }
+    }
+  }
+});
+
+test("convertMF yields the parameter count of the target shape", () => {
+  const source = DEFAULT_MFS.Load.Medium;
+  for (const [type, shape] of Object.entries(MF_SHAPES)) {
+    const converted = convertMF(source, type);
+    assert.equal(converted.type, type);
+    assert.equal(converted.params.length, shape.params.length);
+  }
+  assert.deepEqual(convertMF(source, "tri").params, [31, 50, 69]);
+  assert.ok(convertMF(DEFAULT_MFS.Load.High, "sigmoid").params[0] > 0);
+  assert.ok(convertMF(DEFAULT_MFS.Load.Low, "sigmoid").params[0] < 0);
+});
+
+test("generated rule base is the full 3x3x3x3 grid", () => {
+  const rules = generateRuleBase();
+  assert.equal(rules.length, 81);
+  assert.deepEqual(rules[0], {
+    id: 1,
+    antecedent: { SOC: "Low", SOH: "Degraded", Load: "Low", Temp: "Low" },
+    consequent: { CP: "Low", GP: "High" },
+    weight: 1,
+  });
+  assert.deepEqual(rules[80].consequent, { CP: "Low", GP: "High" });
+  assert.deepEqual(
+    rules.find(
+      (r) =>
+        r.antecedent.SOC === "High" &&
+        r.antecedent.SOH === "Good" &&
+        r.antecedent.Load === "Low" &&
+        r.antecedent.Temp === "Normal"
+    ).consequent,
+    { CP: "High", GP: "Low" }
+  );
+});
+
+test("infer pins the default controller outputs", () => {
+  const controller = createController();
+  const cases = [
+    [{ SOC: 50, SOH: 100, Load: 50, Temp: 25 }, 25, 75],
+    [{ SOC: 85, SOH: 55, Load: 65, Temp: 50 }, 29.545454545454543, 70.45454545454545],
+    [{ SOC: 70, SOH: 80, Load: 35, Temp: 42 }, 45.744680851063826, 54.255319148936174],
+    [{ SOC: 55, SOH: 70, Load: 45, Temp: 18 }, 41.07142857142856, 58.92857142857143],
+    [{ SOC: 100, SOH: 100, Load: 100, Temp: 100 }, 25, 75],
+  ];
+  for (const [inputs, cp, gp] of cases) {
+    const { CP, GP } = controller.infer(inputs);
+    close(CP, cp);
+    close(GP, gp);
+  }
+});
+
+test("infer returns per-term memberships keyed by input", () => {
+  const { memberships } = createController().infer({
+    SOC: 85,
+    SOH: 55,
+    Load: 65,
+    Temp: 50,
+  });
+  assert.deepEqual(Object.keys(memberships), ["SOC", "SOH", "Load", "Temp"]);
+  close(memberships.SOC.Medium, 1 / 3);
+  close(memberships.SOC.High, 0.25);
+  close(memberships.Temp.High, 1 / 6);
+  assert.equal(memberships.Load.Low, 0);
+});
+
+test("infer falls back to 50 when no rule fires", () => {
+  const mfDefs = {
+    ...DEFAULT_MFS,
+    SOC: { Low: [0, 0, 10], Medium: [20, 30, 40], High: [90, 100, 100] },
+  };
+  const { CP, GP } = createController({ mfDefs }).infer({
+    SOC: 50,
+    SOH: 80,
+    Load: 50,
+    Temp: 30,
+  });
+  assert.equal(CP, 50);
+  assert.equal(GP, 50);
+});
+
+test("shaped terms that leave a gap also fall back to 50", () => {
+  const mfDefs = {
+    ...DEFAULT_MFS,
+    SOC: {
+      Low: { type: "trap", params: [0, 0, 0, 10] },
+      Medium: { type: "trap", params: [20, 25, 35, 40] },
+      High: { type: "trap", params: [90, 100, 100, 100] },
+    },
+  };
+  const { CP, GP } = createController({ mfDefs }).infer({ SOC: 70, SOH: 80, Load: 50, Temp: 30 });
+  assert.equal(CP, 50);
+  assert.equal(GP, 50);
+});
+
+test("custom rules and outputs are honoured", () => {
+  const rules = [
+    {
+      id: 1,
+      antecedent: { SOC: "High", SOH: "Good", Load: "Low", Temp: "Normal" },
+      consequent: { CP: "High", GP: "Low" },
+    },
+  ];
+  const { CP, GP } = createController({
+    rules,
+    outputs: { Low: 0, Medium: 50, High: 100 },
+  }).infer({ SOC: 95, SOH: 95, Load: 10, Temp: 30 });
+  assert.equal(CP, 100);
+  assert.equal(GP, 0);
+});
+
+test("rule weight scales the firing strength", () => {
+  const base = {
+    antecedent: { SOC: "Medium", SOH: "Good", Load: "Low", Temp: "Normal" },
+  };
+  const rules = [
+    { ...base, id: 1, consequent: { CP: "High", GP: "Low" }, weight: 1 },
+    { ...base, id: 2, consequent: { CP: "Low", GP: "High" }, weight: 0.25 },
+  ];
+  const inputs = { SOC: 75, SOH: 100, Load: 0, Temp: 30 };
+  const { CP, GP } = createController({ rules }).infer(inputs);
+  close(CP, (75 + 0.25 * 25) / 1.25);
+  close(GP, (25 + 0.25 * 75) / 1.25);
+
+  const muted = rules.map((r) => ({ ...r, weight: r.id === 1 ? 0 : 1 }));
+  assert.equal(createController({ rules: muted }).infer(inputs).CP, 25);
+});
+
+test("inputs left out of an antecedent are don't care", () => {
+  const rules = [
+    { id: 1, antecedent: { SOC: "High" }, consequent: { CP: "High", GP: "Low" }, weight: 1 },
+    { id: 2, antecedent: { SOC: "Low", Temp: "High" }, consequent: { CP: "Low", GP: "High" }, weight: 1 },
+  ];
+  const controller = createController({ rules });
+  for (const Load of [0, 50, 100]) {
+    const { CP, firings } = controller.infer({ SOC: 100, SOH: 20, Load, Temp: 90 });
+    assert.deepEqual(firings, [1, 0]);
+    assert.equal(CP, 75);
+  }
+});
+
+test("createRule continues the id sequence", () => {
+  const rule = createRule(generateRuleBase());
+  assert.equal(rule.id, 82);
+  assert.equal(rule.weight, 1);
+  assert.deepEqual(rule.antecedent, {
+    SOC: "Low",
+    SOH: "Degraded",
+    Load: "Low",
+    Temp: "Low",
+  });
+});
+
+test("defuzzify covers the centroid, bisector and maximum methods", () => {
+  const xs = [0, 1, 2, 3, 4];
+  const mus = [0, 1, 1, 0.5, 0];
+  close(defuzzify("centroid", xs, mus), 4.5 / 2.5);
+  assert.equal(defuzzify("bisector", xs, mus), 2);
+  assert.equal(defuzzify("mom", xs, mus), 1.5);
+  assert.equal(defuzzify("som", xs, mus), 1);
+  assert.equal(defuzzify("lom", xs, mus), 2);
+  assert.equal(defuzzify("centroid", xs, [0, 0, 0, 0, 0]), null);
+  assert.throws(() => defuzzify("nope", xs, mus), /Unknown defuzzification/);
+});
+
+test("mamdani clips output terms and aggregates with max", () => {
+  const rules = [
+    {
+      id: 1,
+      antecedent: { SOC: "High", SOH: "Good", Load: "Low", Temp: "Normal" },
+      consequent: { CP: "High", GP: "Low" },
+      weight: 1,
+    },
+  ];
+  const inputs = { SOC: 90, SOH: 100, Load: 0, Temp: 30 };
+  const result = createController({ rules, method: "mamdani" }).infer(inputs);
+  // Сила правила 0.5 (SOC.High при 90): відсічений High симетричний відносно 75
+  close(result.CP, 75);
+  close(result.GP, 25);
+  const peak = Math.max(...result.aggregated.CP.map((p) => p.mu));
+  close(peak, 0.5);
+  assert.equal(result.aggregated.CP.length, 201);
+
+  const som = createController({ rules, method: "mamdani", defuzz: "som" });
+  close(som.infer(inputs).CP, 62.5);
+  const lom = createController({ rules, method: "mamdani", defuzz: "lom" });
+  close(lom.infer(inputs).CP, 87.5);
+});
+
+test("mamdani weighted average matches sugeno for symmetric output terms", () => {
+  const inputs = { SOC: 70, SOH: 80, Load: 35, Temp: 42 };
+  const sugeno = createController().infer(inputs);
+  const wtaver = createController({ method: "mamdani", defuzz: "wtaver" }).infer(inputs);
+  close(wtaver.CP, sugeno.CP);
+  close(wtaver.GP, sugeno.GP);
+  assert.equal(sugeno.aggregated, undefined);
+});
+
+test("operators change the firing strength and aggregation", () => {
+  const rules = [
+    {
+      id: 1,
+      antecedent: { SOC: "High", SOH: "Good", Load: "Low", Temp: "Normal" },
+      consequent: { CP: "High", GP: "Low" },
+      weight: 1,
+    },
+    {
+      id: 2,
+      antecedent: { SOC: "Medium", SOH: "Good", Load: "Low", Temp: "Normal" },
+      consequent: { CP: "Medium", GP: "Medium" },
+      weight: 1,
+    },
+  ];
+  // SOC 85: Medium 1/3, High 1/4; решта входів дає 1 для обох правил
+  const inputs = { SOC: 85, SOH: 100, Load: 0, Temp: 30 };
+  const min = createController({ rules }).infer(inputs);
+  close(min.CP, (0.25 * 75 + (1 / 3) * 50) / (0.25 + 1 / 3));
+
+  const half = { SOC: 85, SOH: 100, Load: 0, Temp: 37.5 };
+  const product = createController({ rules, tNorm: "product" }).infer(half);
+  const luk = createController({ rules, tNorm: "lukasiewicz" }).infer(half);
+  // Temp.Normal при 37.5 = 0.5: product -> 0.125 / 1/6, Łukasiewicz -> 0 / 0
+  close(product.CP, (0.125 * 75 + (1 / 6) * 50) / (0.125 + 1 / 6));
+  assert.equal(luk.CP, 50);
+
+  const duplicate = [rules[0], { ...rules[0], id: 3 }, rules[1]];
+  const sum = createController({ rules: duplicate }).infer(inputs);
+  const max = createController({ rules: duplicate, aggregation: "max" }).infer(inputs);
+  close(sum.CP, (0.5 * 75 + (1 / 3) * 50) / (0.5 + 1 / 3));
+  close(max.CP, min.CP);
+  assert.throws(() => createController({ tNorm: "nope" }), /Unknown T-norm/);
+});
+
+test("mamdani product implication scales instead of clipping", () => {
+  const rules = [
+    {
+      id: 1,
+      antecedent: { SOC: "High", SOH: "Good", Load: "Low", Temp: "Normal" },
+      consequent: { CP: "High", GP: "Low" },
+      weight: 1,
+    },
+  ];
+  const inputs = { SOC: 90, SOH: 100, Load: 0, Temp: 30 };
+  const result = createController({
+    rules,
+    method: "mamdani",
+    implication: "product",
+    defuzz: "som",
+  }).infer(inputs);
+  // Масштабований трикутник має єдиний максимум у піку 75
+  close(result.CP, 75);
+  close(Math.max(...result.aggregated.CP.map((p) => p.mu)), 0.5);
+});
+
+test("predictSeries smooths history and extrapolates the trend", () => {
+  const out = predictSeries([50, 60, 70, 80], 3);
+  assert.equal(out.length, 3);
+  close(out[0], 69.52);
+  close(out[1], 79.52);
+  close(out[2], 89.52);
+  assert.deepEqual(predictSeries([], 2), [50, 50]);
+  assert.deepEqual(predictSeries([90, 95, 100], 4).slice(-1), [100]);
+});
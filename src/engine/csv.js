@@ -0,0 +1,51 @@
+// Мінімальний CSV-парсер: перший рядок — заголовки, роздільник кома або крапка з комою
+export function parseCSV(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("#"));
+  if (lines.length < 2) throw new Error("CSV must have a header and at least one row");
+  const sep = lines[0].includes(";") ? ";" : ",";
+  const header = lines[0].split(sep).map((h) => h.trim());
+  return lines.slice(1).map((line, i) => {
+    const cells = line.split(sep);
+    if (cells.length !== header.length) {
+      throw new Error(`CSV row ${i + 2} has ${cells.length} columns, expected ${header.length}`);
+    }
+    const row = {};
+    header.forEach((h, j) => {
+      const cell = cells[j].trim();
+      const num = Number(cell);
+      row[h] = cell !== "" && !Number.isNaN(num) ? num : cell;
+    });
+    return row;
+  });
+}
+
+// Рядки { SOC, SOH, Load, Temp } -> окремі масиви по каналах
+export function rowsToColumns(rows, columns, aliases = {}) {
+  const out = {};
+  for (const col of columns) {
+    const key = [col, ...(aliases[col] || [])].find((k) => k in rows[0]);
+    if (!key) throw new Error(`Missing column: ${col}`);
+    out[col] = rows.map((r, i) => {
+      if (typeof r[key] !== "number") throw new Error(`Row ${i + 1}: ${col} is not a number`);
+      return r[key];
+    });
+  }
+  return out;
+}
+
+// Рядки з CSV, JSON-масиву рядків або JSON-об'єкта стовпців
+export function parseRows(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{")) {
+    const data = JSON.parse(trimmed);
+    const length = Math.max(0, ...Object.values(data).map((v) => v?.length ?? 0));
+    return Array.from({ length }, (_, i) =>
+      Object.fromEntries(Object.entries(data).map(([k, v]) => [k, v?.[i]]))
+    );
+  }
+  if (trimmed.startsWith("[")) return JSON.parse(trimmed);
+  return parseCSV(trimmed);
+}
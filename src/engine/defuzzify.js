@@ -0,0 +1,62 @@
+// Методи дефазифікації над дискретизованою вихідною множиною (xs, mus)
+export const DEFUZZ_METHODS = {
+  centroid: "Centroid",
+  bisector: "Bisector",
+  mom: "Mean of maximum",
+  som: "Smallest of maximum",
+  lom: "Largest of maximum",
+  wtaver: "Weighted average",
+};
+
+const EPS = 1e-9;
+
+function centroid(xs, mus) {
+  let numer = 0,
+    denom = 0;
+  for (let i = 0; i < xs.length; i++) {
+    numer += xs[i] * mus[i];
+    denom += mus[i];
+  }
+  return denom > 0 ? numer / denom : null;
+}
+
+// Точка, що ділить площу під кривою навпіл
+function bisector(xs, mus) {
+  const total = mus.reduce((acc, m) => acc + m, 0);
+  if (total <= 0) return null;
+  let acc = 0;
+  for (let i = 0; i < xs.length; i++) {
+    acc += mus[i];
+    if (acc >= total / 2) return xs[i];
+  }
+  return xs[xs.length - 1];
+}
+
+function maxima(xs, mus) {
+  const peak = Math.max(...mus);
+  if (peak <= 0) return [];
+  return xs.filter((_, i) => mus[i] >= peak - EPS);
+}
+
+export function defuzzify(method, xs, mus) {
+  switch (method) {
+    case "centroid":
+      return centroid(xs, mus);
+    case "bisector":
+      return bisector(xs, mus);
+    case "mom": {
+      const m = maxima(xs, mus);
+      return m.length ? m.reduce((acc, x) => acc + x, 0) / m.length : null;
+    }
+    case "som": {
+      const m = maxima(xs, mus);
+      return m.length ? m[0] : null;
+    }
+    case "lom": {
+      const m = maxima(xs, mus);
+      return m.length ? m[m.length - 1] : null;
+    }
+    default:
+      throw new Error(`Unknown defuzzification method: ${method}`);
+  }
+}
@@ -0,0 +1,751 @@
+import { MF_SHAPES } from "./membership.js";
+import { OUTPUT_CENTROIDS, OUTPUT_TERMS } from "./rules.js";
+import { DEFAULT_OUTPUT_MFS, INFERENCE_METHODS, OUTPUT_VARIABLES } from "./controller.js";
+import { DEFUZZ_METHODS } from "./defuzzify.js";
+import { AGGREGATIONS, IMPLICATIONS, T_NORMS } from "./operators.js";
+import { DEFAULT_VARIABLES, INPUT_SOURCES } from "./variables.js";
+
+// Обмін контролером: версійований JSON, MATLAB .fis та IEC 61131-7 FCL.
+// Визначення: { variables, mfDefs, rules, outputs (синглтони Sugeno), outputMFs (Mamdani), inference }
+export const CONTROLLER_FORMAT = "deep-flc-controller";
+export const CONTROLLER_SCHEMA_VERSION = 1;
+
+export const CONTROLLER_FORMATS = {
+  json: { label: "Deep-FLC JSON", extension: "json" },
+  fis: { label: "MATLAB .fis", extension: "fis" },
+  fcl: { label: "IEC 61131-7 FCL", extension: "fcl" },
+};
+
+// Діапазон виходів CP/GP; входи мають власні діапазони
+const RANGE = [0, 100];
+// Назва типової змінної в mfDefs -> ключ в антецеденті правила
+const DEFAULT_KEYS = Object.fromEntries(Object.entries(DEFAULT_VARIABLES).map(([k, v]) => [v.name, k]));
+// Джерело сигналу за назвою змінної з чужого файлу
+const SOURCE_NAMES = {
+  soc: "soc",
+  soh: "soh",
+  load: "load",
+  temp: "temp",
+  temperature: "temp",
+  pv: "pv",
+  price: "price",
+  hour: "hour",
+  time: "hour",
+};
+
+// Змінна, прочитана з файлу: ключ і джерело типових входів зберігаються, решта — за назвою
+function inputVariable(name, range = DEFAULT_VARIABLES[DEFAULT_KEYS[name]]?.range ?? RANGE, source) {
+  return [
+    DEFAULT_KEYS[name] ?? name,
+    { name, source: source ?? SOURCE_NAMES[name.toLowerCase()] ?? null, range },
+  ];
+}
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+const fmt = (v) => String(Math.round(v * 1e6) / 1e6);
+
+// ---------------------------------------------------------------------------
+// Спільна перевірка визначення після будь-якого імпорту
+
+function validateMF(mf, where) {
+  if (!mf || typeof mf !== "object") fail(`${where}: membership function is missing`);
+  const shape = MF_SHAPES[mf.type];
+  if (!shape) {
+    fail(`${where}: unsupported membership function type "${mf.type}" (supported: ${Object.keys(MF_SHAPES).join(", ")})`);
+  }
+  if (!Array.isArray(mf.params) || mf.params.length !== shape.params.length) {
+    fail(`${where}: ${mf.type} needs ${shape.params.length} parameters (${shape.params.join(", ")})`);
+  }
+  if (!mf.params.every(Number.isFinite)) fail(`${where}: parameters must be numbers`);
+}
+
+function validateTerms(terms, expected, where) {
+  const names = Object.keys(terms ?? {});
+  const missing = expected.filter((t) => !names.includes(t));
+  const extra = names.filter((t) => !expected.includes(t));
+  if (missing.length || extra.length) {
+    fail(
+      `${where}: terms must be ${expected.join(", ")}` +
+        (extra.length ? `; unsupported term(s): ${extra.join(", ")}` : "") +
+        (missing.length ? `; missing: ${missing.join(", ")}` : "")
+    );
+  }
+}
+
+export function validateControllerDefinition(def) {
+  const { variables, mfDefs, rules, outputs, outputMFs, inference } = def;
+  const names = Object.values(variables ?? {}).map((v) => v.name);
+  if (!names.length) fail("The controller has no input variables");
+  for (const name of Object.keys(mfDefs ?? {})) {
+    if (!names.includes(name)) fail(`Input "${name}" has terms but is not declared as a variable`);
+  }
+  for (const [key, v] of Object.entries(variables)) {
+    const where = `Input ${v.name}`;
+    if (!Array.isArray(v.range) || !(v.range[0] < v.range[1])) fail(`${where}: range must be [min max] with min < max`);
+    if (v.source !== null && !(v.source in INPUT_SOURCES)) {
+      fail(`${where}: unknown signal source "${v.source}" (supported: ${Object.keys(INPUT_SOURCES).join(", ")})`);
+    }
+    if (!/^\w+$/.test(key) || !/^\w+$/.test(v.name)) fail(`${where}: names may only contain letters, digits and _`);
+    const terms = Object.keys(mfDefs?.[v.name] ?? {});
+    if (!terms.length) fail(`${where}: at least one term is required`);
+    for (const term of terms) {
+      if (!/^\w+$/.test(term)) fail(`${where}: term "${term}" may only contain letters, digits and _`);
+      validateMF(mfDefs[v.name][term], `${where}.${term}`);
+    }
+  }
+  for (const out of OUTPUT_VARIABLES) {
+    validateTerms(outputs?.[out], OUTPUT_TERMS, `Output ${out} singletons`);
+    for (const [term, v] of Object.entries(outputs[out])) {
+      if (!Number.isFinite(v)) fail(`Output ${out}.${term}: singleton must be a number`);
+    }
+    validateTerms(outputMFs?.[out], OUTPUT_TERMS, `Output ${out}`);
+    for (const [term, mf] of Object.entries(outputMFs[out])) validateMF(mf, `Output ${out}.${term}`);
+  }
+
+  const tables = {
+    method: INFERENCE_METHODS,
+    defuzz: DEFUZZ_METHODS,
+    tNorm: T_NORMS,
+    aggregation: AGGREGATIONS,
+    implication: IMPLICATIONS,
+  };
+  for (const [key, table] of Object.entries(tables)) {
+    if (!(inference?.[key] in table)) {
+      fail(`Unsupported ${key} "${inference?.[key]}" (supported: ${Object.keys(table).join(", ")})`);
+    }
+  }
+
+  if (!Array.isArray(rules) || !rules.length) fail("The rule base is empty");
+  rules.forEach((r, i) => {
+    const where = `Rule ${r.id ?? i + 1}`;
+    for (const [key, term] of Object.entries(r.antecedent ?? {})) {
+      const v = variables[key] ?? fail(`${where}: unknown input "${key}"`);
+      const terms = Object.keys(mfDefs[v.name]);
+      if (!terms.includes(term)) fail(`${where}: ${v.name} must be one of ${terms.join(", ")} (got "${term}")`);
+    }
+    for (const out of OUTPUT_VARIABLES) {
+      if (!OUTPUT_TERMS.includes(r.consequent?.[out])) {
+        fail(`${where}: ${out} must be one of ${OUTPUT_TERMS.join(", ")} (got "${r.consequent?.[out]}")`);
+      }
+    }
+    if (!(Number.isFinite(r.weight) && r.weight >= 0 && r.weight <= 1)) {
+      fail(`${where}: weight must be a number in [0, 1]`);
+    }
+  });
+  return def;
+}
+
+// Бракуючі частини (напр. синглтони у Mamdani-файлі) беруться зі значень за замовчуванням
+function complete(def) {
+  return validateControllerDefinition({
+    variables: def.variables ?? Object.fromEntries(Object.keys(def.mfDefs ?? {}).map((n) => inputVariable(n))),
+    mfDefs: def.mfDefs,
+    rules: (def.rules ?? []).map((r, i) => ({ id: i + 1, weight: 1, ...r })),
+    outputs: def.outputs ?? { CP: { ...OUTPUT_CENTROIDS }, GP: { ...OUTPUT_CENTROIDS } },
+    outputMFs: def.outputMFs ?? structuredClone(DEFAULT_OUTPUT_MFS),
+    inference: def.inference,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// JSON
+
+export function exportControllerJSON(def) {
+  const variables = def.variables ?? DEFAULT_VARIABLES;
+  const inputs = Object.fromEntries(
+    Object.entries(variables).map(([key, v]) => [
+      v.name,
+      { key, source: v.source, range: v.range, terms: def.mfDefs[v.name] },
+    ])
+  );
+  const outputs = Object.fromEntries(
+    OUTPUT_VARIABLES.map((out) => [
+      out,
+      { range: RANGE, singletons: def.outputs[out], terms: def.outputMFs[out] },
+    ])
+  );
+  return JSON.stringify(
+    {
+      format: CONTROLLER_FORMAT,
+      version: CONTROLLER_SCHEMA_VERSION,
+      inference: def.inference,
+      inputs,
+      outputs,
+      rules: def.rules,
+    },
+    null,
+    2
+  );
+}
+
+function checkRange(range, where) {
+  if (range && (range[0] !== RANGE[0] || range[1] !== RANGE[1])) {
+    fail(`${where}: unsupported range [${range.join(" ")}] (only [${RANGE.join(" ")}] is supported)`);
+  }
+}
+
+export function importControllerJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    fail(`Invalid JSON: ${err.message}`);
+  }
+  if (data?.format !== CONTROLLER_FORMAT) fail(`Not a ${CONTROLLER_FORMAT} file`);
+  if (!Number.isInteger(data.version) || data.version < 1) fail("Missing schema version");
+  if (data.version > CONTROLLER_SCHEMA_VERSION) {
+    fail(`Schema version ${data.version} is newer than supported version ${CONTROLLER_SCHEMA_VERSION}`);
+  }
+  const inputs = data.inputs ?? {};
+  const outputs = data.outputs ?? {};
+  Object.entries(outputs).forEach(([name, v]) => checkRange(v.range, `Output ${name}`));
+  // Файли до появи моделі змінних не мають key/source — вони відновлюються за назвою
+  const variables = Object.fromEntries(
+    Object.entries(inputs).map(([name, v]) => {
+      const [key, variable] = inputVariable(name, v.range, v.source);
+      return [v.key ?? key, variable];
+    })
+  );
+  return complete({
+    variables,
+    mfDefs: Object.fromEntries(Object.entries(inputs).map(([name, v]) => [name, v.terms])),
+    outputs: Object.fromEntries(Object.entries(outputs).map(([name, v]) => [name, v.singletons])),
+    outputMFs: Object.fromEntries(Object.entries(outputs).map(([name, v]) => [name, v.terms])),
+    rules: data.rules,
+    inference: data.inference,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// MATLAB .fis
+
+const FIS_MF = {
+  tri: "trimf",
+  trap: "trapmf",
+  gauss: "gaussmf",
+  gbell: "gbellmf",
+  sigmoid: "sigmf",
+  s: "smf",
+  z: "zmf",
+};
+const FIS_MF_TYPES = Object.fromEntries(Object.entries(FIS_MF).map(([k, v]) => [v, k]));
+// Лише методи, які знає Fuzzy Logic Toolbox: Łukasiewicz, Hamacher і обмежена сума в .fis не записуються
+const FIS_AND = { min: "min", product: "prod" };
+const FIS_AGG = { max: "max", sum: "sum", probor: "probor" };
+const FIS_IMP = { min: "min", product: "prod" };
+const invert = (table) => Object.fromEntries(Object.entries(table).map(([k, v]) => [v, k]));
+
+export function exportFIS(def, name = "deep_flc") {
+  const { inference } = def;
+  const variables = def.variables ?? DEFAULT_VARIABLES;
+  const sugeno = inference.method === "sugeno";
+  const op = (table, value, what) =>
+    table[value] ?? fail(`${what} "${value}" has no .fis equivalent`);
+  const and = op(FIS_AND, inference.tNorm, "T-norm");
+  const imp = op(FIS_IMP, inference.implication, "Implication");
+  const agg = op(FIS_AGG, inference.aggregation, "Aggregation");
+  const lines = [
+    "[System]",
+    `Name='${name}'`,
+    `Type='${inference.method}'`,
+    "Version=2.0",
+    `NumInputs=${Object.keys(variables).length}`,
+    `NumOutputs=${OUTPUT_VARIABLES.length}`,
+    `NumRules=${def.rules.length}`,
+    `AndMethod='${and}'`,
+    "OrMethod='max'",
+    `ImpMethod='${imp}'`,
+    `AggMethod='${agg}'`,
+    `DefuzzMethod='${sugeno ? "wtaver" : inference.defuzz}'`,
+  ];
+
+  const termsOf = {};
+  Object.entries(variables).forEach(([key, v], i) => {
+    const terms = Object.keys(def.mfDefs[v.name]);
+    termsOf[key] = terms;
+    lines.push("", `[Input${i + 1}]`, `Name='${v.name}'`, `Range=[${v.range.join(" ")}]`, `NumMFs=${terms.length}`);
+    terms.forEach((term, j) => {
+      const { type, params } = def.mfDefs[v.name][term];
+      lines.push(`MF${j + 1}='${term}':'${FIS_MF[type]}',[${params.map(fmt).join(" ")}]`);
+    });
+  });
+  OUTPUT_VARIABLES.forEach((out, i) => {
+    const terms = OUTPUT_TERMS;
+    termsOf[out] = terms;
+    lines.push("", `[Output${i + 1}]`, `Name='${out}'`, `Range=[${RANGE.join(" ")}]`, `NumMFs=${terms.length}`);
+    terms.forEach((term, j) => {
+      if (sugeno) {
+        lines.push(`MF${j + 1}='${term}':'constant',[${fmt(def.outputs[out][term])}]`);
+      } else {
+        const { type, params } = def.outputMFs[out][term];
+        lines.push(`MF${j + 1}='${term}':'${FIS_MF[type]}',[${params.map(fmt).join(" ")}]`);
+      }
+    });
+  });
+
+  lines.push("", "[Rules]");
+  for (const r of def.rules) {
+    // 0 — "будь-який" терм
+    const ante = Object.keys(variables).map((key) => termsOf[key].indexOf(r.antecedent[key]) + 1);
+    const cons = OUTPUT_VARIABLES.map((out) => termsOf[out].indexOf(r.consequent[out]) + 1);
+    lines.push(`${ante.join(" ")}, ${cons.join(" ")} (${fmt(r.weight ?? 1)}) : 1`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+function parseFISSections(text) {
+  const sections = [];
+  let current = null;
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("%") || line.startsWith("#")) return;
+    const header = line.match(/^\[(\w+)\]$/);
+    if (header) {
+      current = { name: header[1], fields: {}, lines: [], line: i + 1 };
+      sections.push(current);
+      return;
+    }
+    if (!current) fail(`Line ${i + 1}: content before the [System] section`);
+    if (current.name === "Rules") {
+      current.lines.push({ text: line, line: i + 1 });
+      return;
+    }
+    const eq = line.indexOf("=");
+    if (eq < 0) fail(`Line ${i + 1}: expected key=value`);
+    current.fields[line.slice(0, eq).trim()] = { value: line.slice(eq + 1).trim(), line: i + 1 };
+  });
+  return sections;
+}
+
+const unquote = (v) => v.replace(/^'(.*)'$/, "$1");
+
+function fisVector(v, where) {
+  const m = v.match(/^\[(.*)\]$/);
+  if (!m) fail(`${where}: expected a [..] vector`);
+  const values = m[1].trim().split(/[\s,]+/).filter(Boolean).map(Number);
+  if (!values.every(Number.isFinite)) fail(`${where}: vector must contain numbers`);
+  return values;
+}
+
+function fisLookup(table, value, what, line) {
+  const key = table[value];
+  if (!key) {
+    fail(`Line ${line}: unsupported ${what} '${value}' (supported: ${Object.keys(table).join(", ")})`);
+  }
+  return key;
+}
+
+export function importFIS(text) {
+  const sections = parseFISSections(text);
+  const system = sections.find((s) => s.name === "System");
+  if (!system) fail("Missing [System] section");
+  const field = (section, key, required = true) => {
+    const f = section.fields[key];
+    if (!f && required) fail(`[${section.name}] (line ${section.line}): missing ${key}`);
+    return f;
+  };
+
+  const type = unquote(field(system, "Type").value);
+  if (!INFERENCE_METHODS[type]) fail(`Line ${field(system, "Type").line}: unsupported FIS type '${type}'`);
+  const sugeno = type === "sugeno";
+  const get = (key, fallback) => {
+    const f = field(system, key, false);
+    return f ? { value: unquote(f.value), line: f.line } : { value: fallback, line: system.line };
+  };
+  const and = get("AndMethod", "min");
+  const or = get("OrMethod", "max");
+  const imp = get("ImpMethod", sugeno ? "prod" : "min");
+  const agg = get("AggMethod", sugeno ? "sum" : "max");
+  const defuzz = get("DefuzzMethod", sugeno ? "wtaver" : "centroid");
+  if (or.value !== "max") fail(`Line ${or.line}: OR rules are not supported, so OrMethod must be 'max'`);
+  if (sugeno && defuzz.value !== "wtaver") {
+    fail(`Line ${defuzz.line}: Sugeno defuzzification '${defuzz.value}' is not supported (only 'wtaver')`);
+  }
+  const inference = {
+    method: type,
+    tNorm: fisLookup(invert(FIS_AND), and.value, "AndMethod", and.line),
+    implication: fisLookup(invert(FIS_IMP), imp.value, "ImpMethod", imp.line),
+    aggregation: fisLookup(invert(FIS_AGG), agg.value, "AggMethod", agg.line),
+    defuzz: "centroid",
+  };
+  if (!sugeno) {
+    if (!DEFUZZ_METHODS[defuzz.value]) {
+      fail(`Line ${defuzz.line}: unsupported DefuzzMethod '${defuzz.value}' (supported: ${Object.keys(DEFUZZ_METHODS).join(", ")})`);
+    }
+    inference.defuzz = defuzz.value;
+  }
+
+  const readVariable = (section, allowConstant, isOutput) => {
+    const name = unquote(field(section, "Name").value);
+    const range = field(section, "Range");
+    const [lo, hi] = fisVector(range.value, `Line ${range.line}`);
+    if (isOutput && (lo !== RANGE[0] || hi !== RANGE[1])) {
+      fail(`Line ${range.line}: ${name} has unsupported range [${lo} ${hi}] (only [${RANGE.join(" ")}] is supported)`);
+    }
+    if (!(lo < hi)) fail(`Line ${range.line}: ${name} range must have min < max`);
+    const count = Number(field(section, "NumMFs").value);
+    const terms = [];
+    for (let j = 1; j <= count; j++) {
+      const f = field(section, `MF${j}`);
+      const m = f.value.match(/^'([^']+)'\s*:\s*'([^']+)'\s*,\s*(\[.*\])$/);
+      if (!m) fail(`Line ${f.line}: expected MF${j}='name':'type',[params]`);
+      const [, term, mfType, vector] = m;
+      const params = fisVector(vector, `Line ${f.line}`);
+      if (mfType === "constant" && allowConstant) {
+        terms.push({ term, constant: params[0] });
+      } else if (mfType === "linear") {
+        fail(`Line ${f.line}: first-order (linear) Sugeno outputs are not supported; use 'constant'`);
+      } else if (FIS_MF_TYPES[mfType]) {
+        terms.push({ term, mf: { type: FIS_MF_TYPES[mfType], params } });
+      } else {
+        fail(`Line ${f.line}: unsupported membership function '${mfType}' (supported: ${Object.values(FIS_MF).join(", ")})`);
+      }
+    }
+    return { name, range: [lo, hi], terms };
+  };
+
+  const inputs = sections.filter((s) => /^Input\d+$/.test(s.name)).map((s) => readVariable(s, false, false));
+  const outputs = sections.filter((s) => /^Output\d+$/.test(s.name)).map((s) => readVariable(s, sugeno, true));
+  if (outputs.map((v) => v.name).join() !== OUTPUT_VARIABLES.join()) {
+    fail(`Outputs must be ${OUTPUT_VARIABLES.join(", ")} in this order (got ${outputs.map((v) => v.name).join(", ")})`);
+  }
+
+  const mfDefs = Object.fromEntries(
+    inputs.map((v) => [v.name, Object.fromEntries(v.terms.map((t) => [t.term, t.mf]))])
+  );
+  const variables = Object.fromEntries(inputs.map((v) => inputVariable(v.name, v.range)));
+  const keys = Object.keys(variables);
+  const def = { variables, mfDefs, inference };
+  if (sugeno) {
+    def.outputs = Object.fromEntries(
+      outputs.map((v) => {
+        const bad = v.terms.find((t) => t.constant === undefined);
+        if (bad) fail(`Output ${v.name}.${bad.term}: Sugeno outputs must be 'constant'`);
+        return [v.name, Object.fromEntries(v.terms.map((t) => [t.term, t.constant]))];
+      })
+    );
+  } else {
+    def.outputMFs = Object.fromEntries(
+      outputs.map((v) => [v.name, Object.fromEntries(v.terms.map((t) => [t.term, t.mf]))])
+    );
+  }
+
+  const rulesSection = sections.find((s) => s.name === "Rules");
+  if (!rulesSection) fail("Missing [Rules] section");
+  def.rules = rulesSection.lines.map(({ text: line, line: n }) => {
+    const m = line.match(/^([-\d\s]+),([-\d\s]+)\(([\d.eE+-]+)\)\s*:\s*(\d)$/);
+    if (!m) fail(`Line ${n}: expected "i1 i2 i3 i4, o1 o2 (weight) : 1"`);
+    const ante = m[1].trim().split(/\s+/).map(Number);
+    const cons = m[2].trim().split(/\s+/).map(Number);
+    if (ante.length !== inputs.length || cons.length !== outputs.length) {
+      fail(`Line ${n}: expected ${inputs.length} antecedent and ${outputs.length} consequent indices`);
+    }
+    if (m[4] !== "1") fail(`Line ${n}: OR-connected rules are not supported`);
+    if ([...ante, ...cons].some((v) => v < 0)) fail(`Line ${n}: negated (NOT) terms are not supported`);
+    const termAt = (variable, index) => {
+      const term = variable.terms[index - 1]?.term;
+      if (!term) fail(`Line ${n}: ${variable.name} has no membership function #${index}`);
+      return term;
+    };
+    return {
+      antecedent: Object.fromEntries(
+        keys.flatMap((k, i) => (ante[i] === 0 ? [] : [[k, termAt(inputs[i], ante[i])]]))
+      ),
+      consequent: Object.fromEntries(OUTPUT_VARIABLES.map((o, i) => [o, termAt(outputs[i], cons[i])])),
+      weight: Number(m[3]),
+    };
+  });
+  return complete(def);
+}
+
+// ---------------------------------------------------------------------------
+// IEC 61131-7 FCL. Стандарт описує терми точками (x, μ); gauss/gbell/sigm — розширення jFuzzyLogic
+
+const FCL_AND = { min: "MIN", product: "PROD", lukasiewicz: "BDIF" };
+const FCL_ACT = { min: "MIN", product: "PROD" };
+const FCL_ACCU = { max: "MAX", sum: "SUM", probor: "PROBOR", bounded: "BSUM" };
+const FCL_METHOD = { centroid: "COG", bisector: "COA", mom: "MM", som: "LM", lom: "RM" };
+
+// Трикутник/трапеція -> точки; відкриті плечі дають 2-3 точки
+function mfToPoints({ type, params }) {
+  const [a, b, c, d] = type === "tri" ? [params[0], params[1], params[1], params[2]] : params;
+  const points = [];
+  if (a !== b) points.push([a, 0]);
+  points.push([b, 1]);
+  if (c !== b) points.push([c, 1]);
+  if (c !== d) points.push([d, 0]);
+  return points;
+}
+
+function fclTerm(mf, where) {
+  switch (mf.type) {
+    case "tri":
+    case "trap":
+      return mfToPoints(mf).map(([x, y]) => `(${fmt(x)}, ${y})`).join(" ");
+    case "gauss":
+      return `gauss ${fmt(mf.params[1])} ${fmt(mf.params[0])}`;
+    case "gbell":
+      return `gbell ${mf.params.map(fmt).join(" ")}`;
+    case "sigmoid":
+      return `sigm ${mf.params.map(fmt).join(" ")}`;
+    default:
+      return fail(`${where}: ${MF_SHAPES[mf.type].label} terms cannot be expressed in FCL`);
+  }
+}
+
+export function exportFCL(def, name = "deep_flc") {
+  const { inference } = def;
+  const sugeno = inference.method === "sugeno";
+  const op = (table, value, what) =>
+    table[value] ?? fail(`${what} "${value}" has no FCL equivalent`);
+  const and = op(FCL_AND, inference.tNorm, "T-norm");
+  const act = op(FCL_ACT, inference.implication, "Implication");
+  const accu = op(FCL_ACCU, inference.aggregation, "Aggregation");
+  const method = sugeno ? "COGS" : op(FCL_METHOD, inference.defuzz, "Defuzzification");
+  const variables = def.variables ?? DEFAULT_VARIABLES;
+
+  const lines = [`FUNCTION_BLOCK ${name}`, "", "VAR_INPUT"];
+  Object.values(variables).forEach((v) => lines.push(`  ${v.name} : REAL;`));
+  lines.push("END_VAR", "", "VAR_OUTPUT");
+  OUTPUT_VARIABLES.forEach((v) => lines.push(`  ${v} : REAL;`));
+  lines.push("END_VAR");
+
+  // Діапазон входу — розширення jFuzzyLogic (RANGE у FUZZIFY)
+  for (const v of Object.values(variables)) {
+    lines.push("", `FUZZIFY ${v.name}`);
+    for (const [term, mf] of Object.entries(def.mfDefs[v.name])) {
+      lines.push(`  TERM ${term} := ${fclTerm(mf, `Input ${v.name}.${term}`)};`);
+    }
+    lines.push(`  RANGE := (${v.range[0]} .. ${v.range[1]});`, "END_FUZZIFY");
+  }
+  for (const out of OUTPUT_VARIABLES) {
+    lines.push("", `DEFUZZIFY ${out}`);
+    for (const term of OUTPUT_TERMS) {
+      const body = sugeno
+        ? fmt(def.outputs[out][term])
+        : fclTerm(def.outputMFs[out][term], `Output ${out}.${term}`);
+      lines.push(`  TERM ${term} := ${body};`);
+    }
+    lines.push(`  METHOD : ${method};`, "  DEFAULT := 50;", `  RANGE := (${RANGE[0]} .. ${RANGE[1]});`, "END_DEFUZZIFY");
+  }
+
+  lines.push("", "RULEBLOCK rules", `  AND : ${and};`, `  ACT : ${act};`, `  ACCU : ${accu};`);
+  def.rules.forEach((r, i) => {
+    // Вхід без терму ("будь-який") в умову не потрапляє
+    const ante = Object.entries(variables)
+      .filter(([key]) => r.antecedent[key])
+      .map(([key, v]) => `${v.name} IS ${r.antecedent[key]}`)
+      .join(" AND ");
+    const cons = OUTPUT_VARIABLES.map((out) => `${out} IS ${r.consequent[out]}`).join(", ");
+    const weight = (r.weight ?? 1) === 1 ? "" : ` WITH ${fmt(r.weight)}`;
+    lines.push(`  RULE ${r.id ?? i + 1} : IF ${ante} THEN ${cons}${weight};`);
+  });
+  lines.push("END_RULEBLOCK", "", "END_FUNCTION_BLOCK");
+  return lines.join("\n") + "\n";
+}
+
+// Точки (x, μ) -> трикутник або трапеція; інші ламані не підтримуються
+function pointsToMF(points, where) {
+  const ys = points.map(([, y]) => y).join(",");
+  const xs = points.map(([x]) => x);
+  for (let i = 1; i < xs.length; i++) {
+    if (xs[i] < xs[i - 1]) fail(`${where}: points must be ordered by x`);
+  }
+  switch (ys) {
+    case "0,1,0":
+      return { type: "tri", params: xs };
+    case "0,1,1,0":
+      return { type: "trap", params: xs };
+    case "1,0":
+      return { type: "trap", params: [xs[0], xs[0], xs[0], xs[1]] };
+    case "0,1":
+      return { type: "trap", params: [xs[0], xs[1], xs[1], xs[1]] };
+    case "1,1,0":
+      return { type: "trap", params: [xs[0], xs[0], xs[1], xs[2]] };
+    case "0,1,1":
+      return { type: "trap", params: [xs[0], xs[1], xs[2], xs[2]] };
+    default:
+      return fail(
+        `${where}: piecewise-linear term with μ = (${ys}) is not supported; only triangles and trapezoids are`
+      );
+  }
+}
+
+function parseFCLTerm(body, where) {
+  const trimmed = body.trim();
+  if (trimmed.startsWith("(")) {
+    const points = [...trimmed.matchAll(/\(\s*([-\d.eE+]+)\s*,\s*([-\d.eE+]+)\s*\)/g)].map((m) => [
+      Number(m[1]),
+      Number(m[2]),
+    ]);
+    if (!points.length) fail(`${where}: cannot read points "${trimmed}"`);
+    return { mf: pointsToMF(points, where) };
+  }
+  const [kind, ...rest] = trimmed.split(/\s+/);
+  const nums = rest.map(Number);
+  if (/^[-\d.]/.test(kind) && rest.length === 0 && Number.isFinite(Number(kind))) {
+    return { singleton: Number(kind) };
+  }
+  if (!nums.every(Number.isFinite)) fail(`${where}: parameters must be numbers`);
+  if (kind === "gauss" && nums.length === 2) return { mf: { type: "gauss", params: [nums[1], nums[0]] } };
+  if (kind === "gbell" && nums.length === 3) return { mf: { type: "gbell", params: nums } };
+  if (kind === "sigm" && nums.length === 2) return { mf: { type: "sigmoid", params: nums } };
+  return fail(`${where}: unsupported term definition "${trimmed}" (use points, a singleton, gauss, gbell or sigm)`);
+}
+
+export function importFCL(text) {
+  // Коментарі (* ... *) та // вилучаються, номери рядків зберігаються
+  const clean = text.replace(/\(\*[\s\S]*?\*\)/g, (m) => m.replace(/[^\n]/g, " ")).replace(/\/\/.*$/gm, "");
+  const lines = clean.split(/\r?\n/).map((l, i) => ({ text: l.trim(), line: i + 1 }));
+  const statements = [];
+  for (const { text: l, line } of lines) {
+    if (!l) continue;
+    l.split(";").map((s) => s.trim()).filter(Boolean).forEach((s) => statements.push({ s, line }));
+  }
+
+  const mfDefs = {};
+  const ranges = {};
+  const outputTerms = {};
+  const methods = {};
+  const ops = {};
+  const rules = [];
+  // Назва змінної -> ключ в антецеденті; заповнюється блоками FUZZIFY
+  const keys = {};
+  let block = null;
+  let variable = null;
+  let sawBlock = false;
+
+  for (const { s, line } of statements) {
+    const at = `Line ${line}`;
+    let m;
+    if ((m = s.match(/^FUNCTION_BLOCK\b/i))) {
+      sawBlock = true;
+    } else if (/^(END_FUNCTION_BLOCK|END_VAR|VAR_INPUT|VAR_OUTPUT)$/i.test(s) || /^\w+\s*:\s*REAL$/i.test(s)) {
+      continue;
+    } else if ((m = s.match(/^FUZZIFY\s+(\w+)$/i))) {
+      if (mfDefs[m[1]]) fail(`${at}: input variable "${m[1]}" is defined twice`);
+      keys[m[1]] = inputVariable(m[1])[0];
+      block = "fuzzify";
+      variable = m[1];
+      mfDefs[variable] = {};
+    } else if ((m = s.match(/^DEFUZZIFY\s+(\w+)$/i))) {
+      if (!OUTPUT_VARIABLES.includes(m[1])) {
+        fail(`${at}: unsupported output variable "${m[1]}" (expected ${OUTPUT_VARIABLES.join(", ")})`);
+      }
+      block = "defuzzify";
+      variable = m[1];
+      outputTerms[variable] = {};
+    } else if (/^RULEBLOCK\b/i.test(s)) {
+      block = "rules";
+    } else if (/^END_(FUZZIFY|DEFUZZIFY|RULEBLOCK)$/i.test(s)) {
+      block = null;
+    } else if ((m = s.match(/^TERM\s+(\w+)\s*:=\s*(.+)$/i)) && block) {
+      const parsed = parseFCLTerm(m[2], `${at} (${variable}.${m[1]})`);
+      if (block === "fuzzify") {
+        if (!parsed.mf) fail(`${at}: singleton terms are only allowed in DEFUZZIFY`);
+        mfDefs[variable][m[1]] = parsed.mf;
+      } else {
+        outputTerms[variable][m[1]] = parsed;
+      }
+    } else if ((m = s.match(/^METHOD\s*:\s*(\w+)$/i)) && block === "defuzzify") {
+      methods[variable] = { value: m[1].toUpperCase(), line };
+    } else if ((m = s.match(/^RANGE\s*:=\s*\(\s*([-\d.]+)\s*\.\.\s*([-\d.]+)\s*\)$/i))) {
+      if (block === "fuzzify") {
+        if (!(Number(m[1]) < Number(m[2]))) fail(`${at}: range (${m[1]} .. ${m[2]}) must have min < max`);
+        ranges[variable] = [Number(m[1]), Number(m[2])];
+      } else if (Number(m[1]) !== RANGE[0] || Number(m[2]) !== RANGE[1]) {
+        fail(`${at}: unsupported range (${m[1]} .. ${m[2]}) (only (${RANGE[0]} .. ${RANGE[1]}) is supported)`);
+      }
+    } else if (/^DEFAULT\s*:=/i.test(s) || /^LOCK\b/i.test(s)) {
+      continue;
+    } else if ((m = s.match(/^(AND|OR|ACT|ACCU)\s*:\s*(\w+)$/i)) && block === "rules") {
+      ops[m[1].toUpperCase()] = { value: m[2].toUpperCase(), line };
+    } else if ((m = s.match(/^RULE\s+\w+\s*:\s*IF\s+(.+?)\s+THEN\s+(.+?)(?:\s+WITH\s+([\d.eE+-]+))?$/i))) {
+      if (/\bOR\b/i.test(m[1])) fail(`${at}: OR in rule conditions is not supported`);
+      if (/\bNOT\b/i.test(m[1])) fail(`${at}: NOT in rule conditions is not supported`);
+      const antecedent = {};
+      for (const part of m[1].split(/\s+AND\s+/i)) {
+        const c = part.trim().replace(/^\((.*)\)$/, "$1").match(/^(\w+)\s+IS\s+(\w+)$/i);
+        if (!c) fail(`${at}: cannot read condition "${part}"`);
+        if (!keys[c[1]]) fail(`${at}: unknown input variable "${c[1]}"`);
+        antecedent[keys[c[1]]] = c[2];
+      }
+      const consequent = {};
+      for (const part of m[2].split(",")) {
+        const c = part.trim().match(/^(\w+)\s+IS\s+(\w+)$/i);
+        if (!c || !OUTPUT_VARIABLES.includes(c[1])) fail(`${at}: cannot read conclusion "${part.trim()}"`);
+        consequent[c[1]] = c[2];
+      }
+      rules.push({ antecedent, consequent, weight: m[3] === undefined ? 1 : Number(m[3]) });
+    } else {
+      fail(`${at}: unsupported FCL statement "${s}"`);
+    }
+  }
+  if (!sawBlock) fail("Missing FUNCTION_BLOCK");
+
+  const pick = (table, op, what, fallback) => {
+    if (!op) return fallback;
+    const key = invert(table)[op.value];
+    if (!key) fail(`Line ${op.line}: unsupported ${what} ${op.value} (supported: ${Object.values(table).join(", ")})`);
+    return key;
+  };
+  if (ops.OR && ops.OR.value !== "MAX") fail(`Line ${ops.OR.line}: only OR : MAX is supported`);
+
+  const outMethods = OUTPUT_VARIABLES.map((out) => methods[out]);
+  const sugeno = outMethods.every((mth) => mth?.value === "COGS");
+  if (!sugeno && outMethods.some((mth) => mth?.value === "COGS")) {
+    fail("Mixing COGS (singleton) and other defuzzification methods is not supported");
+  }
+  const methodValues = new Set(outMethods.map((mth) => mth?.value ?? "COG"));
+  if (methodValues.size > 1) fail("All outputs must use the same defuzzification METHOD");
+
+  const inference = {
+    method: sugeno ? "sugeno" : "mamdani",
+    tNorm: pick(FCL_AND, ops.AND, "AND method", "min"),
+    implication: pick(FCL_ACT, ops.ACT, "ACT method", "min"),
+    aggregation: pick(FCL_ACCU, ops.ACCU, "ACCU method", sugeno ? "sum" : "max"),
+    defuzz: sugeno ? "centroid" : pick(FCL_METHOD, outMethods[0] ?? { value: "COG" }, "METHOD", "centroid"),
+  };
+
+  const variables = Object.fromEntries(
+    Object.keys(mfDefs).map((name) => inputVariable(name, ranges[name]))
+  );
+  const def = { variables, mfDefs, rules, inference };
+  const field = sugeno ? "singleton" : "mf";
+  const collected = Object.fromEntries(
+    OUTPUT_VARIABLES.map((out) => [
+      out,
+      Object.fromEntries(
+        Object.entries(outputTerms[out] ?? {}).map(([term, parsed]) => {
+          if (parsed[field] === undefined) {
+            fail(`Output ${out}.${term}: ${sugeno ? "COGS needs singleton terms" : "singletons need METHOD : COGS"}`);
+          }
+          return [term, parsed[field]];
+        })
+      ),
+    ])
+  );
+  if (sugeno) def.outputs = collected;
+  else def.outputMFs = collected;
+  return complete(def);
+}
+
+// ---------------------------------------------------------------------------
+
+export function exportController(def, format) {
+  if (format === "fis") return exportFIS(def);
+  if (format === "fcl") return exportFCL(def);
+  return exportControllerJSON(def);
+}
+
+// Формат за розширенням файлу
+export function importController(text, filename = "") {
+  const ext = filename.split(".").pop().toLowerCase();
+  if (ext === "fis") return importFIS(text);
+  if (ext === "fcl") return importFCL(text);
+  if (ext === "json") return importControllerJSON(text);
+  return fail(`Unsupported file type ".${ext}" (use .json, .fis or .fcl)`);
+}
@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_MFS,
+  DEFAULT_OUTPUT_MFS,
+  OUTPUT_CENTROIDS,
+  createController,
+  exportController,
+  exportFCL,
+  exportFIS,
+  generateRuleBase,
+  importController,
+  importControllerJSON,
+  importFCL,
+  importFIS,
+} from "./index.js";
+
+const rules = generateRuleBase();
+rules[4] = { ...rules[4], weight: 0.5 };
+
+const definition = (inference) => ({
+  mfDefs: structuredClone(DEFAULT_MFS),
+  rules,
+  outputs: { CP: { ...OUTPUT_CENTROIDS }, GP: { Low: 20, Medium: 50, High: 80 } },
+  outputMFs: structuredClone(DEFAULT_OUTPUT_MFS),
+  inference: { defuzz: "centroid", tNorm: "min", implication: "min", ...inference },
+});
+const sugeno = definition({ method: "sugeno", aggregation: "sum" });
+const mamdani = definition({ method: "mamdani", aggregation: "max", tNorm: "product" });
+
+// Імпортований контролер має давати ті самі виходи, що й оригінал
+function assertSameOutputs(a, b) {
+  const ca = createController({ ...a, ...a.inference });
+  const cb = createController({ ...b, ...b.inference });
+  for (const inputs of [
+    { SOC: 20, SOH: 90, Load: 30, Temp: 25 },
+    { SOC: 85, SOH: 55, Load: 70, Temp: 65 },
+    { SOC: 60, SOH: 75, Load: 50, Temp: 40 },
+  ]) {
+    const ra = ca.infer(inputs);
+    const rb = cb.infer(inputs);
+    assert.ok(Math.abs(ra.CP - rb.CP) < 1e-9, `CP ${ra.CP} != ${rb.CP}`);
+    assert.ok(Math.abs(ra.GP - rb.GP) < 1e-9, `GP ${ra.GP} != ${rb.GP}`);
+  }
+}
+
+for (const format of ["json", "fis", "fcl"]) {
+  for (const [name, def] of [["sugeno", sugeno], ["mamdani", mamdani]]) {
+    test(`${format} round-trips a ${name} controller`, () => {
+      const text = exportController(def, format);
+      const back = importController(text, `controller.${format}`);
+      assert.equal(back.inference.method, def.inference.method);
+      assert.equal(back.rules.length, 81);
+      assert.equal(back.rules[4].weight, 0.5);
+      assertSameOutputs(def, back);
+    });
+  }
+}
+
+test("gaussian terms survive FIS and FCL", () => {
+  const def = structuredClone(sugeno);
+  def.mfDefs.SOC.Medium = { type: "gauss", params: [8, 70] };
+  assert.deepEqual(importFIS(exportFIS(def)).mfDefs.SOC.Medium, def.mfDefs.SOC.Medium);
+  assert.deepEqual(importFCL(exportFCL(def)).mfDefs.SOC.Medium, def.mfDefs.SOC.Medium);
+});
+
+test("JSON import checks format, version and references", () => {
+  assert.throws(() => importControllerJSON("{"), /Invalid JSON/);
+  assert.throws(() => importControllerJSON('{"format":"other"}'), /Not a deep-flc-controller/);
+  const data = JSON.parse(exportController(sugeno, "json"));
+  assert.throws(
+    () => importControllerJSON(JSON.stringify({ ...data, version: 99 })),
+    /newer than supported/
+  );
+  data.rules[0].antecedent.SOC = "Huge";
+  assert.throws(() => importControllerJSON(JSON.stringify(data)), /Rule 1: SOC must be one of/);
+});
+
+test("FIS import rejects unsupported constructs with line numbers", () => {
+  const text = exportFIS(sugeno);
+  assert.throws(
+    () => importFIS(text.replace("'trapmf',[0 0 0 60]", "'pimf',[0 0 0 60]")),
+    /Line \d+: unsupported membership function 'pimf'/
+  );
+  assert.throws(() => importFIS(text.replace("'constant',[25]", "'linear',[1 0 0 0 25]")), /linear/);
+  assert.throws(() => importFIS(text.replace(/^1 1 1 1,/m, "-1 1 1 1,")), /negated/);
+  assert.throws(() => importFIS(text.replace(/\) : 1$/m, ") : 2")), /OR-connected/);
+  assert.throws(
+    () => importFIS(text.replace("Name='CP'\nRange=[0 100]", "Name='CP'\nRange=[0 10]")),
+    /CP has unsupported range/
+  );
+  assert.throws(() => importFIS(text.replace(/AndMethod='\w+'/, "AndMethod='hamacher'")), /unsupported AndMethod 'hamacher'/);
+  assert.throws(() => importFIS(text.replace(/AggMethod='\w+'/, "AggMethod='bounded'")), /unsupported AggMethod 'bounded'/);
+});
+
+test("FIS export rejects operators the toolbox cannot load", () => {
+  const withInference = (patch) => ({ ...mamdani, inference: { ...mamdani.inference, ...patch } });
+  assert.throws(() => exportFIS(withInference({ tNorm: "lukasiewicz" })), /T-norm "lukasiewicz" has no \.fis equivalent/);
+  assert.throws(() => exportFIS(withInference({ tNorm: "hamacher" })), /T-norm "hamacher" has no \.fis equivalent/);
+  assert.throws(() => exportFIS(withInference({ aggregation: "bounded" })), /Aggregation "bounded" has no \.fis equivalent/);
+});
+
+test("FCL import rejects unsupported constructs", () => {
+  const text = exportFCL(mamdani);
+  assert.throws(
+    () => importFCL(text.replace("TERM Low := (0, 1) (60, 0);", "TERM Low := (0, 1) (30, 0.5) (60, 0);")),
+    /piecewise-linear term/
+  );
+  assert.throws(() => importFCL(text.replace(" AND SOH IS", " OR SOH IS")), /OR in rule conditions/);
+  assert.throws(() => importFCL(text.replace("FUZZIFY SOH", "FUZZIFY Voltage")), /unknown input variable "SOH"/);
+  assert.throws(() => exportFCL({ ...mamdani, inference: { ...mamdani.inference, tNorm: "hamacher" } }), /no FCL equivalent/);
+  assert.throws(() => importController("", "controller.xml"), /Unsupported file type/);
+});
+
+// Власна модель змінних: п'ять термів SOC, додатковий вхід ціни з іншим діапазоном і правила з "будь-яким" входом
+test("custom variables, ranges and don't-care antecedents survive every format", () => {
+  const def = structuredClone(sugeno);
+  def.variables = {
+    SOC: { name: "SOC", source: "soc", range: [0, 100] },
+    SOH: { name: "SOH", source: "soh", range: [0, 100] },
+    Load: { name: "Load", source: "load", range: [0, 100] },
+    Temp: { name: "Temperature", source: "temp", range: [0, 100] },
+    Price: { name: "Price", source: "price", range: [0, 10] },
+  };
+  def.mfDefs.SOC = {
+    VeryLow: { type: "trap", params: [0, 0, 0, 25] },
+    Low: { type: "tri", params: [0, 25, 50] },
+    Medium: { type: "tri", params: [25, 50, 75] },
+    High: { type: "tri", params: [50, 75, 100] },
+    VeryHigh: { type: "trap", params: [75, 100, 100, 100] },
+  };
+  def.mfDefs.Price = {
+    Cheap: { type: "trap", params: [0, 0, 2, 6] },
+    Expensive: { type: "trap", params: [4, 8, 10, 10] },
+  };
+  def.rules = [
+    { id: 1, antecedent: { SOC: "VeryLow" }, consequent: { CP: "Low", GP: "High" }, weight: 1 },
+    { id: 2, antecedent: { SOC: "High", Price: "Cheap" }, consequent: { CP: "High", GP: "Low" }, weight: 1 },
+    { id: 3, antecedent: { Price: "Expensive", Temp: "High" }, consequent: { CP: "Low", GP: "Low" }, weight: 0.5 },
+  ];
+  const probe = createController({ ...def, ...def.inference });
+  for (const format of ["json", "fis", "fcl"]) {
+    const back = importController(exportController(def, format), `controller.${format}`);
+    assert.deepEqual(back.variables.Price, def.variables.Price, format);
+    assert.deepEqual(Object.keys(back.mfDefs.SOC), Object.keys(def.mfDefs.SOC), format);
+    assert.deepEqual(back.rules[1].antecedent, { SOC: "High", Price: "Cheap" }, format);
+    const controller = createController({ ...back, ...back.inference });
+    for (const inputs of [
+      { SOC: 10, SOH: 90, Load: 40, Temp: 30, Price: 1 },
+      { SOC: 70, SOH: 90, Load: 40, Temp: 80, Price: 9 },
+    ]) {
+      assert.ok(Math.abs(controller.infer(inputs).CP - probe.infer(inputs).CP) < 1e-9, format);
+    }
+  }
+});
@@ -0,0 +1,45 @@
+import { OUTPUT_VARIABLES } from "./controller.js";
+import { DEFAULT_PROTECTION, applyProtection } from "./protection.js";
+
+// Пояснення рішення контролера для одного набору входів.
+// Внесок правила — його частка у зваженому середньому: f_i / Σf · значення терму виходу;
+// для Sugeno з агрегацією sum сума внесків точно дорівнює виходу, для інших операторів це наближення.
+// Захисний шар відтворюється з тими самими налаштуваннями, станом гістерезису до кроку
+// та виміряними сигналами { SOC, SOH, Load, Temp } (за замовчуванням — самі входи, без пам'яті стану).
+export function explainDecision(
+  controller,
+  inputs,
+  { protection = DEFAULT_PROTECTION, state = null, measured = inputs } = {}
+) {
+  const inference = controller.infer(inputs);
+  const { memberships, firings } = inference;
+  const total = firings.reduce((acc, f) => acc + f, 0);
+
+  const rules = controller.rules
+    .map((rule, index) => ({ index, rule, strength: firings[index] }))
+    .filter((r) => r.strength > 0)
+    .map((r) => ({
+      ...r,
+      share: r.strength / total,
+      contributions: Object.fromEntries(
+        OUTPUT_VARIABLES.map((out) => [
+          out,
+          (r.strength / total) * controller.consequentValues[out][r.rule.consequent[out]],
+        ])
+      ),
+    }))
+    .sort((a, b) => b.strength - a.strength);
+
+  const raw = { CP: inference.CP, GP: inference.GP };
+  const { CP, GP, applied } = applyProtection(protection, state, measured, raw);
+
+  return {
+    variables: controller.variables,
+    inputs: Object.fromEntries(Object.keys(controller.variables).map((k) => [k, inputs[k]])),
+    memberships,
+    rules,
+    raw,
+    protection: applied,
+    final: { CP, GP },
+  };
+}
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, explainDecision, generateRuleBase } from "./index.js";
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} != ${expected}`);
+
+test("rule contributions are ranked and add up to the Sugeno output", () => {
+  const controller = createController({ method: "sugeno", aggregation: "sum" });
+  const d = explainDecision(controller, { SOC: 55, SOH: 85, Load: 65, Temp: 42 });
+  assert.ok(d.rules.length > 1);
+  for (let i = 1; i < d.rules.length; i++) {
+    assert.ok(d.rules[i - 1].strength >= d.rules[i].strength);
+  }
+  close(d.rules.reduce((acc, r) => acc + r.contributions.CP, 0), d.raw.CP);
+  close(d.rules.reduce((acc, r) => acc + r.contributions.GP, 0), d.raw.GP);
+  close(d.rules.reduce((acc, r) => acc + r.share, 0), 1);
+  assert.deepEqual(d.protection, []);
+  assert.deepEqual(d.final, d.raw);
+});
+
+test("memberships of every input term are reported", () => {
+  const controller = createController();
+  const d = explainDecision(controller, { SOC: 75, SOH: 100, Load: 50, Temp: 25 });
+  assert.deepEqual(Object.keys(d.memberships), ["SOC", "SOH", "Load", "Temp"]);
+  assert.equal(d.memberships.SOC.Medium, 1);
+});
+
+test("protection steps are listed in order with before and after values", () => {
+  const controller = createController({ rules: generateRuleBase() });
+  const d = explainDecision(controller, { SOC: 5, SOH: 40, Load: 90, Temp: 70 });
+  assert.deepEqual(d.protection.map((o) => o.id), ["socMin", "tempDerate", "tempCutoff"]);
+  assert.deepEqual(d.protection[0].before, d.raw);
+  assert.deepEqual(d.protection[1].before, d.protection[0].after);
+  assert.deepEqual(d.final, { CP: 0, GP: 100 });
+});
+
+test("the recorded hysteresis state reproduces a held protection", () => {
+  const controller = createController();
+  const inputs = { SOC: 50, SOH: 90, Load: 50, Temp: 42 };
+  assert.deepEqual(explainDecision(controller, inputs).protection, []);
+  const held = explainDecision(controller, inputs, { state: { active: { tempDerate: true }, last: null } });
+  assert.deepEqual(held.protection.map((o) => o.id), ["tempDerate"]);
+  close(held.final.CP, held.raw.CP / 2);
+});
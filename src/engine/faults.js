@@ -0,0 +1,119 @@
+import { createRandom } from "./mlp.js";
+
+// Несправності датчиків для перевірки стійкості: контролер і захисти бачать виміряні значення,
+// установка — фактичні. Кожна несправність діє на один вхід у вікні кроків [start, end].
+// Випадковість детермінована: генератор сіється з (seed, крок, номер несправності),
+// тож прогін повторюється, а в стані симуляції немає функцій.
+
+export const SENSOR_SIGNALS = ["SOC", "SOH", "Load", "Temp"];
+
+// Типи несправностей і їх типові параметри
+export const FAULT_TYPES = {
+  noise: { label: "Gaussian noise", params: { sigma: 2 } },
+  bias: { label: "Bias", params: { offset: 5 } },
+  drift: { label: "Drift", params: { rate: 0.1 } }, // одиниць за крок від початку вікна
+  stuck: { label: "Stuck at", params: { value: null } }, // null — застигає на першому значенні у вікні
+  dropout: { label: "Dropout", params: { probability: 0.2, hold: false } }, // hold — повтор останнього відліку
+  spike: { label: "Spikes", params: { probability: 0.05, magnitude: 20 } },
+};
+
+export const DEFAULT_SENSORS = { seed: 1, faults: [] };
+
+let nextId = 1;
+
+export function createFault(type = "noise", signal = "SOC", { start = 0, end = null } = {}) {
+  if (!FAULT_TYPES[type]) throw new Error(`Unknown fault type: ${type}`);
+  return {
+    id: `fault-${Date.now().toString(36)}-${nextId++}`,
+    enabled: true,
+    signal,
+    type,
+    start,
+    end,
+    ...FAULT_TYPES[type].params,
+  };
+}
+
+// Пам'ять датчиків між кроками: застиглі значення та останні доставлені відліки (для hold)
+export function createSensorState() {
+  return { stuck: {}, last: {} };
+}
+
+const isProbability = (p) => Number.isFinite(p) && p >= 0 && p <= 1;
+
+// Помилки конфігурації несправностей
+export function validateFaults(config) {
+  const errors = [];
+  (config?.faults ?? []).forEach((f, i) => {
+    const name = `Fault ${i + 1} (${FAULT_TYPES[f.type]?.label ?? f.type})`;
+    if (!FAULT_TYPES[f.type]) errors.push(`${name}: unknown fault type`);
+    if (!SENSOR_SIGNALS.includes(f.signal)) errors.push(`${name}: unknown signal ${f.signal}`);
+    if (!Number.isFinite(f.start) || f.start < 0) errors.push(`${name}: start must be a non-negative step`);
+    if (f.end !== null && f.end !== undefined && !(f.end >= f.start)) {
+      errors.push(`${name}: end must not be before start`);
+    }
+    if (f.type === "noise" && !(f.sigma >= 0)) errors.push(`${name}: sigma must be non-negative`);
+    if ((f.type === "dropout" || f.type === "spike") && !isProbability(f.probability)) {
+      errors.push(`${name}: probability must be within 0–1`);
+    }
+  });
+  return errors;
+}
+
+const activeAt = (f, time) => f.enabled !== false && time >= f.start && (f.end == null || time <= f.end);
+
+// Генератор для кроку й несправності
+function randomFor(seed, time, index) {
+  return createRandom(Math.imul(seed, 73856093) ^ Math.imul(time, 19349663) ^ Math.imul(index + 1, 83492791));
+}
+
+// Нормальний розподіл методом Бокса–Мюллера
+function gaussian(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Виміряні значення на кроці `time`: несправності одного входу застосовуються по черзі.
+// Пропущений відлік — NaN, або попередній доставлений відлік, якщо dropout має hold.
+// Повертає { measured, active (id діючих несправностей), state }
+export function applySensorFaults(config, state, actual, time) {
+  const { seed = 1, faults = [] } = config ?? DEFAULT_SENSORS;
+  const prev = state ?? createSensorState();
+  const measured = { ...actual };
+  const stuck = {};
+  const active = [];
+
+  faults.forEach((f, index) => {
+    if (!activeAt(f, time) || !(f.signal in measured)) return;
+    const random = randomFor(seed, time, index);
+    const value = measured[f.signal];
+    active.push(f.id);
+    switch (f.type) {
+      case "noise":
+        measured[f.signal] = value + f.sigma * gaussian(random);
+        break;
+      case "bias":
+        measured[f.signal] = value + f.offset;
+        break;
+      case "drift":
+        measured[f.signal] = value + f.rate * (time - f.start);
+        break;
+      case "stuck":
+        stuck[f.id] = f.value ?? prev.stuck[f.id] ?? value;
+        measured[f.signal] = stuck[f.id];
+        break;
+      case "dropout":
+        if (random() < f.probability) measured[f.signal] = f.hold ? prev.last[f.signal] ?? NaN : NaN;
+        break;
+      case "spike":
+        if (random() < f.probability) measured[f.signal] = value + (random() < 0.5 ? -1 : 1) * f.magnitude;
+        break;
+    }
+  });
+
+  const last = { ...prev.last };
+  for (const [signal, value] of Object.entries(measured)) {
+    if (Number.isFinite(value)) last[signal] = value;
+  }
+  return { measured, active, state: { stuck, last } };
+}
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applySensorFaults,
+  createController,
+  createFault,
+  createSimulationState,
+  fuzzifyInput,
+  predictSeries,
+  runSimulation,
+  stepSimulation,
+  validateFaults,
+} from "./index.js";
+
+const actual = { SOC: 50, SOH: 90, Load: 40, Temp: 30 };
+const fault = (type, patch = {}) => ({ ...createFault(type, "SOC"), ...patch });
+
+test("bias, drift and stuck faults act only inside their window", () => {
+  const config = {
+    seed: 1,
+    faults: [
+      fault("bias", { offset: 5, start: 2, end: 4 }),
+      fault("drift", { signal: "Temp", rate: 0.5, start: 2 }),
+    ],
+  };
+  assert.deepEqual(applySensorFaults(config, null, actual, 1).measured, actual);
+  const inside = applySensorFaults(config, null, actual, 4);
+  assert.equal(inside.measured.SOC, 55);
+  assert.equal(inside.measured.Temp, 31);
+  assert.equal(inside.active.length, 2);
+  assert.equal(applySensorFaults(config, null, actual, 5).measured.SOC, 50);
+
+  const stuck = { faults: [fault("stuck", { start: 1 })] };
+  const first = applySensorFaults(stuck, null, actual, 1);
+  const later = applySensorFaults(stuck, first.state, { ...actual, SOC: 70 }, 2);
+  assert.equal(later.measured.SOC, 50);
+});
+
+test("random faults repeat for the same seed and differ for another", () => {
+  const noisy = (seed) => ({ seed, faults: [fault("noise", { sigma: 3 })] });
+  const trace = (config) =>
+    Array.from({ length: 20 }, (_, t) => applySensorFaults(config, null, actual, t).measured.SOC);
+  assert.deepEqual(trace(noisy(1)), trace(noisy(1)));
+  assert.notDeepEqual(trace(noisy(1)), trace(noisy(2)));
+  const values = trace(noisy(1));
+  const mean = values.reduce((a, v) => a + v, 0) / values.length;
+  assert.ok(Math.abs(mean - 50) < 3);
+
+  const drops = { faults: [fault("dropout", { probability: 1 })] };
+  assert.ok(Number.isNaN(applySensorFaults(drops, null, actual, 3).measured.SOC));
+  const held = { faults: [fault("dropout", { probability: 1, hold: true })] };
+  assert.equal(applySensorFaults(held, { stuck: {}, last: { SOC: 47 } }, actual, 3).measured.SOC, 47);
+  const spikes = { faults: [fault("spike", { probability: 1, magnitude: 20 })] };
+  assert.equal(Math.abs(applySensorFaults(spikes, null, actual, 3).measured.SOC - 50), 20);
+});
+
+test("missing values have a defined meaning for fuzzification and prediction", () => {
+  const defs = { Low: { type: "tri", params: [0, 0, 50] }, High: { type: "tri", params: [50, 100, 100] } };
+  assert.deepEqual(fuzzifyInput(defs, NaN), { Low: 1, High: 1 });
+  assert.deepEqual(fuzzifyInput(defs, undefined), { Low: 1, High: 1 });
+  assert.deepEqual(predictSeries([40, NaN, 40, null], 2), [40, 40]);
+  assert.deepEqual(predictSeries([NaN, NaN]), [50]);
+
+  const controller = createController();
+  const result = controller.infer({ SOC: NaN, SOH: 90, Load: 40, Temp: 30 });
+  assert.deepEqual(result.missing, ["SOC"]);
+  assert.ok(Number.isFinite(result.CP) && Number.isFinite(result.GP));
+});
+
+test("an infinite reading is missing for both fuzzification and the controller", () => {
+  const defs = { Low: { type: "tri", params: [0, 0, 50] }, High: { type: "tri", params: [50, 100, 100] } };
+  assert.deepEqual(fuzzifyInput(defs, Infinity), { Low: 1, High: 1 });
+  assert.deepEqual(fuzzifyInput(defs, -Infinity), { Low: 1, High: 1 });
+  const controller = createController();
+  const result = controller.infer({ SOC: Infinity, SOH: 90, Load: -Infinity, Temp: 30 });
+  assert.deepEqual(result.missing, ["SOC", "Load"]);
+  const unknown = controller.infer({ SOC: NaN, SOH: 90, Load: NaN, Temp: 30 });
+  assert.equal(result.CP, unknown.CP);
+  assert.equal(result.GP, unknown.GP);
+});
+
+test("the controller and protections see measured values, the plant the true state", () => {
+  const controller = createController();
+  const sensors = { seed: 1, faults: [fault("stuck", { value: 99, start: 1 })] };
+  const res = stepSimulation(createSimulationState({ soc: 50 }), { controller, sensors });
+  assert.equal(res.inputs.SOC, 99);
+  assert.equal(res.protection.measured.SOC, 99);
+  assert.equal(res.point.CP, 0); // ложне спрацювання межі SOC
+  assert.equal(res.point.sensors.actual.SOC, 50);
+  assert.equal(res.point.sensors.measured.SOC, 99);
+  assert.ok(Math.abs(res.state.soc - 50) < 1);
+
+  const dropouts = { seed: 3, faults: [fault("dropout", { probability: 0.5 })] };
+  const run = runSimulation({ controller, steps: 30, mode: "deep", sensors: dropouts });
+  assert.ok(run.series.some((p) => p.sensors.measured.SOC === null));
+  assert.ok(run.series.every((p) => Number.isFinite(p.CP) && Number.isFinite(p.GP)));
+});
+
+test("validateFaults reports broken windows and parameters", () => {
+  assert.deepEqual(validateFaults({ faults: [fault("noise")] }), []);
+  assert.deepEqual(
+    validateFaults({ faults: [fault("dropout", { probability: 2, start: 5, end: 3 })] }),
+    ["Fault 1 (Dropout): end must not be before start", "Fault 1 (Dropout): probability must be within 0–1"]
+  );
+});
@@ -0,0 +1,129 @@
+import { createMLP, createRandom, forwardMLP, trainEpoch } from "./mlp.js";
+import { parseRows, rowsToColumns } from "./csv.js";
+
+// Канали прогнозу збігаються з ключами входів контролера
+export const FORECAST_CHANNELS = ["SOC", "SOH", "Load", "Temp"];
+
+const FORMAT = "deep-flc-forecaster";
+const VERSION = 1;
+
+const scale = (v) => v / 100;
+const clamp = (v) => Math.max(0, Math.min(100, v));
+
+// Вікно останніх `window` значень кожного каналу; коротка історія доповнюється першим значенням
+function windowInput(histories, end, window) {
+  const x = [];
+  for (const ch of FORECAST_CHANNELS) {
+    const h = histories[ch];
+    for (let i = end - window; i < end; i++) {
+      x.push(scale(h[Math.max(0, i)] ?? h[0] ?? 50));
+    }
+  }
+  return x;
+}
+
+// Навчальні пари: вікно історії -> прирости наступних `horizon` значень відносно останнього
+export function buildSamples(histories, window, horizon) {
+  const length = Math.min(...FORECAST_CHANNELS.map((ch) => histories[ch]?.length ?? 0));
+  const samples = [];
+  for (let end = window; end + horizon <= length; end++) {
+    const y = [];
+    for (const ch of FORECAST_CHANNELS) {
+      const h = histories[ch];
+      for (let k = 0; k < horizon; k++) y.push(scale(h[end + k] - h[end - 1]));
+    }
+    samples.push({ x: windowInput(histories, end, window), y });
+  }
+  return samples;
+}
+
+export function createForecaster({ window = 10, horizon = 5, hidden = 16, seed = 1 } = {}) {
+  return {
+    format: FORMAT,
+    version: VERSION,
+    window,
+    horizon,
+    channels: FORECAST_CHANNELS,
+    seed,
+    net: createMLP({
+      inputSize: window * FORECAST_CHANNELS.length,
+      hiddenSize: hidden,
+      outputSize: horizon * FORECAST_CHANNELS.length,
+      seed,
+    }),
+    loss: [],
+  };
+}
+
+export function trainForecaster(
+  model,
+  histories,
+  { epochs = 100, learningRate = 0.05, onEpoch } = {}
+) {
+  const samples = buildSamples(histories, model.window, model.horizon);
+  if (samples.length === 0) {
+    throw new Error(
+      `Need at least ${model.window + model.horizon} samples per channel to train`
+    );
+  }
+  const random = createRandom(model.seed + model.loss.length);
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const loss = trainEpoch(model.net, samples, { learningRate, random });
+    model.loss.push(loss);
+    onEpoch?.(model.loss.length, loss);
+  }
+  return model;
+}
+
+// Прогноз наступних `horizon` кроків кожного каналу
+// Пропущені відліки (NaN, null) замінюються попереднім дійсним, на початку — першим дійсним
+function fillMissing(h) {
+  let last = h.find(Number.isFinite) ?? 50;
+  return h.map((v) => (Number.isFinite(v) ? (last = v) : last));
+}
+
+export function forecast(model, raw) {
+  const histories = Object.fromEntries(FORECAST_CHANNELS.map((ch) => [ch, fillMissing(raw[ch])]));
+  const end = Math.min(...FORECAST_CHANNELS.map((ch) => histories[ch].length));
+  const { output } = forwardMLP(model.net, windowInput(histories, end, model.window));
+  const result = {};
+  FORECAST_CHANNELS.forEach((ch, c) => {
+    const last = histories[ch][end - 1] ?? 50;
+    result[ch] = output
+      .slice(c * model.horizon, (c + 1) * model.horizon)
+      .map((d) => clamp(last + d * 100));
+  });
+  return result;
+}
+
+// Перевірка моделі, завантаженої з JSON
+export function parseForecaster(json) {
+  const model = typeof json === "string" ? JSON.parse(json) : json;
+  if (model?.format !== FORMAT) throw new Error("Not a Deep-FLC forecaster file");
+  if (model.version !== VERSION) {
+    throw new Error(`Unsupported forecaster version: ${model.version}`);
+  }
+  const { net, window, horizon } = model;
+  const inputs = window * FORECAST_CHANNELS.length;
+  const outputs = horizon * FORECAST_CHANNELS.length;
+  if (
+    !net ||
+    net.inputSize !== inputs ||
+    net.outputSize !== outputs ||
+    net.W1?.length !== net.hiddenSize ||
+    net.W2?.length !== outputs ||
+    net.W1.some((row) => row.length !== inputs)
+  ) {
+    throw new Error("Forecaster weights do not match its window/horizon");
+  }
+  return { ...model, loss: model.loss ?? [] };
+}
+
+const HISTORY_ALIASES = { Temp: ["Temperature"] };
+
+// Навчальні дані з файлу: JSON { SOC: [...], ... }, JSON-масив рядків або CSV
+export function parseHistoryData(text) {
+  const rows = parseRows(text);
+  if (!rows.length) throw new Error("Dataset is empty");
+  return rowsToColumns(rows, FORECAST_CHANNELS, HISTORY_ALIASES);
+}
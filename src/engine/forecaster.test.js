@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildSamples,
+  createForecaster,
+  forecast,
+  parseForecaster,
+  parseHistoryData,
+  trainForecaster,
+} from "./index.js";
+
+const wave = (n, offset) =>
+  Array.from({ length: n }, (_, i) => 50 + 20 * Math.sin((i + offset) / 5));
+
+const histories = {
+  SOC: wave(120, 0),
+  SOH: Array(120).fill(95),
+  Load: wave(120, 3),
+  Temp: wave(120, 7).map((v) => v / 2),
+};
+
+test("buildSamples windows every channel", () => {
+  const samples = buildSamples(histories, 10, 3);
+  assert.equal(samples.length, 120 - 10 - 3 + 1);
+  assert.equal(samples[0].x.length, 40);
+  assert.equal(samples[0].y.length, 12);
+  // SOH сталий, тож його прирости нульові
+  assert.deepEqual(samples[0].y.slice(3, 6), [0, 0, 0]);
+});
+
+test("training lowers the loss and is reproducible", () => {
+  const a = trainForecaster(createForecaster({ window: 8, horizon: 3 }), histories, {
+    epochs: 30,
+  });
+  const b = trainForecaster(createForecaster({ window: 8, horizon: 3 }), histories, {
+    epochs: 30,
+  });
+  assert.equal(a.loss.length, 30);
+  assert.ok(a.loss[29] < a.loss[0]);
+  assert.deepEqual(a.loss, b.loss);
+});
+
+test("forecast returns horizon values per channel within range", () => {
+  const model = trainForecaster(createForecaster({ window: 8, horizon: 4 }), histories, {
+    epochs: 60,
+  });
+  const next = forecast(model, histories);
+  assert.deepEqual(Object.keys(next), ["SOC", "SOH", "Load", "Temp"]);
+  for (const values of Object.values(next)) {
+    assert.equal(values.length, 4);
+    values.forEach((v) => assert.ok(v >= 0 && v <= 100));
+  }
+  const truth = 50 + 20 * Math.sin(120 / 5);
+  assert.ok(Math.abs(next.SOC[0] - truth) < 5, `${next.SOC[0]} vs ${truth}`);
+  assert.ok(Math.abs(next.SOH[0] - 95) < 2);
+});
+
+test("training needs enough history", () => {
+  const short = { SOC: [1, 2], SOH: [1, 2], Load: [1, 2], Temp: [1, 2] };
+  assert.throws(
+    () => trainForecaster(createForecaster({ window: 5, horizon: 2 }), short),
+    /at least 7 samples/
+  );
+});
+
+test("parseForecaster round-trips JSON and rejects mismatched weights", () => {
+  const model = createForecaster({ window: 4, horizon: 2, hidden: 3 });
+  const parsed = parseForecaster(JSON.stringify(model));
+  assert.deepEqual(parsed.net, model.net);
+  assert.throws(() => parseForecaster({ format: "other" }), /Not a Deep-FLC/);
+  assert.throws(
+    () => parseForecaster({ ...model, window: 5 }),
+    /do not match its window\/horizon/
+  );
+});
+
+test("parseHistoryData accepts CSV, row JSON and column JSON", () => {
+  const csv = "SOC,SOH,Load,Temperature\n50,99,30,25\n51,99,35,26";
+  assert.deepEqual(parseHistoryData(csv), {
+    SOC: [50, 51],
+    SOH: [99, 99],
+    Load: [30, 35],
+    Temp: [25, 26],
+  });
+  const rows = JSON.stringify([{ SOC: 1, SOH: 2, Load: 3, Temp: 4 }]);
+  assert.deepEqual(parseHistoryData(rows).Temp, [4]);
+  const cols = JSON.stringify({ SOC: [1, 2], SOH: [3, 4], Load: [5, 6], Temp: [7, 8] });
+  assert.deepEqual(parseHistoryData(cols).Load, [5, 6]);
+  assert.throws(() => parseHistoryData("SOC,Load\n1,2"), /Missing column: SOH/);
+  assert.throws(() => parseHistoryData("[]"), /Dataset is empty/);
+});
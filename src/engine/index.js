@@ -0,0 +1,201 @@
+export {
+  triMF,
+  trapMF,
+  gaussMF,
+  gbellMF,
+  sigMF,
+  sMF,
+  zMF,
+  MF_SHAPES,
+  DEFAULT_MFS,
+  normalizeMF,
+  repairMF,
+  evaluateMF,
+  convertMF,
+  fuzzifyInput,
+  isMissing,
+} from "./membership.js";
+export {
+  SOC_TERMS,
+  SOH_TERMS,
+  LOAD_TERMS,
+  TEMP_TERMS,
+  OUTPUT_CENTROIDS,
+  OUTPUT_TERMS,
+  ANTECEDENT_TERMS,
+  generateRuleBase,
+  createRule,
+} from "./rules.js";
+export {
+  INPUT_SOURCES,
+  DEFAULT_VARIABLES,
+  TERM_PRESETS,
+  variableTerms,
+  uniformTerms,
+  addVariable,
+  removeVariable,
+  setTermCount,
+  addTerm,
+  removeTerm,
+  setVariableRange,
+  variableInputs,
+} from "./variables.js";
+export {
+  INPUT_VARIABLES,
+  OUTPUT_VARIABLES,
+  INFERENCE_METHODS,
+  DEFAULT_OUTPUT_MFS,
+  createController,
+} from "./controller.js";
+export { DEFUZZ_METHODS, defuzzify } from "./defuzzify.js";
+export { predictSeries } from "./predict.js";
+export {
+  ACCURACY_WINDOW,
+  ACCURACY_CHANNELS,
+  createAccuracyState,
+  updateAccuracy,
+  accuracyMetrics,
+  confidenceBand,
+} from "./accuracy.js";
+export { T_NORMS, AGGREGATIONS, IMPLICATIONS } from "./operators.js";
+export { createMLP, createRandom, forwardMLP, trainEpoch } from "./mlp.js";
+export {
+  FORECAST_CHANNELS,
+  buildSamples,
+  createForecaster,
+  trainForecaster,
+  forecast,
+  parseForecaster,
+  parseHistoryData,
+} from "./forecaster.js";
+export { parseCSV, parseRows, rowsToColumns } from "./csv.js";
+export { parseTrainingData, fitConsequents, rmse, trainAnfis } from "./anfis.js";
+export {
+  PROTECTIONS,
+  DEFAULT_PROTECTION,
+  createProtectionState,
+  validateProtection,
+  applyProtection,
+  activeAlarms,
+} from "./protection.js";
+export {
+  SENSOR_SIGNALS,
+  FAULT_TYPES,
+  DEFAULT_SENSORS,
+  createFault,
+  createSensorState,
+  validateFaults,
+  applySensorFaults,
+} from "./faults.js";
+export {
+  createSimulationState,
+  stepSimulation,
+  runSimulation,
+} from "./simulation.js";
+export { explainDecision } from "./explain.js";
+export { controlSurface } from "./surface.js";
+export {
+  LOW_COVERAGE,
+  validateMF,
+  analyzeVariable,
+  analyzeMembership,
+  analyzeRules,
+} from "./validation.js";
+export {
+  OPTIMIZER_ALGORITHMS,
+  DEFAULT_OBJECTIVE,
+  encodeController,
+  runMetrics,
+  scoreMetrics,
+  evaluateController,
+  optimizeController,
+} from "./optimizer.js";
+export { DEFAULT_PLANT, dispatchPower, stepPlant } from "./plant.js";
+export {
+  ALLOCATION_STRATEGIES,
+  MIN_PACK_CAPACITY,
+  createPack,
+  createBank,
+  bankPacks,
+  bankSummary,
+  allocatePower,
+  stepBank,
+} from "./bank.js";
+export {
+  BATTERY_PRESETS,
+  END_OF_LIFE_SOH,
+  openCircuitVoltage,
+  nominalVoltage,
+  capacityAh,
+  packResistance,
+  solveCurrent,
+  stepBattery,
+} from "./battery.js";
+export {
+  PROFILE_CHANNELS,
+  INTERPOLATIONS,
+  SYNTHETIC_PROFILES,
+  createProfile,
+  profileDuration,
+  sampleProfile,
+  sampleProfiles,
+  parseProfileData,
+} from "./profiles.js";
+export {
+  TARIFF_BANDS,
+  DEFAULT_TARIFF,
+  DEMAND_INTERVAL,
+  tariffBand,
+  createAccount,
+  accountEnergy,
+  costBreakdown,
+} from "./tariff.js";
+export {
+  COMPARISON_KPIS,
+  createComparison,
+  stepComparison,
+  runKPIs,
+  compareKPIs,
+  mergeRunSeries,
+  runComparison,
+} from "./comparison.js";
+export { BATCH_COLUMNS, downsampleColumns, columnsToCSV, columnsToCSVParts, runBatch } from "./batch.js";
+export {
+  CONTROLLER_FORMAT,
+  CONTROLLER_SCHEMA_VERSION,
+  CONTROLLER_FORMATS,
+  validateControllerDefinition,
+  exportControllerJSON,
+  importControllerJSON,
+  exportFIS,
+  importFIS,
+  exportFCL,
+  importFCL,
+  exportController,
+  importController,
+} from "./exchange.js";
+export {
+  RECORDING_FORMAT,
+  RECORDING_SCHEMA_VERSION,
+  RECORDING_FIELDS,
+  createRecordStep,
+  createRecording,
+  exportRecordingJSON,
+  exportRecordingCSV,
+  importRecording,
+} from "./recording.js";
+export {
+  SCENARIO_FORMAT,
+  SCENARIO_SCHEMA_VERSION,
+  SCENARIO_URL_PARAM,
+  createScenario,
+  readScenario,
+  duplicateScenario,
+  renameScenario,
+  encodeScenario,
+  decodeScenario,
+  scenarioFromHash,
+  scenarioHash,
+  summarizeRun,
+  createRunEntry,
+} from "./scenario.js";
@@ -0,0 +1,171 @@
+// Трикутна функція належності; b === a або b === c дає "плече" (лівий/правий край)
+export function triMF(x, a, b, c) {
+  if (b === a) {
+    if (x <= a) return 1;
+    if (x >= c) return 0;
+    return (c - x) / (c - a);
+  }
+  if (b === c) {
+    if (x <= a) return 0;
+    if (x >= c) return 1;
+    return (x - a) / (b - a);
+  }
+  if (x <= a) return 0;
+  if (x >= c) return 0;
+  if (x === b) return 1;
+  if (x > a && x < b) return (x - a) / (b - a);
+  if (x > b && x < c) return (c - x) / (c - b);
+  return 0;
+}
+
+// Трапецієподібна; a === b або c === d — відкрите плече, як і в triMF
+export function trapMF(x, a, b, c, d) {
+  if (x < a) return a === b ? 1 : 0;
+  if (x > d) return c === d ? 1 : 0;
+  if (x >= b && x <= c) return 1;
+  if (x < b) return (x - a) / (b - a);
+  return (d - x) / (d - c);
+}
+
+export function gaussMF(x, sigma, c) {
+  if (sigma === 0) return x === c ? 1 : 0;
+  return Math.exp(-((x - c) ** 2) / (2 * sigma ** 2));
+}
+
+// Узагальнена дзвоноподібна: 1 / (1 + |(x - c) / a|^(2b))
+export function gbellMF(x, a, b, c) {
+  if (a === 0) return x === c ? 1 : 0;
+  return 1 / (1 + Math.abs((x - c) / a) ** (2 * b));
+}
+
+export function sigMF(x, a, c) {
+  return 1 / (1 + Math.exp(-a * (x - c)));
+}
+
+// S-подібна сплайнова функція: 0 до a, 1 після b
+export function sMF(x, a, b) {
+  if (x <= a) return 0;
+  if (x >= b) return 1;
+  const m = (a + b) / 2;
+  if (x <= m) return 2 * ((x - a) / (b - a)) ** 2;
+  return 1 - 2 * ((x - b) / (b - a)) ** 2;
+}
+
+// Z-подібна — дзеркальна до S
+export function zMF(x, a, b) {
+  return 1 - sMF(x, a, b);
+}
+
+// Реєстр форм: назва, імена параметрів і функція обчислення
+export const MF_SHAPES = {
+  tri: { label: "Triangular", params: ["a", "b", "c"], fn: triMF },
+  trap: { label: "Trapezoidal", params: ["a", "b", "c", "d"], fn: trapMF },
+  gauss: { label: "Gaussian", params: ["sigma", "c"], fn: gaussMF },
+  gbell: { label: "Generalized bell", params: ["a", "b", "c"], fn: gbellMF },
+  sigmoid: { label: "Sigmoid", params: ["a", "c"], fn: sigMF },
+  s: { label: "S-shaped", params: ["a", "b"], fn: sMF },
+  z: { label: "Z-shaped", params: ["a", "b"], fn: zMF },
+};
+
+export const DEFAULT_MFS = {
+  SOC: {
+    Low: { type: "trap", params: [0, 0, 0, 60] },
+    Medium: { type: "tri", params: [50, 75, 90] },
+    High: { type: "trap", params: [80, 100, 100, 100] },
+  },
+  SOH: {
+    Degraded: { type: "trap", params: [0, 0, 0, 60] },
+    Normal: { type: "tri", params: [50, 75, 90] },
+    Good: { type: "trap", params: [80, 100, 100, 100] },
+  },
+  Load: {
+    Low: { type: "trap", params: [0, 0, 0, 40] },
+    Medium: { type: "tri", params: [30, 50, 70] },
+    High: { type: "trap", params: [60, 100, 100, 100] },
+  },
+  Temperature: {
+    Low: { type: "trap", params: [0, 0, 0, 20] },
+    Normal: { type: "tri", params: [15, 30, 45] },
+    High: { type: "trap", params: [40, 100, 100, 100] },
+  },
+};
+
+// Старий формат [a, b, c] трактується як трикутник
+export function normalizeMF(mf) {
+  return Array.isArray(mf) ? { type: "tri", params: mf } : mf;
+}
+
+export function evaluateMF(mf, x) {
+  const { type, params } = normalizeMF(mf);
+  const shape = MF_SHAPES[type];
+  if (!shape) throw new Error(`Unknown membership function type: ${type}`);
+  return shape.fn(x, ...params);
+}
+
+// Упорядковані параметри (a ≤ b ≤ c ...) та додатні ширини для решти форм
+const ORDERED_SHAPES = ["tri", "trap", "s", "z"];
+const MIN_WIDTH = 0.5;
+
+export function repairMF(mf) {
+  const { type, params } = normalizeMF(mf);
+  const next = [...params];
+  if (ORDERED_SHAPES.includes(type)) next.sort((a, b) => a - b);
+  if (type === "gauss") next[0] = Math.max(MIN_WIDTH, Math.abs(next[0]));
+  if (type === "gbell") {
+    next[0] = Math.max(MIN_WIDTH, Math.abs(next[0]));
+    next[1] = Math.max(0.1, next[1]);
+  }
+  return { type, params: next };
+}
+
+// Переведення терму в іншу форму зі збереженням носія та піку
+export function convertMF(mf, type, range = [0, 100]) {
+  const [min, max] = range;
+  const step = (max - min) / 100;
+  let lo = max,
+    hi = min,
+    peak = min,
+    peakValue = -1;
+  for (let x = min; x <= max; x += step) {
+    const y = evaluateMF(mf, x);
+    if (y > 0.01) {
+      lo = Math.min(lo, x);
+      hi = Math.max(hi, x);
+    }
+    if (y > peakValue) {
+      peak = x;
+      peakValue = y;
+    }
+  }
+  if (lo > hi) [lo, hi] = [min, max];
+  const width = Math.max(hi - lo, step);
+  const rising = evaluateMF(mf, hi) >= evaluateMF(mf, lo);
+  const round = (v) => Math.round(v * 100) / 100;
+
+  const params = {
+    tri: [lo, peak, hi],
+    trap: [lo, (lo + peak) / 2, (peak + hi) / 2, hi],
+    gauss: [width / 6, peak],
+    gbell: [width / 2, 2, peak],
+    sigmoid: [(rising ? 8 : -8) / width, (lo + hi) / 2],
+    s: [lo, hi],
+    z: [lo, hi],
+  }[type];
+  if (!params) throw new Error(`Unknown membership function type: ${type}`);
+  return { type, params: params.map(round) };
+}
+
+// Пропущене значення входу: не скінченне число (NaN, ±Infinity від несправного датчика, null, undefined)
+export const isMissing = (x) => !Number.isFinite(x);
+
+// Фазифікація: ступінь належності x до кожного терму змінної.
+// Пропущене значення нічого не повідомляє про вхід: усі терми мають
+// належність 1, як "будь-який" терм, і правила вирішують решта входів
+export function fuzzifyInput(defs, x) {
+  const out = {};
+  const missing = isMissing(x);
+  Object.keys(defs).forEach((term) => {
+    out[term] = missing ? 1 : evaluateMF(defs[term], x);
+  });
+  return out;
+}
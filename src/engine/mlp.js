@@ -0,0 +1,77 @@
+// Багатошаровий перцептрон з одним прихованим шаром (tanh) і лінійним виходом.
+// Ваги зберігаються у звичайних масивах, тож модель серіалізується в JSON як є.
+
+// Детермінований ГПВЧ (mulberry32), щоб навчання було відтворюваним
+export function createRandom(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function matrix(rows, cols, random, scale) {
+  return Array.from({ length: rows }, () =>
+    Array.from({ length: cols }, () => (random() * 2 - 1) * scale)
+  );
+}
+
+export function createMLP({ inputSize, hiddenSize, outputSize, seed = 1 }) {
+  const random = createRandom(seed);
+  return {
+    inputSize,
+    hiddenSize,
+    outputSize,
+    W1: matrix(hiddenSize, inputSize, random, 1 / Math.sqrt(inputSize)),
+    b1: new Array(hiddenSize).fill(0),
+    W2: matrix(outputSize, hiddenSize, random, 1 / Math.sqrt(hiddenSize)),
+    b2: new Array(outputSize).fill(0),
+  };
+}
+
+export function forwardMLP(net, x) {
+  const hidden = net.W1.map((row, j) =>
+    Math.tanh(row.reduce((acc, w, i) => acc + w * x[i], net.b1[j]))
+  );
+  const output = net.W2.map((row, k) =>
+    row.reduce((acc, w, j) => acc + w * hidden[j], net.b2[k])
+  );
+  return { hidden, output };
+}
+
+// Одна епоха стохастичного градієнтного спуску з MSE; повертає середню втрату
+export function trainEpoch(net, samples, { learningRate = 0.05, random = Math.random } = {}) {
+  const order = samples.map((_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  let loss = 0;
+  for (const idx of order) {
+    const { x, y } = samples[idx];
+    const { hidden, output } = forwardMLP(net, x);
+    const dOut = output.map((o, k) => o - y[k]);
+    loss += dOut.reduce((acc, d) => acc + d * d, 0) / dOut.length;
+
+    const dHidden = hidden.map(
+      (h, j) => (1 - h * h) * dOut.reduce((acc, d, k) => acc + d * net.W2[k][j], 0)
+    );
+    for (let k = 0; k < net.outputSize; k++) {
+      for (let j = 0; j < net.hiddenSize; j++) {
+        net.W2[k][j] -= learningRate * dOut[k] * hidden[j];
+      }
+      net.b2[k] -= learningRate * dOut[k];
+    }
+    for (let j = 0; j < net.hiddenSize; j++) {
+      for (let i = 0; i < net.inputSize; i++) {
+        net.W1[j][i] -= learningRate * dHidden[j] * x[i];
+      }
+      net.b1[j] -= learningRate * dHidden[j];
+    }
+  }
+  return samples.length ? loss / samples.length : 0;
+}
@@ -0,0 +1,34 @@
+// T-норми для операції AND в антецеденті правила
+export const T_NORMS = {
+  min: { label: "Minimum", fn: (a, b) => Math.min(a, b) },
+  product: { label: "Algebraic product", fn: (a, b) => a * b },
+  lukasiewicz: { label: "Łukasiewicz", fn: (a, b) => Math.max(0, a + b - 1) },
+  hamacher: {
+    label: "Hamacher product",
+    fn: (a, b) => (a === 0 && b === 0 ? 0 : (a * b) / (a + b - a * b)),
+  },
+};
+
+// S-норми для OR та агрегації правил; "sum" — незгладжена сума (класичний Sugeno)
+export const AGGREGATIONS = {
+  sum: { label: "Sum", fn: (a, b) => a + b },
+  max: { label: "Maximum", fn: (a, b) => Math.max(a, b) },
+  probor: { label: "Probabilistic sum", fn: (a, b) => a + b - a * b },
+  bounded: { label: "Bounded sum", fn: (a, b) => Math.min(1, a + b) },
+};
+
+// Імплікація Mamdani: відсікання (min) або масштабування (product) вихідного терму
+export const IMPLICATIONS = {
+  min: { label: "Minimum (clip)", fn: (w, mu) => Math.min(w, mu) },
+  product: { label: "Product (scale)", fn: (w, mu) => w * mu },
+};
+
+function lookup(table, name, kind) {
+  const op = table[name];
+  if (!op) throw new Error(`Unknown ${kind}: ${name}`);
+  return op.fn;
+}
+
+export const getTNorm = (name) => lookup(T_NORMS, name, "T-norm");
+export const getAggregation = (name) => lookup(AGGREGATIONS, name, "aggregation operator");
+export const getImplication = (name) => lookup(IMPLICATIONS, name, "implication method");
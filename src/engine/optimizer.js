@@ -0,0 +1,233 @@
+import { createController } from "./controller.js";
+import { repairMF } from "./membership.js";
+import { createRandom } from "./mlp.js";
+import { OUTPUT_TERMS } from "./rules.js";
+import { runSimulation } from "./simulation.js";
+import { DEFAULT_TARIFF, costBreakdown } from "./tariff.js";
+import { DEFAULT_VARIABLES } from "./variables.js";
+
+export const OPTIMIZER_ALGORITHMS = {
+  ga: "Genetic algorithm",
+  pso: "Particle swarm",
+};
+
+export const DEFAULT_OBJECTIVE = {
+  weights: { cost: 1, socBand: 1, sohLoss: 10, tempPeak: 0.1 },
+  socBand: [20, 90],
+  tariff: DEFAULT_TARIFF,
+};
+
+// Межі параметрів за формою: [мін, макс] для кожної позиції в діапазоні змінної [lo, hi];
+// ширини масштабуються з діапазоном (k = span / 100), нахил сигмоїди — обернено
+const PARAM_BOUNDS = {
+  tri: (i, range) => range,
+  trap: (i, range) => range,
+  s: (i, range) => range,
+  z: (i, range) => range,
+  gauss: (i, range, k) => (i === 0 ? [0.5 * k, 50 * k] : range),
+  gbell: (i, range, k) => [[0.5 * k, 50 * k], [0.1, 10], range][i],
+  sigmoid: (i, range, k) => (i === 0 ? [-2 / k, 2 / k] : range),
+};
+
+const clamp = (v, [lo, hi]) => Math.max(lo, Math.min(hi, v));
+
+// Кодування контролера у вектор: параметри ФН, далі індекси термів CP/GP кожного правила
+export function encodeController(
+  { mfDefs, rules, variables = DEFAULT_VARIABLES },
+  { optimizeRules = true } = {}
+) {
+  const ranges = Object.fromEntries(Object.values(variables).map((v) => [v.name, v.range]));
+  const genes = [];
+  const vector = [];
+  for (const variable of Object.keys(mfDefs)) {
+    const range = ranges[variable] ?? [0, 100];
+    const k = (range[1] - range[0]) / 100;
+    for (const term of Object.keys(mfDefs[variable])) {
+      const { type, params } = mfDefs[variable][term];
+      params.forEach((p, i) => {
+        genes.push({ kind: "mf", variable, term, i, bounds: PARAM_BOUNDS[type](i, range, k) });
+        vector.push(p);
+      });
+    }
+  }
+  if (optimizeRules) {
+    const maxIndex = OUTPUT_TERMS.length - 1e-6;
+    rules.forEach((r, ri) => {
+      for (const out of ["CP", "GP"]) {
+        genes.push({ kind: "rule", ri, out, bounds: [0, maxIndex] });
+        vector.push(Math.max(0, OUTPUT_TERMS.indexOf(r.consequent[out])));
+      }
+    });
+  }
+
+  const decode = (v) => {
+    const defs = structuredClone(mfDefs);
+    const nextRules = rules.map((r) => ({ ...r, consequent: { ...r.consequent } }));
+    genes.forEach((g, k) => {
+      const value = clamp(v[k], g.bounds);
+      if (g.kind === "mf") defs[g.variable][g.term].params[g.i] = value;
+      else nextRules[g.ri].consequent[g.out] = OUTPUT_TERMS[Math.floor(value)];
+    });
+    for (const variable of Object.keys(defs)) {
+      for (const term of Object.keys(defs[variable])) {
+        defs[variable][term] = repairMF(defs[variable][term]);
+      }
+    }
+    return { mfDefs: defs, rules: nextRules };
+  };
+
+  return { vector, bounds: genes.map((g) => g.bounds), decode };
+}
+
+// Показники прогону, з яких складається цільова функція; вартість — з обліку енергії за тарифом
+export function runMetrics(series, initial, { socBand, tariff = DEFAULT_TARIFF }, account) {
+  const [lo, hi] = socBand;
+  const last = series[series.length - 1];
+  const excursion = series.reduce(
+    (acc, p) => acc + Math.max(0, lo - p.SOC, p.SOC - hi),
+    0
+  );
+  return {
+    cost: account ? costBreakdown(account, tariff).total : 0,
+    socBand: series.length ? excursion / series.length : 0,
+    sohLoss: (initial.soh ?? 100) - (last?.SOH ?? initial.soh ?? 100),
+    tempPeak: Math.max(0, ...series.map((p) => p.Temperature)),
+  };
+}
+
+export function scoreMetrics(metrics, weights) {
+  return Object.entries(weights).reduce((acc, [k, w]) => acc + w * (metrics[k] ?? 0), 0);
+}
+
+export function evaluateController(candidate, { scenario, objective, controllerOptions }) {
+  const controller = createController({ ...controllerOptions, ...candidate });
+  const { series, state } = runSimulation({ ...scenario, tariff: objective.tariff, controller });
+  const metrics = runMetrics(series, scenario.initial ?? {}, objective, state.account);
+  return { metrics, score: scoreMetrics(metrics, objective.weights) };
+}
+
+function randomVector(bounds, random) {
+  return bounds.map(([lo, hi]) => lo + random() * (hi - lo));
+}
+
+function* geneticAlgorithm({ start, bounds, evaluate, population, random }) {
+  const mutationRate = 0.1;
+  let pop = [start, ...Array.from({ length: population - 1 }, () => randomVector(bounds, random))];
+  let scores = pop.map(evaluate);
+
+  const tournament = () => {
+    let best = Math.floor(random() * pop.length);
+    for (let k = 0; k < 2; k++) {
+      const c = Math.floor(random() * pop.length);
+      if (scores[c] < scores[best]) best = c;
+    }
+    return pop[best];
+  };
+
+  for (;;) {
+    const elite = scores.indexOf(Math.min(...scores));
+    yield { vectors: pop, scores, best: elite };
+    const next = [pop[elite]];
+    while (next.length < population) {
+      const a = tournament();
+      const b = tournament();
+      next.push(
+        a.map((x, i) => {
+          const mix = random();
+          let v = mix * x + (1 - mix) * b[i];
+          if (random() < mutationRate) {
+            const [lo, hi] = bounds[i];
+            v += (random() * 2 - 1) * 0.1 * (hi - lo);
+          }
+          return clamp(v, bounds[i]);
+        })
+      );
+    }
+    pop = next;
+    scores = pop.map(evaluate);
+  }
+}
+
+function* particleSwarm({ start, bounds, evaluate, population, random }) {
+  const inertia = 0.7;
+  const c1 = 1.5;
+  const c2 = 1.5;
+  const pos = [start, ...Array.from({ length: population - 1 }, () => randomVector(bounds, random))];
+  const vel = pos.map(() => bounds.map(([lo, hi]) => (random() * 2 - 1) * 0.1 * (hi - lo)));
+  const scores = pos.map(evaluate);
+  const personal = pos.map((p) => [...p]);
+  const personalScores = [...scores];
+  let globalIdx = personalScores.indexOf(Math.min(...personalScores));
+  let global = [...personal[globalIdx]];
+  let globalScore = personalScores[globalIdx];
+
+  for (;;) {
+    yield { vectors: personal, scores: personalScores, best: globalIdx };
+    pos.forEach((p, k) => {
+      p.forEach((x, i) => {
+        vel[k][i] =
+          inertia * vel[k][i] +
+          c1 * random() * (personal[k][i] - x) +
+          c2 * random() * (global[i] - x);
+        p[i] = clamp(x + vel[k][i], bounds[i]);
+      });
+      scores[k] = evaluate(p);
+      if (scores[k] < personalScores[k]) {
+        personalScores[k] = scores[k];
+        personal[k] = [...p];
+        if (scores[k] < globalScore) {
+          globalScore = scores[k];
+          global = [...p];
+          globalIdx = k;
+        }
+      }
+    });
+  }
+}
+
+// Пошук параметрів контролера; кожен кандидат симулюється безголово на сценарії
+export function optimizeController({
+  base,
+  algorithm = "ga",
+  population = 20,
+  iterations = 30,
+  optimizeRules = true,
+  scenario,
+  objective = DEFAULT_OBJECTIVE,
+  controllerOptions = {},
+  seed = 1,
+  onIteration,
+}) {
+  const encoding = encodeController(base, { optimizeRules });
+  const random = createRandom(seed);
+  const evaluate = (v) =>
+    evaluateController(encoding.decode(v), { scenario, objective, controllerOptions }).score;
+  const search = (algorithm === "pso" ? particleSwarm : geneticAlgorithm)({
+    start: encoding.vector,
+    bounds: encoding.bounds,
+    evaluate,
+    population,
+    random,
+  });
+
+  const history = [];
+  let bestVector = encoding.vector;
+  let bestScore = Infinity;
+  for (let iteration = 0; iteration <= iterations; iteration++) {
+    const { vectors, scores, best } = search.next().value;
+    if (scores[best] < bestScore) {
+      bestScore = scores[best];
+      bestVector = [...vectors[best]];
+    }
+    const entry = {
+      iteration,
+      best: bestScore,
+      mean: scores.reduce((acc, s) => acc + s, 0) / scores.length,
+    };
+    history.push(entry);
+    onIteration?.(entry);
+  }
+
+  const best = encoding.decode(bestVector);
+  return { best, ...evaluateController(best, { scenario, objective, controllerOptions }), history };
+}
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_MFS,
+  DEFAULT_OBJECTIVE,
+  DEFAULT_VARIABLES,
+  addVariable,
+  encodeController,
+  generateRuleBase,
+  optimizeController,
+  runMetrics,
+} from "./index.js";
+
+const base = { mfDefs: DEFAULT_MFS, rules: generateRuleBase() };
+const scenario = { steps: 20, initial: { soc: 50, soh: 100, load: 50, temp: 25 } };
+
+test("encodeController round-trips and repairs parameter ordering", () => {
+  const { vector, bounds, decode } = encodeController(base);
+  assert.equal(vector.length, bounds.length);
+  // 4 змінні: 2 трапеції + 1 трикутник = 11 параметрів, плюс 81 × 2 консеквенти
+  assert.equal(vector.length, 4 * 11 + 81 * 2);
+  assert.deepEqual(decode(vector), base);
+
+  const shuffled = [...vector];
+  [shuffled[4], shuffled[6]] = [shuffled[6], shuffled[4]];
+  const { mfDefs } = decode(shuffled);
+  assert.deepEqual(mfDefs.SOC.Medium.params, [50, 75, 90]);
+
+  const noRules = encodeController(base, { optimizeRules: false });
+  assert.equal(noRules.vector.length, 44);
+});
+
+test("parameter bounds follow each variable's range", () => {
+  const model = addVariable(
+    { variables: DEFAULT_VARIABLES, mfDefs: DEFAULT_MFS },
+    { name: "Hour", source: "hour", range: [0, 24], terms: 2 }
+  );
+  const { bounds } = encodeController({ ...model, rules: [] });
+  assert.deepEqual(bounds.slice(0, 4), [[0, 100], [0, 100], [0, 100], [0, 100]]);
+  assert.deepEqual(bounds.slice(-8), Array(8).fill([0, 24]));
+});
+
+test("runMetrics measures cost, SOC band, SOH loss and temperature peak", () => {
+  const series = [
+    { SOC: 15, SOH: 99.5, Temperature: 30, energy: 0.1 },
+    { SOC: 95, SOH: 99, Temperature: 40, energy: 0.2 },
+  ];
+  const tariff = { rates: { peak: 5, shoulder: 5, offPeak: 5 }, feedIn: 0, demandCharge: 0 };
+  const account = { importKWh: { peak: 0.2, shoulder: 0, offPeak: 0 }, exportKWh: 0, peakKW: {} };
+  assert.deepEqual(runMetrics(series, { soh: 100 }, { socBand: [20, 90], tariff }, account), {
+    cost: 1,
+    socBand: 5,
+    sohLoss: 1,
+    tempPeak: 40,
+  });
+});
+
+for (const algorithm of ["ga", "pso"]) {
+  test(`${algorithm} never reports a worse score than the starting controller`, () => {
+    const history = [];
+    const result = optimizeController({
+      base,
+      algorithm,
+      population: 4,
+      iterations: 3,
+      scenario,
+      objective: DEFAULT_OBJECTIVE,
+      onIteration: (e) => history.push(e),
+    });
+    assert.equal(history.length, 4);
+    for (let i = 1; i < history.length; i++) {
+      assert.ok(history[i].best <= history[i - 1].best);
+    }
+    assert.ok(result.score <= history[0].best + 1e-9);
+    for (const terms of Object.values(result.best.mfDefs)) {
+      for (const { type, params } of Object.values(terms)) {
+        if (type === "tri" || type === "trap") {
+          params.slice(1).forEach((p, i) => assert.ok(params[i] <= p));
+        }
+      }
+    }
+  });
+}
@@ -0,0 +1,63 @@
+import { bankPacks, stepBank } from "./bank.js";
+import { BATTERY_PRESETS, stepBattery } from "./battery.js";
+
+// Модель установки: батарея, мережа, навантаження та PV.
+// CP задає потужність заряду батареї, GP — уставку імпорту з мережі (частки від номіналу, 0-100).
+export const DEFAULT_PLANT = {
+  chargeRatedKW: 5,
+  dischargeRatedKW: 5,
+  gridRatedKW: 5,
+  loadRatedKW: 5, // Load 0-100% = 0-5 кВт
+  pvKW: 1, // умовна власна генерація
+  ambientTemp: 25,
+  deltaT: 1, // с
+  battery: BATTERY_PRESETS.LFP,
+  bank: null, // null — один пакет; інакше { strategy, packs } (модуль bank)
+};
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// Розподіл потужностей: мережа тримає уставку імпорту GP, а батарея поглинає різницю між уставкою
+// та навантаженням за вирахуванням PV — розряджається на номіналі розряду, заряджається не більше
+// за уставку заряду CP (захисти зупиняють заряд через CP = 0). Коли батарея впирається в межу,
+// від уставки відхиляється мережа (імпорт/експорт)
+// allowDischarge = false (захисти) забороняє розряд: непокрите навантаження бере мережа
+export function dispatchPower({ CP, GP, load, soc, allowDischarge = true }, config = DEFAULT_PLANT) {
+  const loadKW = (load / 100) * config.loadRatedKW;
+  const chargeSetpoint = (clamp(CP, 0, 100) / 100) * config.chargeRatedKW;
+  const gridSetpoint = (clamp(GP, 0, 100) / 100) * config.gridRatedKW;
+
+  // Обмеження номіналів та крайніх станів заряду
+  const lo = soc <= 0 || !allowDischarge ? 0 : -config.dischargeRatedKW;
+  const hi = soc >= 100 ? 0 : chargeSetpoint;
+  const batteryKW = clamp(gridSetpoint + config.pvKW - loadKW, lo, hi);
+
+  const gridKW = loadKW + batteryKW - config.pvKW;
+  return { loadKW, batteryKW, gridKW, chargeSetpoint, gridSetpoint };
+}
+
+// Потужність на клемах іде в модель батареї або банку пакетів; мережа балансує фактичну потужність,
+// бо на низькому SOC розряд може бути обмежений напругою та опором
+export function stepPlant(state, setpoints, config = DEFAULT_PLANT) {
+  const dt = config.deltaT;
+  const power = dispatchPower({ ...setpoints, soc: state.soc }, config);
+  const env = { ambientTemp: config.ambientTemp, deltaT: dt };
+  const cell = config.bank
+    ? stepBank(bankPacks(config.bank, state.packs), power.batteryKW, config.battery, {
+        ...env,
+        strategy: config.bank.strategy,
+      })
+    : stepBattery(state, power.batteryKW, config.battery, env);
+  // Потужність банку — сума потужностей пакетів
+  const batteryKW = cell.packs ? cell.batteryKW : (cell.voltage * cell.current) / 1000;
+  const gridKW = power.loadKW + batteryKW - config.pvKW;
+
+  return {
+    ...power,
+    ...cell,
+    batteryKW,
+    gridKW,
+    importKWh: (Math.max(0, gridKW) * dt) / 3600,
+    exportKWh: (Math.max(0, -gridKW) * dt) / 3600,
+  };
+}
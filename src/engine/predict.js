@@ -0,0 +1,23 @@
+const clamp = (v) => Math.max(0, Math.min(100, v));
+
+// Експоненційне згладжування ряду (від найновішого до найстарішого значення)
+function smooth(values, alpha) {
+  let last = values[values.length - 1];
+  for (let i = values.length - 2; i >= 0; i--) {
+    last = alpha * values[i] + (1 - alpha) * last;
+  }
+  return last;
+}
+
+// Прогноз наступних `steps` значень: згладжений рівень історії плюс згладжений тренд
+// (середній приріст за крок) для кожного наступного кроку.
+// Пропущені відліки (NaN, null) пропускаються; без жодного дійсного відліку прогноз — 50
+export function predictSeries(history, steps = 1) {
+  const valid = (history ?? []).filter(Number.isFinite);
+  if (valid.length === 0) return Array(steps).fill(50);
+  const alpha = 0.2;
+  const level = smooth(valid, alpha);
+  const diffs = valid.slice(1).map((v, i) => v - valid[i]);
+  const trend = diffs.length ? smooth(diffs, alpha) : 0;
+  return Array.from({ length: steps }, (_, k) => clamp(level + k * trend));
+}
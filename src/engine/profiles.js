@@ -0,0 +1,194 @@
+import { parseRows } from "./csv.js";
+
+// Зовнішні часові ряди, що керують симуляцією: навантаження (%), PV (кВт), температура середовища (°C).
+// Профіль: { name, time: [с], values: [...], loop } — time зростає, loop повторює ряд з періодом останньої точки
+export const PROFILE_CHANNELS = {
+  load: "Load (%)",
+  pv: "PV generation (кВт)",
+  ambient: "Ambient temperature (°C)",
+};
+
+export const INTERPOLATIONS = {
+  hold: "Step (hold previous)",
+  nearest: "Nearest",
+  linear: "Linear",
+  cubic: "Cubic (Catmull-Rom)",
+};
+
+const DAY = 24 * 3600;
+
+const TIME_ALIASES = { time: 1, t: 1, seconds: 1, minute: 60, minutes: 60, hour: 3600, hours: 3600 };
+const CHANNEL_ALIASES = {
+  load: ["load", "Load", "demand", "load_pct"],
+  pv: ["pv", "PV", "pv_kw", "solar", "generation"],
+  ambient: ["ambient", "ambientTemp", "temperature", "Temperature", "temp_out"],
+};
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+export function createProfile(name, time, values, { loop = true } = {}) {
+  if (time.length !== values.length || !time.length) {
+    throw new Error(`${name}: time and values must be non-empty and of equal length`);
+  }
+  for (let i = 1; i < time.length; i++) {
+    if (!(time[i] > time[i - 1])) throw new Error(`${name}: time must be strictly increasing`);
+  }
+  return { name, time, values, loop };
+}
+
+// Погодинний профіль доби з 24 значень (00:00 … 23:00), замкнений на 24:00
+function hourly(name, values) {
+  return createProfile(
+    name,
+    [...values.map((_, h) => h * 3600), DAY],
+    [...values, values[0]]
+  );
+}
+
+// Синусоїдальна генерація PV між 06:00 та 19:00, з необов'язковим коефіцієнтом хмарності
+const solar = (peak, cloud = () => 1) =>
+  Array.from({ length: 24 }, (_, h) => {
+    if (h < 6 || h > 19) return 0;
+    return Math.round(peak * Math.sin(((h - 6) / 13) * Math.PI) * cloud(h) * 100) / 100;
+  });
+
+// Добове коливання температури: мінімум близько 03:00, максимум близько 15:00
+const dailyWave = (h) => Math.sin(((h - 9) / 24) * 2 * Math.PI);
+
+// Невелика бібліотека синтетичних добових профілів
+export const SYNTHETIC_PROFILES = {
+  residentialDay: {
+    label: "Residential day",
+    channel: "load",
+    build: () =>
+      hourly("Residential day", [
+        20, 18, 16, 16, 17, 22, 38, 55, 48, 35, 30, 30, 32, 30, 28, 30, 38, 55, 72, 80, 75, 60, 40, 28,
+      ]),
+  },
+  officeDay: {
+    label: "Office day",
+    channel: "load",
+    build: () =>
+      hourly("Office day", [
+        12, 12, 12, 12, 12, 14, 20, 45, 70, 78, 80, 76, 65, 75, 80, 78, 70, 55, 30, 18, 15, 14, 13, 12,
+      ]),
+  },
+  sunnyPV: {
+    label: "Sunny PV day",
+    channel: "pv",
+    build: () => hourly("Sunny PV day", solar(3)),
+  },
+  cloudyPV: {
+    label: "Cloudy PV day",
+    channel: "pv",
+    build: () => hourly("Cloudy PV day", solar(3, (h) => 0.35 + 0.25 * Math.sin(h * 1.7))),
+  },
+  summerAmbient: {
+    label: "Summer temperature",
+    channel: "ambient",
+    build: () =>
+      hourly("Summer temperature", Array.from({ length: 24 }, (_, h) => 25 + 7 * dailyWave(h))),
+  },
+  winterAmbient: {
+    label: "Winter temperature",
+    channel: "ambient",
+    build: () =>
+      hourly("Winter temperature", Array.from({ length: 24 }, (_, h) => 2 + 4 * dailyWave(h))),
+  },
+};
+
+export function profileDuration(profile) {
+  return profile.time[profile.time.length - 1];
+}
+
+// Перший індекс i ≥ 1, для якого time[i] ≥ x (двійковий пошук; time[0] < x ≤ time[n - 1])
+function segmentIndex(time, x) {
+  let lo = 1;
+  let hi = time.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (time[mid] < x) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Значення профілю в момент t (с) з обраною інтерполяцією; поза межами — крайні значення або повтор
+export function sampleProfile(profile, t, interpolation = "linear") {
+  const { time, values } = profile;
+  const n = time.length;
+  const period = profileDuration(profile);
+  const span = period - time[0];
+  let x = t;
+  if (profile.loop && span > 0) x = time[0] + ((((t - time[0]) % span) + span) % span);
+  if (x <= time[0]) return values[0];
+  if (x >= time[n - 1]) return values[n - 1];
+
+  const i = segmentIndex(time, x);
+  const [t0, t1] = [time[i - 1], time[i]];
+  const u = (x - t0) / (t1 - t0);
+  const y0 = values[i - 1];
+  const y1 = values[i];
+
+  switch (interpolation) {
+    case "hold":
+      return x === t1 ? y1 : y0;
+    case "nearest":
+      return u < 0.5 ? y0 : y1;
+    case "cubic": {
+      const ym = values[Math.max(0, i - 2)];
+      const yp = values[Math.min(n - 1, i + 1)];
+      const u2 = u * u;
+      const u3 = u2 * u;
+      return (
+        0.5 *
+        (2 * y0 +
+          (y1 - ym) * u +
+          (2 * ym - 5 * y0 + 4 * y1 - yp) * u2 +
+          (3 * y0 - ym - 3 * y1 + yp) * u3)
+      );
+    }
+    default:
+      return y0 + u * (y1 - y0);
+  }
+}
+
+// Значення всіх активних каналів; відсутній профіль — канал не перевизначається
+export function sampleProfiles(profiles, t) {
+  const out = {};
+  if (!profiles) return out;
+  const at = t + (profiles.offset ?? 0);
+  for (const channel of Object.keys(PROFILE_CHANNELS)) {
+    const profile = profiles[channel];
+    if (!profile) continue;
+    const v = sampleProfile(profile, at, profiles.interpolation);
+    out[channel] = channel === "load" ? clamp(v, 0, 100) : channel === "pv" ? Math.max(0, v) : v;
+  }
+  return out;
+}
+
+// Імпорт CSV/JSON: стовпець часу (time/t/seconds, minutes або hours) і будь-які з каналів load/pv/ambient
+export function parseProfileData(text, name = "Imported") {
+  const rows = parseRows(text);
+  if (!rows.length) throw new Error("Profile is empty");
+
+  const timeKey = Object.keys(TIME_ALIASES).find((k) => k in rows[0]);
+  if (!timeKey) throw new Error("Missing time column (time, seconds, minutes or hours)");
+  const time = rows.map((r, i) => {
+    if (typeof r[timeKey] !== "number") throw new Error(`Row ${i + 1}: time is not a number`);
+    return r[timeKey] * TIME_ALIASES[timeKey];
+  });
+
+  const profiles = {};
+  for (const [channel, aliases] of Object.entries(CHANNEL_ALIASES)) {
+    const key = aliases.find((k) => k in rows[0]);
+    if (!key) continue;
+    const values = rows.map((r, i) => {
+      if (typeof r[key] !== "number") throw new Error(`Row ${i + 1}: ${key} is not a number`);
+      return r[key];
+    });
+    profiles[channel] = createProfile(`${name} · ${channel}`, time, values);
+  }
+  if (!Object.keys(profiles).length) throw new Error("No load, pv or ambient column found");
+  return profiles;
+}
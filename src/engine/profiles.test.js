@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SYNTHETIC_PROFILES,
+  createController,
+  createProfile,
+  parseProfileData,
+  runSimulation,
+  sampleProfile,
+  sampleProfiles,
+} from "./index.js";
+
+const ramp = createProfile("ramp", [0, 10, 20, 30], [0, 10, 30, 30], { loop: false });
+
+test("interpolation modes between profile points", () => {
+  assert.equal(sampleProfile(ramp, 15, "linear"), 20);
+  assert.equal(sampleProfile(ramp, 15, "hold"), 10);
+  assert.equal(sampleProfile(ramp, 16, "nearest"), 30);
+  assert.equal(sampleProfile(ramp, 10, "cubic"), 10);
+  assert.equal(sampleProfile(ramp, -5), 0);
+  assert.equal(sampleProfile(ramp, 99), 30);
+});
+
+test("long irregular profiles find the right segment at every point", () => {
+  const time = Array.from({ length: 1000 }, (_, k) => k * k);
+  const profile = createProfile("sq", time, time.map((_, k) => k), { loop: false });
+  for (const k of [1, 2, 500, 999]) {
+    assert.equal(sampleProfile(profile, time[k], "hold"), k);
+    assert.equal(sampleProfile(profile, time[k] - 0.5, "hold"), k - 1);
+  }
+});
+
+test("looping profiles repeat with the period of the last point", () => {
+  const day = SYNTHETIC_PROFILES.residentialDay.build();
+  assert.equal(sampleProfile(day, 19 * 3600), 80);
+  assert.equal(sampleProfile(day, 19 * 3600 + 2 * 86400), 80);
+  assert.equal(sampleProfile(day, -5 * 3600), 80);
+});
+
+test("sampleProfiles applies the offset and clamps channels", () => {
+  const load = createProfile("l", [0, 100], [90, 150], { loop: false });
+  const pv = createProfile("p", [0, 100], [-1, 2], { loop: false });
+  const out = sampleProfiles({ load, pv, interpolation: "linear", offset: 50 }, 50);
+  assert.equal(out.load, 100);
+  assert.equal(out.pv, 2);
+  assert.equal(sampleProfiles({ pv }, 0).pv, 0);
+  assert.equal(out.ambient, undefined);
+});
+
+test("CSV and JSON profiles are parsed per channel", () => {
+  const csv = parseProfileData("hours,load,pv\n0,20,0\n12,60,2.5\n24,20,0", "house");
+  assert.deepEqual(csv.load.time, [0, 43200, 86400]);
+  assert.deepEqual(csv.pv.values, [0, 2.5, 0]);
+  assert.equal(csv.ambient, undefined);
+  const json = parseProfileData('{"time":[0,60],"temperature":[10,12]}');
+  assert.deepEqual(json.ambient.values, [10, 12]);
+  assert.throws(() => parseProfileData("time,foo\n0,1"), /No load, pv or ambient/);
+  assert.throws(() => parseProfileData("time,load\n5,1\n5,2"), /strictly increasing/);
+});
+
+test("the load profile drives the simulation instead of the initial load", () => {
+  const load = createProfile("steps", [0, 5, 10], [10, 90, 90], { loop: false });
+  const { series } = runSimulation({
+    controller: createController(),
+    steps: 10,
+    initial: { load: 50 },
+    profiles: { load, interpolation: "hold" },
+  });
+  assert.equal(series[0].Load, 10);
+  assert.equal(series[9].Load, 90);
+});
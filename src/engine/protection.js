@@ -0,0 +1,146 @@
+// Захисний шар поверх виходу контролера: межі SOC, дерейтинг і відключення за температурою,
+// обмеження швидкості зміни CP/GP. Порогові захисти мають гістерезис: спрацьовують на trip,
+// знімаються лише після повернення за release. Захисти працюють за виміряними сигналами батареї.
+
+// Порогові захисти: сигнал, напрямок спрацювання та дія на { CP, GP, allowDischarge }.
+// Заборона розряду передається установці явно: GP = 100 не покриває навантаження, якщо мережа мала
+const THRESHOLDS = {
+  socMax: {
+    label: "SOC high limit",
+    signal: "SOC",
+    above: true,
+    action: "charging stopped",
+    apply: (out) => ({ ...out, CP: 0 }),
+  },
+  socMin: {
+    label: "SOC low limit",
+    signal: "SOC",
+    above: false,
+    action: "grid covers the load, no discharge",
+    apply: ({ CP }) => ({ CP, GP: 100, allowDischarge: false }),
+  },
+  tempDerate: {
+    label: "Over-temperature derating",
+    signal: "Temp",
+    above: true,
+    action: "charging derated",
+    apply: (out, { factor }) => ({ ...out, CP: out.CP * factor }),
+  },
+  tempCutoff: {
+    label: "Over-temperature cut-off",
+    signal: "Temp",
+    above: true,
+    action: "battery disconnected",
+    apply: () => ({ CP: 0, GP: 100, allowDischarge: false }),
+  },
+};
+
+// Обмеження швидкості: максимальна зміна виходу за крок (пункти %)
+const RAMPS = {
+  rampCP: { label: "CP ramp limit", output: "CP" },
+  rampGP: { label: "GP ramp limit", output: "GP" },
+};
+
+export const PROTECTIONS = {
+  ...Object.fromEntries(Object.entries(THRESHOLDS).map(([id, p]) => [id, { ...p, kind: "threshold" }])),
+  ...Object.fromEntries(Object.entries(RAMPS).map(([id, p]) => [id, { ...p, kind: "ramp" }])),
+};
+
+export const DEFAULT_PROTECTION = {
+  socMax: { enabled: true, trip: 95, release: 90 },
+  socMin: { enabled: true, trip: 10, release: 15 },
+  tempDerate: { enabled: true, trip: 45, release: 40, factor: 0.5 },
+  tempCutoff: { enabled: true, trip: 60, release: 55 },
+  rampCP: { enabled: false, rate: 20 },
+  rampGP: { enabled: false, rate: 20 },
+};
+
+// Стан між кроками: активні порогові захисти та останні застосовані виходи (для обмеження швидкості)
+export function createProtectionState() {
+  return { active: {}, last: null };
+}
+
+// Помилки конфігурації: release має лежати з безпечного боку від trip
+export function validateProtection(config) {
+  const errors = [];
+  for (const [id, p] of Object.entries(THRESHOLDS)) {
+    const c = config[id];
+    if (!c?.enabled) continue;
+    if (!Number.isFinite(c.trip) || !Number.isFinite(c.release)) {
+      errors.push(`${p.label}: thresholds must be numbers`);
+    } else if (p.above ? c.release >= c.trip : c.release <= c.trip) {
+      errors.push(`${p.label}: release must be ${p.above ? "below" : "above"} trip`);
+    }
+    if (c.factor !== undefined && !(c.factor >= 0 && c.factor <= 1)) {
+      errors.push(`${p.label}: factor must be within 0–1`);
+    }
+  }
+  for (const [id, p] of Object.entries(RAMPS)) {
+    const c = config[id];
+    if (c?.enabled && !(c.rate > 0)) errors.push(`${p.label}: rate must be positive`);
+  }
+  return errors;
+}
+
+// Гістерезис: активний захист тримається, доки сигнал не перетне release.
+// Пропущений відлік (NaN) не змінює стан захисту
+function tripped(p, c, value, wasActive) {
+  if (!Number.isFinite(value)) return Boolean(wasActive);
+  if (p.above) return wasActive ? value > c.release : value >= c.trip;
+  return wasActive ? value < c.release : value <= c.trip;
+}
+
+const clampStep = (value, last, rate) => Math.max(last - rate, Math.min(last + rate, value));
+
+// Застосування захистів до виходу контролера. Спершу обмеження швидкості, потім порогові
+// захисти, щоб відключення діяли миттєво. Повертає виходи, спрацювання з виходами до і після,
+// новий стан та події зміни стану (trip/release). Без state — оцінка без пам'яті гістерезису.
+export function applyProtection(config, state, signals, { CP, GP }) {
+  const prev = state ?? createProtectionState();
+  let out = { CP, GP };
+  const applied = [];
+  const events = [];
+  const active = {};
+
+  for (const [id, p] of Object.entries(RAMPS)) {
+    const c = config[id];
+    if (!c?.enabled || !prev.last) continue;
+    const value = clampStep(out[p.output], prev.last[p.output], c.rate);
+    if (value === out[p.output]) continue;
+    const next = { ...out, [p.output]: value };
+    applied.push({ id, label: p.label, before: out, after: next });
+    out = next;
+    active[id] = true;
+  }
+
+  for (const [id, p] of Object.entries(THRESHOLDS)) {
+    const c = config[id];
+    if (!c?.enabled || !tripped(p, c, signals[p.signal], prev.active[id])) continue;
+    const next = p.apply(out, c);
+    applied.push({ id, label: p.label, before: out, after: next });
+    out = next;
+    active[id] = true;
+  }
+
+  for (const id of Object.keys(PROTECTIONS)) {
+    if (!active[id] === !prev.active[id]) continue;
+    const p = PROTECTIONS[id];
+    events.push({
+      id,
+      label: p.label,
+      type: active[id] ? "trip" : "release",
+      value: p.signal ? signals[p.signal] : undefined,
+      message: active[id] ? p.action ?? `${p.output} rate limited` : "cleared",
+    });
+  }
+
+  const allowDischarge = out.allowDischarge ?? true;
+  return { ...out, allowDischarge, applied, events, state: { active, last: out } };
+}
+
+// Активні тривоги для панелі стану
+export function activeAlarms(state) {
+  return Object.keys(state?.active ?? {})
+    .filter((id) => state.active[id])
+    .map((id) => ({ id, label: PROTECTIONS[id].label }));
+}
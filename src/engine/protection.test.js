@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PLANT,
+  DEFAULT_PROTECTION,
+  activeAlarms,
+  applyProtection,
+  createController,
+  createProtectionState,
+  dispatchPower,
+  runSimulation,
+  validateProtection,
+} from "./index.js";
+
+const nominal = { SOC: 50, SOH: 90, Load: 50, Temp: 30 };
+const out = { CP: 60, GP: 40 };
+
+test("threshold protections trip and release with hysteresis", () => {
+  let state = createProtectionState();
+  const step = (Temp) => {
+    const res = applyProtection(DEFAULT_PROTECTION, state, { ...nominal, Temp }, out);
+    state = res.state;
+    return res;
+  };
+  assert.equal(step(44).CP, 60);
+  const trip = step(45);
+  assert.equal(trip.CP, 30);
+  assert.deepEqual(trip.events.map((e) => [e.id, e.type]), [["tempDerate", "trip"]]);
+  // Між release і trip захист тримається
+  assert.equal(step(42).CP, 30);
+  assert.deepEqual(step(42).events, []);
+  const release = step(40);
+  assert.equal(release.CP, 60);
+  assert.deepEqual(release.events.map((e) => [e.id, e.type]), [["tempDerate", "release"]]);
+});
+
+test("SOC limits stop charging and discharging", () => {
+  const high = applyProtection(DEFAULT_PROTECTION, null, { ...nominal, SOC: 96 }, out);
+  assert.deepEqual({ CP: high.CP, GP: high.GP }, { CP: 0, GP: 40 });
+  const low = applyProtection(DEFAULT_PROTECTION, null, { ...nominal, SOC: 8 }, out);
+  assert.deepEqual({ CP: low.CP, GP: low.GP }, { CP: 60, GP: 100 });
+  assert.deepEqual(activeAlarms(low.state), [{ id: "socMin", label: "SOC low limit" }]);
+});
+
+test("ramp limits bound the change per step but not a cut-off", () => {
+  const config = { ...DEFAULT_PROTECTION, rampCP: { enabled: true, rate: 5 } };
+  const state = { active: {}, last: { CP: 20, GP: 40 } };
+  const ramped = applyProtection(config, state, nominal, out);
+  assert.equal(ramped.CP, 25);
+  assert.equal(ramped.GP, 40);
+  const hot = applyProtection(config, state, { ...nominal, Temp: 65 }, out);
+  assert.deepEqual({ CP: hot.CP, GP: hot.GP }, { CP: 0, GP: 100 });
+});
+
+test("validateProtection rejects inverted hysteresis bands", () => {
+  assert.deepEqual(validateProtection(DEFAULT_PROTECTION), []);
+  const broken = {
+    ...DEFAULT_PROTECTION,
+    socMin: { enabled: true, trip: 20, release: 10 },
+    rampGP: { enabled: true, rate: 0 },
+  };
+  assert.deepEqual(validateProtection(broken), [
+    "SOC low limit: release must be above trip",
+    "GP ramp limit: rate must be positive",
+  ]);
+});
+
+test("simulation logs protection events with their step time", () => {
+  const controller = createController({ outputs: { Low: 100, Medium: 100, High: 100 } });
+  const { series, state } = runSimulation({ controller, steps: 40, initial: { soc: 94.9 } });
+  const events = series.flatMap((p) => p.events ?? []);
+  assert.equal(events[0].id, "socMax");
+  assert.equal(events[0].type, "trip");
+  assert.ok(events[0].time >= 1);
+  assert.ok(state.protection.active.socMax);
+  assert.ok(series.every((p) => p.SOC <= 95.5));
+});
+
+// Мережа 2 кВт + PV 1 кВт не покриває навантаження 5 кВт: без явної заборони батарея розряджалася б
+test("cut-off and SOC low limit block discharge with an undersized grid", () => {
+  const plant = { ...DEFAULT_PLANT, gridRatedKW: 2 };
+  for (const signals of [{ ...nominal, Temp: 70 }, { ...nominal, SOC: 8 }]) {
+    const guard = applyProtection(DEFAULT_PROTECTION, null, signals, out);
+    assert.equal(guard.allowDischarge, false);
+    const power = dispatchPower({ ...guard, load: 100, soc: signals.SOC }, plant);
+    assert.equal(power.batteryKW, 0);
+    assert.equal(power.gridKW, 4);
+  }
+  assert.equal(applyProtection(DEFAULT_PROTECTION, null, nominal, out).allowDischarge, true);
+
+  const controller = createController({ outputs: { Low: 0, Medium: 0, High: 0 } });
+  const { series } = runSimulation({ controller, steps: 5, plant, initial: { soc: 50, load: 100, temp: 70 } });
+  assert.ok(series.every((p) => Math.abs(p.BatteryPower) < 1e-9));
+});
@@ -0,0 +1,171 @@
+import { parseCSV } from "./csv.js";
+import { exportControllerJSON, importControllerJSON } from "./exchange.js";
+import { DEFAULT_TARIFF, costBreakdown } from "./tariff.js";
+
+// Запис прогону: покрокові значення + конфігурація контролера й установки, з якою він отриманий
+export const RECORDING_FORMAT = "deep-flc-run";
+export const RECORDING_SCHEMA_VERSION = 1;
+
+// Скалярні поля кроку в порядку стовпців CSV
+export const RECORDING_FIELDS = [
+  "time",
+  "mode",
+  "SOC",
+  "SOH",
+  "Load",
+  "Temperature",
+  "CP",
+  "GP",
+  "BatteryPower",
+  "GridPower",
+  "PV",
+  "Ambient",
+  "Voltage",
+  "Current",
+  "energy",
+  "exported",
+  "cost",
+];
+
+const PREDICTED = "Predicted";
+const MEMBERSHIP = "mu";
+const CONFIG_PREFIX = "# config ";
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+const round4 = (v) => Math.round(v * 1e4) / 1e4;
+
+// Запис одного кроку з результату stepSimulation: входи контролера (виміряні або прогнозовані),
+// ступені належності, накопичена енергія та вартість на цей момент
+export function createRecordStep({ point, inputs, inference, state, tariff = DEFAULT_TARIFF }) {
+  const memberships = Object.fromEntries(
+    Object.entries(inference.memberships).map(([key, terms]) => [
+      key,
+      Object.fromEntries(Object.entries(terms).map(([term, mu]) => [term, round4(mu)])),
+    ])
+  );
+  return {
+    ...point,
+    predicted: Object.fromEntries(Object.entries(inputs).map(([k, v]) => [k, round4(v)])),
+    memberships,
+    energy: state.energy,
+    exported: state.exported,
+    cost: costBreakdown(state.account, tariff).total,
+  };
+}
+
+// definition — визначення контролера у форматі модуля exchange
+export function createRecording(
+  steps,
+  { definition, plant, tariff, profiles = null, protection = null, sensors = null, mode }
+) {
+  return {
+    format: RECORDING_FORMAT,
+    version: RECORDING_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    config: {
+      mode,
+      controller: JSON.parse(exportControllerJSON(definition)),
+      plant,
+      tariff,
+      profiles,
+      protection,
+      sensors,
+    },
+    steps,
+  };
+}
+
+export function exportRecordingJSON(recording) {
+  return JSON.stringify(recording);
+}
+
+// Стовпці для вкладених полів: Predicted.SOC, mu.SOC.Low, ...
+function nestedColumns(steps) {
+  const first = steps[0] ?? {};
+  const predicted = Object.keys(first.predicted ?? {}).map((k) => `${PREDICTED}.${k}`);
+  const memberships = Object.entries(first.memberships ?? {}).flatMap(([key, terms]) =>
+    Object.keys(terms).map((term) => `${MEMBERSHIP}.${key}.${term}`)
+  );
+  return [...predicted, ...memberships];
+}
+
+function readColumn(step, column) {
+  const [group, key, term] = column.split(".");
+  if (group === PREDICTED) return step.predicted?.[key];
+  if (group === MEMBERSHIP) return step.memberships?.[key]?.[term];
+  return step[column];
+}
+
+// CSV: конфігурація йде рядком-коментарем, тож файл читається й звичайними табличними інструментами
+export function exportRecordingCSV(recording) {
+  const { steps, ...header } = recording;
+  const columns = [...RECORDING_FIELDS, ...nestedColumns(steps)];
+  const lines = [
+    `# ${RECORDING_FORMAT} v${recording.version}`,
+    `${CONFIG_PREFIX}${JSON.stringify(header)}`,
+    columns.join(","),
+  ];
+  for (const step of steps) {
+    lines.push(columns.map((c) => readColumn(step, c) ?? "").join(","));
+  }
+  return lines.join("\n");
+}
+
+function rowToStep(row) {
+  const step = { predicted: {}, memberships: {} };
+  for (const [column, value] of Object.entries(row)) {
+    const [group, key, term] = column.split(".");
+    if (group === PREDICTED && key) step.predicted[key] = value;
+    else if (group === MEMBERSHIP && key && term) {
+      step.memberships[key] = { ...step.memberships[key], [term]: value };
+    } else step[column] = value;
+  }
+  return step;
+}
+
+function parseCSVRecording(text) {
+  const configLine = text.split(/\r?\n/).find((l) => l.startsWith(CONFIG_PREFIX));
+  if (!configLine) fail(`CSV has no "${CONFIG_PREFIX.trim()}" line — not a ${RECORDING_FORMAT} export`);
+  let header;
+  try {
+    header = JSON.parse(configLine.slice(CONFIG_PREFIX.length));
+  } catch (err) {
+    fail(`Invalid config line: ${err.message}`);
+  }
+  return { ...header, steps: parseCSV(text).map(rowToStep) };
+}
+
+// Перевірка версії, контролера та покрокових даних; повертає запис у тому ж вигляді, що createRecording
+export function importRecording(text) {
+  const trimmed = text.trim();
+  let data;
+  if (trimmed.startsWith("{")) {
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      fail(`Invalid JSON: ${err.message}`);
+    }
+  } else {
+    data = parseCSVRecording(trimmed);
+  }
+
+  if (data?.format !== RECORDING_FORMAT) fail(`Not a ${RECORDING_FORMAT} file`);
+  if (!Number.isInteger(data.version) || data.version < 1) fail("Missing schema version");
+  if (data.version > RECORDING_SCHEMA_VERSION) {
+    fail(`Schema version ${data.version} is newer than supported version ${RECORDING_SCHEMA_VERSION}`);
+  }
+  const config = data.config ?? fail("Recording has no config");
+  // Контролер перевіряється тим самим імпортом, що й окремий файл контролера
+  const definition = importControllerJSON(JSON.stringify(config.controller));
+  if (!Array.isArray(data.steps) || !data.steps.length) fail("Recording has no steps");
+  data.steps.forEach((step, i) => {
+    for (const field of ["time", "SOC", "CP", "GP"]) {
+      if (typeof step[field] !== "number") fail(`Step ${i + 1}: ${field} is not a number`);
+    }
+  });
+
+  return { ...data, config: { ...config, definition } };
+}
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_MFS,
+  DEFAULT_OUTPUT_MFS,
+  DEFAULT_PLANT,
+  DEFAULT_TARIFF,
+  OUTPUT_CENTROIDS,
+  createController,
+  createRecordStep,
+  createRecording,
+  createSimulationState,
+  exportRecordingCSV,
+  exportRecordingJSON,
+  generateRuleBase,
+  importRecording,
+  stepSimulation,
+} from "./index.js";
+
+const definition = {
+  mfDefs: DEFAULT_MFS,
+  rules: generateRuleBase(),
+  outputs: { CP: { ...OUTPUT_CENTROIDS }, GP: { ...OUTPUT_CENTROIDS } },
+  outputMFs: DEFAULT_OUTPUT_MFS,
+  inference: { method: "sugeno", defuzz: "centroid", tNorm: "min", aggregation: "max", implication: "min" },
+};
+
+function record(steps) {
+  const controller = createController({ ...definition, ...definition.inference });
+  let state = createSimulationState({ soc: 40, load: 70 });
+  const out = [];
+  for (let i = 0; i < steps; i++) {
+    const res = stepSimulation(state, { controller, mode: "deep" });
+    state = res.state;
+    out.push(createRecordStep({ ...res, tariff: DEFAULT_TARIFF }));
+  }
+  return createRecording(out, {
+    definition,
+    plant: DEFAULT_PLANT,
+    tariff: DEFAULT_TARIFF,
+    mode: "deep",
+  });
+}
+
+test("record step keeps predicted inputs, memberships, energy and cost", () => {
+  const rec = record(5);
+  const last = rec.steps[4];
+  assert.deepEqual(Object.keys(last.predicted), ["SOC", "SOH", "Load", "Temp"]);
+  assert.deepEqual(Object.keys(last.memberships.SOC), ["Low", "Medium", "High"]);
+  assert.ok(last.energy >= rec.steps[0].energy);
+  assert.equal(typeof last.cost, "number");
+  assert.equal(rec.config.controller.format, "deep-flc-controller");
+});
+
+test("JSON round trip restores steps and controller definition", () => {
+  const rec = record(10);
+  const back = importRecording(exportRecordingJSON(rec));
+  assert.deepEqual(back.steps, rec.steps);
+  assert.deepEqual(back.config.plant, DEFAULT_PLANT);
+  assert.deepEqual(back.config.definition.rules, definition.rules);
+});
+
+test("CSV round trip flattens and restores nested per-step fields", () => {
+  const rec = record(10);
+  const csv = exportRecordingCSV(rec);
+  const header = csv.split("\n")[2];
+  assert.ok(header.includes("Predicted.SOC"));
+  assert.ok(header.includes("mu.Temp.High"));
+  const back = importRecording(csv);
+  assert.equal(back.steps.length, 10);
+  assert.deepEqual(back.steps[3].memberships, rec.steps[3].memberships);
+  assert.deepEqual(back.steps[3].predicted, rec.steps[3].predicted);
+  assert.equal(back.steps[3].CP, rec.steps[3].CP);
+  assert.equal(back.steps[3].mode, "deep");
+  assert.equal(back.config.mode, "deep");
+});
+
+test("import rejects foreign files, newer versions and broken steps", () => {
+  const rec = record(2);
+  assert.throws(() => importRecording("{\"format\":\"other\"}"), /Not a deep-flc-run file/);
+  assert.throws(
+    () => importRecording(JSON.stringify({ ...rec, version: 99 })),
+    /newer than supported/
+  );
+  const broken = { ...rec, steps: [{ ...rec.steps[0], SOC: "x" }] };
+  assert.throws(() => importRecording(JSON.stringify(broken)), /Step 1: SOC is not a number/);
+  assert.throws(() => importRecording("time,SOC\n1,2"), /no "# config" line/);
+});
@@ -0,0 +1,74 @@
+import { DEFAULT_MFS } from "./membership.js";
+import { DEFAULT_VARIABLES, variableTerms } from "./variables.js";
+
+export const SOC_TERMS = ["Low", "Medium", "High"];
+export const SOH_TERMS = ["Degraded", "Normal", "Good"];
+export const LOAD_TERMS = ["Low", "Medium", "High"];
+export const TEMP_TERMS = ["Low", "Normal", "High"];
+export const OUTPUT_CENTROIDS = { Low: 25, Medium: 50, High: 75 };
+export const OUTPUT_TERMS = Object.keys(OUTPUT_CENTROIDS);
+
+// Типові терми кожного входу в антецеденті правила
+export const ANTECEDENT_TERMS = {
+  SOC: SOC_TERMS,
+  SOH: SOH_TERMS,
+  Load: LOAD_TERMS,
+  Temp: TEMP_TERMS,
+};
+
+// Зсув CP на рівень вниз, а GP на рівень вгору
+function shiftDown(CP, GP) {
+  if (CP === "High") CP = "Medium";
+  else if (CP === "Medium") CP = "Low";
+  if (GP === "Low") GP = "Medium";
+  else if (GP === "Medium") GP = "High";
+  return [CP, GP];
+}
+
+// Евристика за джерелом сигналу та положенням терму (0 — найменший, 1 — найбільший):
+// низький SOC -> менше заряду, більше мережі; найгірший SOH, найбільше навантаження
+// і найвища температура зсувають рішення в бік обережності
+const HEURISTICS = {
+  soc: (pos, [CP, GP]) => (pos < 1 / 3 ? ["Low", "High"] : pos > 2 / 3 ? ["High", "Low"] : [CP, GP]),
+  soh: (pos, out) => (pos === 0 ? shiftDown(...out) : out),
+  load: (pos, out) => (pos === 1 ? shiftDown(...out) : out),
+  temp: (pos, out) => (pos === 1 ? shiftDown(...out) : out),
+};
+
+// Повна сітка правил по входах, для яких є евристика (3×3×3×3 для типових змінних);
+// решта входів лишаються "будь-якими"
+export function generateRuleBase(variables = DEFAULT_VARIABLES, mfDefs = DEFAULT_MFS) {
+  const terms = variableTerms(variables, mfDefs);
+  const keys = Object.keys(variables).filter((k) => HEURISTICS[variables[k].source] && terms[k].length);
+  const position = (key, term) => {
+    const n = terms[key].length;
+    return n > 1 ? terms[key].indexOf(term) / (n - 1) : 0.5;
+  };
+
+  const combos = keys.reduce(
+    (acc, key) => acc.flatMap((a) => terms[key].map((t) => ({ ...a, [key]: t }))),
+    [{}]
+  );
+  // Порядок застосування евристик: спершу SOC задає базу, далі поправки
+  const order = Object.keys(HEURISTICS);
+  const applied = [...keys].sort(
+    (a, b) => order.indexOf(variables[a].source) - order.indexOf(variables[b].source)
+  );
+  return combos.map((antecedent, i) => {
+    let out = ["Medium", "Medium"];
+    for (const key of applied) {
+      out = HEURISTICS[variables[key].source](position(key, antecedent[key]), out);
+    }
+    return { id: i + 1, antecedent, consequent: { CP: out[0], GP: out[1] }, weight: 1 };
+  });
+}
+
+// Нове правило з першими термами та вагою 1; id продовжує наявну нумерацію
+export function createRule(rules, terms = ANTECEDENT_TERMS) {
+  const id = rules.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+  const antecedent = {};
+  for (const [key, list] of Object.entries(terms)) {
+    if (list.length) antecedent[key] = list[0];
+  }
+  return { id, antecedent, consequent: { CP: "Medium", GP: "Medium" }, weight: 1 };
+}
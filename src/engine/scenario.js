@@ -0,0 +1,146 @@
+import { exportControllerJSON, importControllerJSON } from "./exchange.js";
+import { DEFAULT_TARIFF, costBreakdown } from "./tariff.js";
+
+// Сценарій: назва + все, що потрібно для відтворення прогону — контролер, початкові умови,
+// установка, тариф, профілі, захист, несправності датчиків і режим. Зберігається в бібліотеці та кодується в посилання.
+export const SCENARIO_FORMAT = "deep-flc-scenario";
+export const SCENARIO_SCHEMA_VERSION = 1;
+// Параметр у хеші адреси: #scenario=<base64url JSON>
+export const SCENARIO_URL_PARAM = "scenario";
+
+const INITIAL_FIELDS = ["soc", "soh", "load", "temp"];
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// config: { definition (формат модуля exchange), initial, plant, tariff, profiles, protection, sensors, mode }
+export function createScenario(
+  name,
+  { definition, initial, plant, tariff, profiles = null, protection = null, sensors = null, mode }
+) {
+  const now = new Date().toISOString();
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_SCHEMA_VERSION,
+    id: newId("scenario"),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    config: {
+      controller: JSON.parse(exportControllerJSON(definition)),
+      initial: { ...initial },
+      plant,
+      tariff,
+      profiles,
+      protection,
+      sensors,
+      mode,
+    },
+  };
+}
+
+// Перевірка збереженого або розкодованого сценарію; config доповнюється definition як у importRecording
+export function readScenario(data) {
+  if (data?.format !== SCENARIO_FORMAT) fail(`Not a ${SCENARIO_FORMAT} record`);
+  if (!Number.isInteger(data.version) || data.version < 1) fail("Missing schema version");
+  if (data.version > SCENARIO_SCHEMA_VERSION) {
+    fail(`Schema version ${data.version} is newer than supported version ${SCENARIO_SCHEMA_VERSION}`);
+  }
+  if (typeof data.name !== "string" || !data.name.trim()) fail("Scenario has no name");
+  const config = data.config ?? fail("Scenario has no config");
+  for (const field of INITIAL_FIELDS) {
+    if (typeof config.initial?.[field] !== "number") fail(`Initial ${field} is not a number`);
+  }
+  if (typeof config.plant?.deltaT !== "number") fail("Scenario has no plant parameters");
+  if (!config.tariff?.rates) fail("Scenario has no tariff");
+  const definition = importControllerJSON(JSON.stringify(config.controller));
+  return { ...data, config: { ...config, definition } };
+}
+
+// Копія з новим id і часом створення
+export function duplicateScenario(scenario, name = `${scenario.name} (copy)`) {
+  const now = new Date().toISOString();
+  const { config } = scenario;
+  const { definition: _definition, ...stored } = config;
+  return { ...scenario, id: newId("scenario"), name, createdAt: now, updatedAt: now, config: stored };
+}
+
+export function renameScenario(scenario, name) {
+  if (!name.trim()) fail("Scenario name cannot be empty");
+  return { ...scenario, name: name.trim(), updatedAt: new Date().toISOString() };
+}
+
+// base64url від UTF-8, щоб посилання пережило назви та одиниці кирилицею
+function toBase64Url(text) {
+  let binary = "";
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+// Посилання несе лише назву та конфігурацію; id і час створення отримує копія в бібліотеці
+export function encodeScenario(scenario) {
+  const { format, version, name, config } = scenario;
+  const { definition: _definition, ...stored } = config;
+  return toBase64Url(JSON.stringify({ format, version, name, config: stored }));
+}
+
+export function decodeScenario(encoded) {
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(encoded));
+  } catch (err) {
+    fail(`Invalid scenario link: ${err.message}`);
+  }
+  const now = new Date().toISOString();
+  return readScenario({ ...data, id: newId("scenario"), createdAt: now, updatedAt: now });
+}
+
+// Сценарій з хешу адреси або null, якщо параметра немає
+export function scenarioFromHash(hash) {
+  const encoded = new URLSearchParams(hash.replace(/^#/, "")).get(SCENARIO_URL_PARAM);
+  return encoded ? decodeScenario(encoded) : null;
+}
+
+export function scenarioHash(scenario) {
+  return `#${SCENARIO_URL_PARAM}=${encodeScenario(scenario)}`;
+}
+
+// Підсумок завершеного прогону за повним записом кроків (createRecordStep)
+export function summarizeRun(steps, { initial, account, tariff = DEFAULT_TARIFF, events = [] }) {
+  if (!steps.length) fail("Run has no steps");
+  const last = steps[steps.length - 1];
+  // reduce замість Math.min(...): довгі прогони перевищують ліміт аргументів
+  const extreme = (key, pick) => steps.reduce((acc, s) => pick(acc, s[key]), steps[0][key]);
+  return {
+    steps: steps.length,
+    energy: last.energy,
+    exported: last.exported,
+    cost: account ? costBreakdown(account, tariff).total : last.cost,
+    finalSOC: last.SOC,
+    minSOC: extreme("SOC", Math.min),
+    maxSOC: extreme("SOC", Math.max),
+    sohLoss: (initial?.soh ?? steps[0].SOH) - last.SOH,
+    peakTemp: extreme("Temperature", Math.max),
+    alarms: events.filter((e) => e.type === "trip").length,
+  };
+}
+
+// Запис історії: підсумок + сценарій, з яким прогін отримано (його можна завантажити знову)
+export function createRunEntry(name, config, { steps, account, events }) {
+  return {
+    id: newId("run"),
+    name,
+    finishedAt: new Date().toISOString(),
+    mode: config.mode,
+    summary: summarizeRun(steps, { initial: config.initial, account, tariff: config.tariff, events }),
+    scenario: createScenario(name, config),
+  };
+}
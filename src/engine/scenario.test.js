@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_MFS,
+  DEFAULT_OUTPUT_MFS,
+  DEFAULT_PLANT,
+  DEFAULT_PROTECTION,
+  DEFAULT_TARIFF,
+  OUTPUT_CENTROIDS,
+  createController,
+  createRecordStep,
+  createRunEntry,
+  createScenario,
+  createSimulationState,
+  decodeScenario,
+  duplicateScenario,
+  encodeScenario,
+  generateRuleBase,
+  readScenario,
+  renameScenario,
+  scenarioFromHash,
+  scenarioHash,
+  stepSimulation,
+} from "./index.js";
+
+const definition = {
+  mfDefs: DEFAULT_MFS,
+  rules: generateRuleBase(),
+  outputs: { CP: { ...OUTPUT_CENTROIDS }, GP: { ...OUTPUT_CENTROIDS } },
+  outputMFs: DEFAULT_OUTPUT_MFS,
+  inference: { method: "sugeno", defuzz: "centroid", tNorm: "min", aggregation: "sum", implication: "min" },
+};
+
+const config = {
+  definition,
+  initial: { soc: 35, soh: 92, load: 60, temp: 28 },
+  plant: DEFAULT_PLANT,
+  tariff: { ...DEFAULT_TARIFF, rates: { peak: 9, shoulder: 6, offPeak: 3 } },
+  protection: DEFAULT_PROTECTION,
+  mode: "deep",
+};
+
+test("a stored scenario reads back with its controller definition", () => {
+  const stored = JSON.parse(JSON.stringify(createScenario("Evening peak", config)));
+  const scenario = readScenario(stored);
+  assert.equal(scenario.name, "Evening peak");
+  assert.deepEqual(scenario.config.initial, config.initial);
+  assert.deepEqual(scenario.config.tariff.rates, config.tariff.rates);
+  assert.deepEqual(scenario.config.definition.rules, definition.rules);
+  assert.deepEqual(scenario.config.definition.inference, definition.inference);
+});
+
+test("readScenario rejects foreign, future and incomplete records", () => {
+  const good = createScenario("A", config);
+  assert.throws(() => readScenario({ ...good, format: "other" }), /Not a deep-flc-scenario/);
+  assert.throws(() => readScenario({ ...good, version: 99 }), /newer than supported/);
+  assert.throws(() => readScenario({ ...good, name: " " }), /no name/);
+  const noSoc = { ...good, config: { ...good.config, initial: { ...config.initial, soc: "35" } } };
+  assert.throws(() => readScenario(noSoc), /Initial soc/);
+});
+
+test("duplicate and rename keep the configuration", () => {
+  const original = readScenario(createScenario("Base", config));
+  const copy = duplicateScenario(original);
+  assert.notEqual(copy.id, original.id);
+  assert.equal(copy.name, "Base (copy)");
+  assert.equal(copy.config.definition, undefined);
+  assert.deepEqual(readScenario(copy).config.definition, original.config.definition);
+  assert.equal(renameScenario(copy, "  Winter ").name, "Winter");
+  assert.throws(() => renameScenario(copy, ""), /empty/);
+});
+
+test("scenario links round-trip through the URL hash", () => {
+  const scenario = createScenario("Пік ціни", config);
+  const encoded = encodeScenario(scenario);
+  assert.match(encoded, /^[\w-]+$/);
+  const decoded = decodeScenario(encoded);
+  assert.equal(decoded.name, "Пік ціни");
+  assert.notEqual(decoded.id, scenario.id);
+  assert.deepEqual(decoded.config.initial, config.initial);
+
+  const fromHash = scenarioFromHash(scenarioHash(scenario));
+  assert.deepEqual(fromHash.config.definition, decoded.config.definition);
+  assert.equal(scenarioFromHash("#other=1"), null);
+  assert.throws(() => decodeScenario("not-base64!"), /Invalid scenario link/);
+});
+
+test("run entries summarise the full recorded run", () => {
+  const controller = createController({ ...definition, ...definition.inference });
+  let state = createSimulationState(config.initial);
+  const steps = [];
+  for (let i = 0; i < 30; i++) {
+    const res = stepSimulation(state, { controller, mode: "deep", tariff: config.tariff });
+    state = res.state;
+    steps.push(createRecordStep({ ...res, tariff: config.tariff }));
+  }
+  const events = [{ id: "socMax", type: "trip" }, { id: "socMax", type: "release" }];
+  const entry = createRunEntry("Run 1", config, { steps, account: state.account, events });
+  assert.equal(entry.summary.steps, 30);
+  assert.equal(entry.summary.energy, state.energy);
+  assert.equal(entry.summary.finalSOC, steps[29].SOC);
+  assert.ok(entry.summary.minSOC <= entry.summary.maxSOC);
+  assert.equal(entry.summary.alarms, 1);
+  assert.equal(entry.summary.cost, steps[29].cost);
+  assert.equal(readScenario(entry.scenario).config.mode, "deep");
+});
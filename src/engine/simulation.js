@@ -0,0 +1,229 @@
+import { createAccuracyState, updateAccuracy } from "./accuracy.js";
+import { bankPacks, bankSummary } from "./bank.js";
+import { DEFAULT_SENSORS, applySensorFaults, createSensorState } from "./faults.js";
+import { forecast } from "./forecaster.js";
+import { predictSeries } from "./predict.js";
+import { DEFAULT_PLANT, stepPlant } from "./plant.js";
+import { sampleProfiles } from "./profiles.js";
+import { DEFAULT_PROTECTION, applyProtection, createProtectionState } from "./protection.js";
+import { DEFAULT_TARIFF, accountEnergy, createAccount, tariffBand } from "./tariff.js";
+import { variableInputs } from "./variables.js";
+
+const HISTORY_LENGTH = 200;
+const DAY = 24 * 3600;
+const round2 = (v) => Math.round(v * 100) / 100;
+
+export function createSimulationState({ soc = 50, soh = 100, load = 50, temp = 25 } = {}) {
+  return {
+    time: 0,
+    soc,
+    soh,
+    load,
+    temp,
+    energy: 0,
+    exported: 0,
+    account: createAccount(),
+    cycle: null, // поточний напівцикл батареї для DoD
+    protection: createProtectionState(),
+    sensors: createSensorState(),
+    history: { SOC: [soc], SOH: [soh], Load: [load], Temp: [temp] },
+    // Виміряна історія для прогнозу Deep-FLC (з несправностями датчиків), узгоджена з history:
+    // SOC, SOH і Temp доповнюються відліком поточного кроку, навантаження — з кроку раніше
+    readings: { SOC: [], SOH: [], Load: [load], Temp: [] },
+    accuracy: createAccuracyState(),
+  };
+}
+
+const pushHistory = (h, v) => [...h.slice(-(HISTORY_LENGTH - 1)), v];
+const reading = (v) => (Number.isFinite(v) ? round2(v) : null);
+const mapSignals = (signals, fn) =>
+  Object.fromEntries(Object.entries(signals).map(([key, v]) => [key, fn(v)]));
+// Прогноз моделі коротший за горизонт доповнюється останнім значенням
+const extend = (values, n) => Array.from({ length: n }, (_, k) => values[Math.min(k, values.length - 1)]);
+
+// Прогноз входів на `horizon` кроків за виміряною історією (Deep-FLC): нейромережа або згладжування.
+// Перше значення — те, що надійде за поточний крок; його бачить контролер
+function forecastInputs(readings, horizon, forecaster) {
+  if (forecaster) return mapSignals(forecast(forecaster, readings), (values) => extend(values, horizon));
+  return mapSignals(readings, (h) => predictSeries(h, horizon));
+}
+
+// Один крок симуляції: профілі, датчики, інференс, захисний шар, модель установки та енергія.
+// Контролер бачить виміряні або прогнозовані входи, захисти — виміряні, установка — фактичні значення.
+// Профілі (якщо задані) перевизначають навантаження, PV і температуру середовища на поточний час.
+export function stepSimulation(
+  state,
+  {
+    controller,
+    mode = "conventional",
+    forecaster = null,
+    plant = DEFAULT_PLANT,
+    profiles = null,
+    tariff = DEFAULT_TARIFF,
+    protection = DEFAULT_PROTECTION,
+    sensors = DEFAULT_SENSORS,
+    horizon = 1,
+  }
+) {
+  const t = state.time + 1;
+  const seconds = state.time * plant.deltaT;
+  const exo = sampleProfiles(profiles, seconds);
+  // Банк пакетів: стан кожного пакета, а контролер і захисти бачать зведені SOC, SOH і температуру
+  const packs = plant.bank ? bankPacks(plant.bank, state.packs) : null;
+  const current = {
+    ...state,
+    ...(exo.load !== undefined && { load: exo.load }),
+    ...(packs && { packs, ...bankSummary(packs) }),
+  };
+  const env = {
+    ...plant,
+    ...(exo.pv !== undefined && { pvKW: exo.pv }),
+    ...(exo.ambient !== undefined && { ambientTemp: exo.ambient }),
+  };
+  const actual = { SOC: current.soc, SOH: current.soh, Load: current.load, Temp: current.temp };
+  const sensed = applySensorFaults(sensors, state.sensors, actual, t);
+  const { measured } = sensed;
+  const past = state.readings ?? { SOC: [], SOH: [], Load: state.history.Load, Temp: [] };
+  const readings = {
+    SOC: pushHistory(past.SOC, measured.SOC),
+    SOH: pushHistory(past.SOH, measured.SOH),
+    Load: past.Load,
+    Temp: pushHistory(past.Temp, measured.Temp),
+  };
+  const predicted = mode === "deep" ? forecastInputs(readings, Math.max(1, horizon), forecaster) : null;
+  const use = predicted ? mapSignals(predicted, (values) => values[0]) : measured;
+  // Годинник тарифу й часу доби узгоджений із часом профілів
+  const clock = seconds + (profiles?.offset ?? 0);
+  // Входи контролера за його моделлю змінних: батарея (виміряна або прогнозована), PV, ціна, час доби
+  const inputs = variableInputs(controller.variables, {
+    soc: use.SOC,
+    soh: use.SOH,
+    load: use.Load,
+    temp: use.Temp,
+    pv: env.pvKW,
+    price: tariff.rates[tariffBand(tariff, clock)],
+    hour: (((clock % DAY) + DAY) % DAY) / 3600,
+  });
+
+  const inference = controller.infer(inputs);
+  const guard = applyProtection(protection, state.protection, measured, inference);
+  const { CP, GP, allowDischarge } = guard;
+  const events = guard.events.map((e) => ({ ...e, time: t }));
+
+  const step = stepPlant(current, { CP, GP, allowDischarge, load: current.load }, env);
+  const energy = state.energy + step.importKWh; // кВт·год з мережі
+  const exported = state.exported + step.exportKWh;
+  const account = accountEnergy(state.account ?? createAccount(), step, clock, tariff, plant.deltaT);
+  // Минулі прогнози порівнюються з фактичними значеннями, що надійшли за цей крок
+  const accuracy = updateAccuracy(state.accuracy, t, predicted, {
+    SOC: step.soc,
+    SOH: step.soh,
+    Load: current.load,
+    Temp: step.temp,
+  });
+
+  const point = {
+    time: t,
+    SOC: round2(step.soc),
+    SOH: round2(step.soh),
+    Load: round2(current.load),
+    Temperature: round2(step.temp),
+    CP: round2(CP),
+    GP: round2(GP),
+    BatteryPower: round2(step.batteryKW),
+    GridPower: round2(step.gridKW),
+    PV: round2(env.pvKW),
+    Ambient: round2(env.ambientTemp),
+    Voltage: round2(step.voltage),
+    Current: round2(step.current),
+    mode,
+    ...(step.packs && {
+      packs: step.packs.map((p) => ({
+        id: p.id,
+        name: p.name,
+        SOC: round2(p.soc),
+        SOH: round2(p.soh),
+        Temperature: round2(p.temp),
+        Power: round2(p.powerKW),
+        Current: round2(p.current),
+      })),
+    }),
+    ...(events.length > 0 && { events }),
+    // Фактичні та виміряні входи на початку кроку — лише коли задано несправності датчиків
+    ...(sensors?.faults?.length > 0 && {
+      sensors: {
+        actual: mapSignals(actual, round2),
+        measured: mapSignals(measured, reading),
+        faults: sensed.active,
+      },
+    }),
+  };
+
+  const next = {
+    ...current,
+    time: t,
+    soc: step.soc,
+    soh: step.soh,
+    temp: step.temp,
+    cycle: step.cycle,
+    ...(step.packs && { packs: step.packs }),
+    protection: guard.state,
+    sensors: sensed.state,
+    readings: { ...readings, Load: pushHistory(readings.Load, measured.Load) },
+    energy,
+    exported,
+    account,
+    accuracy,
+    history: {
+      SOC: pushHistory(state.history.SOC, step.soc),
+      SOH: pushHistory(state.history.SOH, step.soh),
+      Load: pushHistory(state.history.Load, current.load),
+      Temp: pushHistory(state.history.Temp, step.temp),
+    },
+  };
+
+  return {
+    state: next,
+    point,
+    inputs,
+    signals: use,
+    forecast: predicted,
+    inference,
+    protection: { before: state.protection ?? null, measured, applied: guard.applied, events },
+    step,
+  };
+}
+
+// Безголовий прогін на `steps` кроків; повертає ряд точок і кінцевий стан
+export function runSimulation({
+  controller,
+  steps,
+  initial,
+  mode,
+  forecaster,
+  plant,
+  profiles,
+  tariff,
+  protection,
+  sensors,
+  horizon,
+}) {
+  let state = createSimulationState(initial);
+  const series = [];
+  for (let i = 0; i < steps; i++) {
+    const res = stepSimulation(state, {
+      controller,
+      mode,
+      forecaster,
+      plant,
+      profiles,
+      tariff,
+      protection,
+      sensors,
+      horizon,
+    });
+    state = res.state;
+    series.push({ ...res.point, energy: state.energy });
+  }
+  return { series, state };
+}
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PLANT,
+  capacityAh,
+  createController,
+  dispatchPower,
+  createSimulationState,
+  runSimulation,
+  stepPlant,
+  stepSimulation,
+  uniformTerms,
+} from "./index.js";
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} != ${expected}`);
+
+test("battery charges at most the CP setpoint when the GP setpoint asks for more", () => {
+  // Load 40% = 2 кВт, PV 1 кВт, уставка імпорту 4 кВт лишає 3 кВт на заряд, але CP дозволяє 2.5 кВт
+  const p = dispatchPower({ CP: 50, GP: 80, load: 40, soc: 50 });
+  close(p.batteryKW, 2.5);
+  close(p.gridKW, 3.5);
+});
+
+test("the battery absorbs the difference to hold the GP import setpoint", () => {
+  const reduced = dispatchPower({ CP: 50, GP: 40, load: 40, soc: 50 });
+  close(reduced.batteryKW, 1);
+  close(reduced.gridKW, 2);
+  const discharging = dispatchPower({ CP: 0, GP: 0, load: 80, soc: 50 });
+  close(discharging.batteryKW, -3);
+  close(discharging.gridKW, 0);
+  // Уставка вища за навантаження: батарея добирає імпорт до уставки, а не лише до ліміту
+  const held = dispatchPower({ CP: 100, GP: 60, load: 20, soc: 50 });
+  close(held.gridSetpoint, 3);
+  close(held.batteryKW, 3);
+  close(held.gridKW, 3);
+  // Нульова уставка: надлишок PV іде в батарею замість експорту
+  const surplus = dispatchPower({ CP: 100, GP: 0, load: 0, soc: 50 });
+  close(surplus.batteryKW, 1);
+  close(surplus.gridKW, 0);
+});
+
+test("SOC bounds and ratings limit battery power", () => {
+  assert.equal(dispatchPower({ CP: 100, GP: 100, load: 0, soc: 100 }).batteryKW, 0);
+  assert.equal(dispatchPower({ CP: 0, GP: 0, load: 100, soc: 0 }).batteryKW, 0);
+  const rated = dispatchPower({ CP: 0, GP: 0, load: 100, soc: 50 }, {
+    ...DEFAULT_PLANT,
+    dischargeRatedKW: 2,
+  });
+  close(rated.batteryKW, -2);
+  close(rated.gridKW, 2);
+});
+
+test("stepPlant integrates SOC, temperature and grid energy", () => {
+  const plant = { ...DEFAULT_PLANT, deltaT: 3600 };
+  const state = { soc: 50, soh: 100, temp: 25 };
+  const step = stepPlant(state, { CP: 50, GP: 80, load: 40 }, plant);
+  const { battery } = plant;
+  const stored = step.current * battery.coulombicEfficiency;
+  close(step.soc, 50 + (stored / capacityAh(battery, 100)) * 100);
+  close(step.batteryKW, 2.5, 1e-6);
+  close(step.importKWh, 3.5, 1e-6);
+  assert.equal(step.exportKWh, 0);
+  assert.ok(step.temp > 25);
+});
+
+test("controller outputs now change the simulated trajectory", () => {
+  const initial = { soc: 50, soh: 100, load: 40, temp: 25 };
+  const high = { Low: 80, Medium: 80, High: 80 };
+  const low = { Low: 10, Medium: 10, High: 10 };
+  const run = (outputs) =>
+    runSimulation({ controller: createController({ outputs }), steps: 50, initial });
+  const charging = run(high);
+  const idle = run(low);
+  assert.ok(charging.state.soc > idle.state.soc);
+  assert.ok(charging.state.energy > idle.state.energy);
+});
+
+test("deep and conventional modes diverge once the loop is closed", () => {
+  const controller = createController();
+  const initial = { soc: 70, soh: 80, load: 35, temp: 42 };
+  const conventional = runSimulation({ controller, steps: 30, initial, mode: "conventional" });
+  const deep = runSimulation({ controller, steps: 30, initial, mode: "deep" });
+  assert.equal(conventional.series.length, 30);
+  assert.equal(deep.series[0].Load, 35);
+  assert.notEqual(conventional.state.soc, deep.state.soc);
+  assert.notEqual(conventional.state.energy, deep.state.energy);
+});
+
+test("controller inputs follow the variable model, including price and time of day", () => {
+  const variables = {
+    SOC: { name: "SOC", source: "soc", range: [0, 100] },
+    Price: { name: "Price", source: "price", range: [0, 10] },
+    Hour: { name: "Hour", source: "hour", range: [0, 24] },
+  };
+  const mfDefs = {
+    SOC: uniformTerms(["Low", "High"], [0, 100]),
+    Price: uniformTerms(["Cheap", "Expensive"], [0, 10]),
+    Hour: uniformTerms(["Night", "Day"], [0, 24]),
+  };
+  const rules = [
+    { id: 1, antecedent: { Price: "Cheap" }, consequent: { CP: "High", GP: "High" }, weight: 1 },
+    { id: 2, antecedent: { Price: "Expensive" }, consequent: { CP: "Low", GP: "Low" }, weight: 1 },
+  ];
+  const controller = createController({ variables, mfDefs, rules });
+  const state = createSimulationState({ soc: 60 });
+  const res = stepSimulation(state, { controller });
+  assert.deepEqual(Object.keys(res.inputs), ["SOC", "Price", "Hour"]);
+  assert.equal(res.inputs.SOC, res.signals.SOC);
+  assert.ok([2.5, 5, 7.5].includes(res.inputs.Price));
+  assert.ok(res.inputs.Hour >= 0 && res.inputs.Hour < 24);
+  close(res.inference.CP, controller.infer(res.inputs).CP);
+});
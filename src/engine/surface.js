@@ -0,0 +1,45 @@
+import { DEFAULT_PROTECTION, applyProtection } from "./protection.js";
+
+// Поверхня керування: вихід контролера на сітці двох входів при фіксованих інших.
+// values[j][i] відповідає ys[j], xs[i]; сітка охоплює діапазон кожної змінної.
+// withProtection додає порогові захисти без пам'яті гістерезису (за входами SOC/Temp, якщо вони є).
+export function controlSurface(
+  controller,
+  {
+    output = "CP",
+    x = "SOC",
+    y = "Load",
+    fixed = {},
+    resolution = 21,
+    withProtection = false,
+    protection = DEFAULT_PROTECTION,
+  }
+) {
+  if (x === y) throw new Error("Surface axes must be two different inputs");
+  for (const key of [x, y]) {
+    if (!(key in controller.variables)) throw new Error(`Unknown input: ${key}`);
+  }
+  const axis = (key) => {
+    const [lo, hi] = controller.variables[key].range;
+    return Array.from({ length: resolution }, (_, i) => lo + ((hi - lo) * i) / (resolution - 1));
+  };
+  const xs = axis(x);
+  const ys = axis(y);
+  let min = Infinity;
+  let max = -Infinity;
+
+  const values = ys.map((yv) =>
+    xs.map((xv) => {
+      const inputs = { ...fixed, [x]: xv, [y]: yv };
+      const inference = controller.infer(inputs);
+      const value = withProtection
+        ? applyProtection(protection, null, inputs, inference)[output]
+        : inference[output];
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+      return value;
+    })
+  );
+
+  return { output, x, y, xs, ys, values, min, max };
+}
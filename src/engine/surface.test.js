@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { controlSurface, createController } from "./index.js";
+
+const fixed = { SOC: 50, SOH: 90, Load: 50, Temp: 30 };
+
+test("surface sweeps two inputs and matches direct inference", () => {
+  const controller = createController();
+  const s = controlSurface(controller, { output: "GP", x: "SOC", y: "Temp", fixed, resolution: 5 });
+  assert.deepEqual(s.xs, [0, 25, 50, 75, 100]);
+  assert.equal(s.values.length, 5);
+  assert.equal(s.values[0].length, 5);
+  const direct = controller.infer({ ...fixed, SOC: 75, Temp: 25 }).GP;
+  assert.equal(s.values[1][3], direct);
+  assert.equal(s.min, Math.min(...s.values.flat()));
+  assert.equal(s.max, Math.max(...s.values.flat()));
+});
+
+test("surface follows rule edits and can include the protection layer", () => {
+  const base = createController();
+  const rules = base.rules.map((r) => ({ ...r, consequent: { ...r.consequent, CP: "High" } }));
+  const edited = createController({ rules });
+  const s = controlSurface(edited, { output: "CP", x: "SOC", y: "Load", fixed, resolution: 3 });
+  assert.ok(s.values.flat().every((v) => v === 75 || v === 50));
+
+  const hot = { ...fixed, Temp: 80 };
+  const raw = controlSurface(base, { x: "SOC", y: "Load", fixed: hot, resolution: 3 });
+  const safe = controlSurface(base, { x: "SOC", y: "Load", fixed: hot, resolution: 3, withProtection: true });
+  assert.ok(safe.values.flat().some((v, i) => v !== raw.values.flat()[i]));
+});
+
+test("surface rejects identical axes", () => {
+  assert.throws(() => controlSurface(createController(), { x: "SOC", y: "SOC" }), /two different inputs/);
+});
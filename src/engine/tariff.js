@@ -0,0 +1,92 @@
+// Тарифи за часом доби (пік / напівпік / ніч), зелений тариф на експорт і щомісячна плата за пікову потужність.
+// Облік енергії ведеться в кВт·год по зонах; гроші рахуються з обліку за поточним тарифом.
+export const TARIFF_BANDS = {
+  peak: "Peak",
+  shoulder: "Shoulder",
+  offPeak: "Off-peak",
+};
+
+const DAY = 24 * 3600;
+const MONTH = 30 * DAY;
+// Пікова потужність — енергія імпорту за інтервал обліку, поділена на його тривалість, а не потужність кроку
+export const DEMAND_INTERVAL = 15 * 60;
+
+// Зони за годинами 0-23: ніч 23:00-07:00, пік 08:00-11:00 та 18:00-22:00
+const DEFAULT_SCHEDULE = Array.from({ length: 24 }, (_, h) => {
+  if (h >= 23 || h < 7) return "offPeak";
+  if ((h >= 8 && h < 11) || (h >= 18 && h < 22)) return "peak";
+  return "shoulder";
+});
+
+export const DEFAULT_TARIFF = {
+  rates: { peak: 7.5, shoulder: 5, offPeak: 2.5 }, // грн/кВт·год
+  schedule: DEFAULT_SCHEDULE,
+  feedIn: 2, // грн/кВт·год експорту
+  demandCharge: 150, // грн/кВт пікового імпорту за місяць
+};
+
+export function tariffBand(tariff, seconds) {
+  const hour = Math.floor((((seconds % DAY) + DAY) % DAY) / 3600);
+  return tariff.schedule[hour];
+}
+
+export function createAccount() {
+  return {
+    importKWh: Object.fromEntries(Object.keys(TARIFF_BANDS).map((b) => [b, 0])),
+    exportKWh: 0,
+    peakKW: {}, // місяць -> найбільший середній імпорт за інтервал обліку, кВт
+    billedSeconds: {}, // місяць -> змодельований час, с (для пропорційної плати за потужність)
+    demand: null, // поточний інтервал обліку: { interval, kWh, seconds }
+  };
+}
+
+// Єдина точка обліку енергії кроку тривалістю deltaT с: імпорт у зону тарифу, експорт,
+// середній імпорт поточного інтервалу обліку як кандидат на пік місяця (крок, довший
+// за інтервал, сам є інтервалом)
+export function accountEnergy(account, { importKWh, exportKWh }, seconds, tariff, deltaT = 1) {
+  const band = tariffBand(tariff, seconds);
+  const month = Math.floor(seconds / MONTH);
+  const interval = Math.floor(seconds / DEMAND_INTERVAL);
+  const prev = account.demand?.interval === interval ? account.demand : { interval, kWh: 0, seconds: 0 };
+  const demand = { interval, kWh: prev.kWh + importKWh, seconds: prev.seconds + deltaT };
+  const averageKW = (demand.kWh * 3600) / Math.max(DEMAND_INTERVAL, demand.seconds);
+  return {
+    importKWh: { ...account.importKWh, [band]: account.importKWh[band] + importKWh },
+    exportKWh: account.exportKWh + exportKWh,
+    peakKW: { ...account.peakKW, [month]: Math.max(account.peakKW[month] ?? 0, averageKW) },
+    billedSeconds: {
+      ...account.billedSeconds,
+      [month]: (account.billedSeconds?.[month] ?? 0) + deltaT,
+    },
+    demand,
+  };
+}
+
+export function costBreakdown(account, tariff) {
+  const bands = Object.fromEntries(
+    Object.keys(TARIFF_BANDS).map((b) => [
+      b,
+      { kWh: account.importKWh[b], cost: account.importKWh[b] * tariff.rates[b] },
+    ])
+  );
+  const importKWh = Object.values(bands).reduce((acc, b) => acc + b.kWh, 0);
+  const importCost = Object.values(bands).reduce((acc, b) => acc + b.cost, 0);
+  const exportCredit = account.exportKWh * tariff.feedIn;
+  const peaks = Object.values(account.peakKW);
+  // Місячна плата пропорційна змодельованому часу місяця; облік без часу — за повний місяць
+  const share = (month) => Math.min(1, (account.billedSeconds?.[month] ?? MONTH) / MONTH);
+  const demandCost = Object.entries(account.peakKW).reduce(
+    (acc, [month, kW]) => acc + kW * tariff.demandCharge * share(month),
+    0
+  );
+  return {
+    bands,
+    importKWh,
+    importCost,
+    exportKWh: account.exportKWh,
+    exportCredit,
+    peakKW: Math.max(0, ...peaks),
+    demandCost,
+    total: importCost - exportCredit + demandCost,
+  };
+}
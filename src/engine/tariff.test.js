@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_TARIFF,
+  DEMAND_INTERVAL,
+  accountEnergy,
+  costBreakdown,
+  createAccount,
+  createController,
+  runSimulation,
+  tariffBand,
+} from "./index.js";
+
+const tariff = {
+  rates: { peak: 10, shoulder: 5, offPeak: 2 },
+  schedule: DEFAULT_TARIFF.schedule,
+  feedIn: 1,
+  demandCharge: 100,
+};
+
+test("bands follow the hourly schedule and wrap around the day", () => {
+  assert.equal(tariffBand(tariff, 3 * 3600), "offPeak");
+  assert.equal(tariffBand(tariff, 9 * 3600), "peak");
+  assert.equal(tariffBand(tariff, 13 * 3600), "shoulder");
+  assert.equal(tariffBand(tariff, 24 * 3600 + 19 * 3600), "peak");
+});
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} != ${expected}`);
+
+const MONTH = 30 * 86400;
+
+test("costs are broken down per band with feed-in credit and monthly demand", () => {
+  // Кроки по пів години: 2 кВт·год за крок — середня потужність 4 кВт
+  const step = (account, flows, seconds) => accountEnergy(account, flows, seconds, tariff, 1800);
+  let account = createAccount();
+  account = step(account, { importKWh: 2, exportKWh: 0 }, 9 * 3600);
+  account = step(account, { importKWh: 1, exportKWh: 0 }, 2 * 3600);
+  account = step(account, { importKWh: 0, exportKWh: 5 }, 13 * 3600);
+  // Наступний місяць має власний пік
+  account = step(account, { importKWh: 1.5, exportKWh: 0 }, 31 * 86400);
+  const cost = costBreakdown(account, tariff);
+  assert.deepEqual(cost.bands.peak, { kWh: 2, cost: 20 });
+  assert.deepEqual(cost.bands.offPeak, { kWh: 2.5, cost: 5 });
+  assert.equal(cost.exportCredit, 5);
+  assert.equal(cost.peakKW, 4);
+  // Плата за потужність — частка місяця, яку покриває прогін
+  close(cost.demandCost, (100 * (4 * 3 * 1800 + 3 * 1800)) / MONTH);
+  close(cost.total, 20 + 5 - 5 + cost.demandCost);
+});
+
+test("a short run pays demand charge in proportion to its duration", () => {
+  const run = (steps) => {
+    let account = createAccount();
+    for (let i = 0; i < steps; i++) {
+      account = accountEnergy(account, { importKWh: 2 / 60, exportKWh: 0 }, i * 60, tariff, 60);
+    }
+    return costBreakdown(account, tariff);
+  };
+  const hour = run(60);
+  close(hour.peakKW, 2);
+  close(hour.demandCost, (2 * 100 * 3600) / MONTH);
+  close(run(120).demandCost, 2 * hour.demandCost);
+});
+
+test("the demand peak is averaged over the metering interval", () => {
+  let account = createAccount();
+  for (let t = 0; t < DEMAND_INTERVAL; t++) {
+    const kW = t === 100 ? 10 : 1;
+    account = accountEnergy(account, { importKWh: kW / 3600, exportKWh: 0 }, t, tariff, 1);
+  }
+  // Секундний сплеск 10 кВт ледь зрушує середнє за інтервал
+  close(costBreakdown(account, tariff).peakKW, 1 + 9 / DEMAND_INTERVAL);
+});
+
+test("simulation energy and the tariff account agree", () => {
+  const { state } = runSimulation({
+    controller: createController(),
+    steps: 50,
+    initial: { load: 80 },
+    tariff,
+  });
+  const cost = costBreakdown(state.account, tariff);
+  assert.ok(Math.abs(cost.importKWh - state.energy) < 1e-12);
+  assert.equal(cost.exportKWh, state.exported);
+});
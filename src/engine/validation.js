@@ -0,0 +1,172 @@
+import { MF_SHAPES, evaluateMF, normalizeMF } from "./membership.js";
+import { DEFAULT_VARIABLES, variableTerms } from "./variables.js";
+
+// Перевірка функцій належності та бази правил.
+// Проблема: { level: "error" | "warning", message, param? } — param вказує на індекс параметра MF.
+const RANGE = [0, 100];
+const SAMPLES = 201;
+// Нижче цього рівня сумарне покриття вважається слабким перекриттям сусідніх термів
+export const LOW_COVERAGE = 0.5;
+// Понад стільки комбінацій термів повнота бази правил не перебирається
+const COMBINATION_LIMIT = 5000;
+
+const ORDERED_SHAPES = ["tri", "trap", "s", "z"];
+// Параметри-положення (решта — ширини або нахили)
+const LOCATION_PARAMS = { gauss: [1], gbell: [2], sigmoid: [1] };
+
+export function validateMF(mf, range = RANGE) {
+  const { type, params } = normalizeMF(mf);
+  const shape = MF_SHAPES[type];
+  if (!shape) return [{ level: "error", message: `Unknown shape "${type}"` }];
+  const issues = [];
+  params.forEach((v, i) => {
+    if (!Number.isFinite(v)) {
+      issues.push({ level: "error", param: i, message: `${shape.params[i]} is not a number` });
+    }
+  });
+  if (issues.length) return issues;
+
+  const [lo, hi] = range;
+  const locations = ORDERED_SHAPES.includes(type) ? params.map((_, i) => i) : LOCATION_PARAMS[type];
+  for (const i of locations) {
+    if (params[i] < lo || params[i] > hi) {
+      issues.push({
+        level: "warning",
+        param: i,
+        message: `${shape.params[i]} = ${params[i]} is outside ${lo}–${hi}`,
+      });
+    }
+  }
+  if (ORDERED_SHAPES.includes(type)) {
+    for (let i = 1; i < params.length; i++) {
+      if (params[i - 1] > params[i]) {
+        issues.push({
+          level: "error",
+          param: i,
+          message: `${shape.params[i - 1]} > ${shape.params[i]} (${params[i - 1]} > ${params[i]})`,
+        });
+      }
+    }
+  }
+  if ((type === "gauss" || type === "gbell") && params[0] <= 0) {
+    issues.push({ level: "error", param: 0, message: `${shape.params[0]} must be positive` });
+  }
+  if (type === "gbell" && params[1] <= 0) {
+    issues.push({ level: "error", param: 1, message: "b must be positive" });
+  }
+  if (type === "sigmoid" && params[0] === 0) {
+    issues.push({ level: "warning", param: 0, message: "a = 0 gives a flat 0.5 membership" });
+  }
+  return issues;
+}
+
+// Суцільні відрізки сітки, де виконується умова
+function regions(xs, flags) {
+  const out = [];
+  let start = null;
+  flags.forEach((flag, i) => {
+    if (flag && start === null) start = i;
+    if ((!flag || i === flags.length - 1) && start !== null) {
+      const end = flag ? i : i - 1;
+      out.push({ from: xs[start], to: xs[end] });
+      start = null;
+    }
+  });
+  return out;
+}
+
+// Покриття діапазону змінної: прогалини (нульова належність — інференс падає до 50)
+// та області слабкого перекриття, де найбільша належність менша за LOW_COVERAGE
+export function analyzeVariable(terms, range = RANGE) {
+  const [lo, hi] = range;
+  const xs = Array.from({ length: SAMPLES }, (_, i) => lo + ((hi - lo) * i) / (SAMPLES - 1));
+  const valid = Object.values(terms).filter((mf) => !validateMF(mf, range).some((i) => i.level === "error"));
+  const coverage = xs.map((x) => Math.max(0, ...valid.map((mf) => evaluateMF(mf, x))));
+  return {
+    gaps: regions(xs, coverage.map((c) => c <= 0)),
+    weak: regions(xs, coverage.map((c) => c > 0 && c < LOW_COVERAGE)),
+  };
+}
+
+// Перевірка набору змінних { variable: { term: mf } } для редактора MF; ranges — діапазон кожної змінної
+export function analyzeMembership(defs, ranges = {}) {
+  const result = {};
+  for (const [variable, terms] of Object.entries(defs)) {
+    const range = ranges[variable] ?? RANGE;
+    const termIssues = Object.fromEntries(
+      Object.entries(terms).map(([term, mf]) => [term, validateMF(mf, range)])
+    );
+    const { gaps, weak } = analyzeVariable(terms, range);
+    const issues = [
+      ...gaps.map((g) => ({
+        level: "error",
+        message: `No term covers ${g.from}–${g.to}: inference falls back to 50 there`,
+      })),
+      ...weak.map((w) => ({
+        level: "warning",
+        message: `Low overlap at ${w.from}–${w.to} (membership < ${LOW_COVERAGE})`,
+      })),
+    ];
+    result[variable] = { terms: termIssues, issues };
+  }
+  return result;
+}
+
+// Терм, що дорівнює нулю на всьому діапазоні (або некоректний), ніколи не активує правило
+function isZero(mf, range) {
+  return analyzeVariable({ term: mf }, range).gaps.some((g) => g.from === range[0] && g.to === range[1]);
+}
+
+// Аналіз бази правил: недосяжні, дубльовані та суперечливі правила, непокриті комбінації термів.
+// Вхід без терму в антецеденті вважається "будь-яким".
+export function analyzeRules(rules, mfDefs, variables = DEFAULT_VARIABLES) {
+  const keys = Object.keys(variables);
+  const antecedentKey = (r) => keys.map((k) => r.antecedent[k] ?? "*").join("|");
+  const byRule = Object.fromEntries(rules.map((r) => [r.id, []]));
+  const seen = new Map();
+
+  for (const r of rules) {
+    const issues = byRule[r.id];
+    for (const [key, v] of Object.entries(variables)) {
+      const term = r.antecedent[key];
+      if (!term) continue;
+      const mf = mfDefs[v.name]?.[term];
+      if (!mf) {
+        issues.push({ level: "error", message: `${key} has no term "${term}": rule never fires` });
+      } else if (isZero(mf, v.range)) {
+        issues.push({
+          level: "warning",
+          message: `${key} ${term} is zero on ${v.range[0]}–${v.range[1]}: rule never fires`,
+        });
+      }
+    }
+    if ((r.weight ?? 1) === 0) issues.push({ level: "warning", message: "Weight 0: rule never fires" });
+
+    const key = antecedentKey(r);
+    const first = seen.get(key);
+    if (!first) {
+      seen.set(key, r);
+    } else if (first.consequent.CP === r.consequent.CP && first.consequent.GP === r.consequent.GP) {
+      issues.push({ level: "warning", message: `Duplicate of rule #${first.id}` });
+    } else {
+      issues.push({
+        level: "error",
+        message: `Contradicts rule #${first.id} (same conditions, different CP/GP)`,
+      });
+    }
+  }
+
+  // Комбінації термів без жодного правила; null — комбінацій забагато для перебору
+  const terms = variableTerms(variables, mfDefs);
+  const combinations = keys.reduce((acc, k) => acc * terms[k].length, 1);
+  let missing = null;
+  if (combinations <= COMBINATION_LIMIT) {
+    const patterns = [...seen.values()].map((r) => r.antecedent);
+    const covers = (pattern, antecedent) => keys.every((k) => !pattern[k] || pattern[k] === antecedent[k]);
+    missing = keys
+      .reduce((acc, k) => acc.flatMap((a) => terms[k].map((t) => ({ ...a, [k]: t }))), [{}])
+      .filter((antecedent) => !patterns.some((p) => covers(p, antecedent)));
+  }
+
+  return { rules: byRule, missing, combinations };
+}
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_MFS,
+  analyzeMembership,
+  analyzeRules,
+  analyzeVariable,
+  generateRuleBase,
+  validateMF,
+} from "./index.js";
+
+test("MF parameters are checked for ordering, range and NaN", () => {
+  assert.deepEqual(validateMF({ type: "tri", params: [10, 50, 90] }), []);
+  const swapped = validateMF({ type: "tri", params: [60, 50, 90] });
+  assert.equal(swapped[0].level, "error");
+  assert.equal(swapped[0].param, 1);
+  assert.match(swapped[0].message, /a > b/);
+  const outside = validateMF({ type: "trap", params: [-10, 0, 20, 40] });
+  assert.deepEqual(outside.map((i) => [i.level, i.param]), [["warning", 0]]);
+  assert.match(validateMF({ type: "gauss", params: [NaN, 50] })[0].message, /sigma is not a number/);
+  assert.match(validateMF({ type: "gauss", params: [0, 50] })[0].message, /sigma must be positive/);
+});
+
+test("coverage gaps and low-overlap regions are reported per variable", () => {
+  const full = analyzeVariable(DEFAULT_MFS.Load);
+  assert.deepEqual(full.gaps, []);
+  const gapped = analyzeVariable({
+    Low: { type: "tri", params: [0, 0, 30] },
+    High: { type: "tri", params: [60, 100, 100] },
+  });
+  assert.deepEqual(gapped.gaps, [{ from: 30, to: 60 }]);
+  assert.ok(gapped.weak.some((w) => w.to < 30));
+
+  const report = analyzeMembership({ Load: { Low: { type: "tri", params: [0, 0, 30] } } });
+  assert.equal(report.Load.issues[0].level, "error");
+  assert.match(report.Load.issues[0].message, /No term covers 30–100/);
+});
+
+test("rule analysis finds duplicates, contradictions, unreachable rules and gaps", () => {
+  const rules = generateRuleBase();
+  assert.deepEqual(analyzeRules(rules, DEFAULT_MFS).missing, []);
+
+  const edited = [
+    ...rules.slice(1),
+    { ...rules[1], id: 100 },
+    { ...rules[2], id: 101, consequent: { CP: "Low", GP: "Low" } },
+    { ...rules[3], id: 102, weight: 0 },
+    { ...rules[4], id: 103, antecedent: { ...rules[4].antecedent, SOC: "Huge" } },
+  ];
+  const report = analyzeRules(edited, DEFAULT_MFS);
+  assert.match(report.rules[100][0].message, /Duplicate of rule #2/);
+  assert.match(report.rules[101][0].message, /Contradicts rule #3/);
+  assert.match(report.rules[102][0].message, /Weight 0/);
+  assert.match(report.rules[103][0].message, /no term "Huge"/);
+  assert.deepEqual(report.missing, [rules[0].antecedent]);
+  assert.deepEqual(report.rules[5], []);
+});
+
+test("a term that is zero on the whole range makes its rules unreachable", () => {
+  const mfDefs = {
+    ...DEFAULT_MFS,
+    Temperature: { ...DEFAULT_MFS.Temperature, High: { type: "tri", params: [150, 160, 170] } },
+  };
+  const report = analyzeRules(generateRuleBase(), mfDefs);
+  const hot = generateRuleBase().find((r) => r.antecedent.Temp === "High");
+  assert.match(report.rules[hot.id].at(-1).message, /Temp High is zero on 0–100/);
+});
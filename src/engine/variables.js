@@ -0,0 +1,157 @@
+// Модель вхідних змінних контролера.
+// Змінна: ключ в антецеденті правила -> { name (ключ у mfDefs), source (сигнал симуляції), range }.
+// Терми змінної — це ключі mfDefs[name] у порядку від найменшого до найбільшого.
+
+// Сигнали симуляції, з яких беруться значення входів
+export const INPUT_SOURCES = {
+  soc: { label: "Battery SOC", unit: "%", range: [0, 100] },
+  soh: { label: "Battery SOH", unit: "%", range: [0, 100] },
+  load: { label: "Load", unit: "%", range: [0, 100] },
+  temp: { label: "Battery temperature", unit: "°C", range: [0, 100] },
+  pv: { label: "PV power", unit: "кВт", range: [0, 10] },
+  price: { label: "Electricity price", unit: "грн/кВт·год", range: [0, 10] },
+  hour: { label: "Time of day", unit: "год", range: [0, 24] },
+};
+
+export const DEFAULT_VARIABLES = {
+  SOC: { name: "SOC", source: "soc", range: [0, 100] },
+  SOH: { name: "SOH", source: "soh", range: [0, 100] },
+  Load: { name: "Load", source: "load", range: [0, 100] },
+  Temp: { name: "Temperature", source: "temp", range: [0, 100] },
+};
+
+// Стандартні назви для заданої кількості термів
+export const TERM_PRESETS = {
+  2: ["Low", "High"],
+  3: ["Low", "Medium", "High"],
+  4: ["VeryLow", "Low", "High", "VeryHigh"],
+  5: ["VeryLow", "Low", "Medium", "High", "VeryHigh"],
+  7: ["ExtremelyLow", "VeryLow", "Low", "Medium", "High", "VeryHigh", "ExtremelyHigh"],
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// Терми кожного входу: { key: [term, ...] }
+export function variableTerms(variables, mfDefs) {
+  return Object.fromEntries(
+    Object.entries(variables).map(([key, v]) => [key, Object.keys(mfDefs[v.name] ?? {})])
+  );
+}
+
+// Рівномірне розбиття діапазону: плечі на краях, трикутники посередині
+export function uniformTerms(names, [lo, hi]) {
+  const n = names.length;
+  if (n === 1) return { [names[0]]: { type: "trap", params: [lo, lo, hi, hi] } };
+  const step = (hi - lo) / (n - 1);
+  return Object.fromEntries(
+    names.map((term, i) => {
+      const c = lo + step * i;
+      let params;
+      if (i === 0) params = [lo, lo, lo, c + step];
+      else if (i === n - 1) params = [c - step, hi, hi, hi];
+      else params = [c - step, c, c + step];
+      return [term, { type: params.length === 4 ? "trap" : "tri", params: params.map(round2) }];
+    })
+  );
+}
+
+const termNames = (count) =>
+  TERM_PRESETS[count] ?? Array.from({ length: count }, (_, i) => `T${i + 1}`);
+
+// Нова змінна з рівномірними термами; ключ збігається з назвою
+export function addVariable({ variables, mfDefs }, { name, source, range, terms = 3 }) {
+  if (!/^\w+$/.test(name ?? "")) throw new Error("Variable name must use letters, digits or _");
+  if (variables[name] || mfDefs[name]) throw new Error(`Variable "${name}" already exists`);
+  if (!(range[0] < range[1])) throw new Error("Range minimum must be below its maximum");
+  return {
+    variables: { ...variables, [name]: { name, source, range } },
+    mfDefs: { ...mfDefs, [name]: uniformTerms(termNames(terms), range) },
+  };
+}
+
+// Вилучення змінної; у правилах вона стає "будь-яка"
+export function removeVariable({ variables, mfDefs, rules }, key) {
+  const { [key]: removed, ...rest } = variables;
+  const { [removed.name]: _defs, ...restDefs } = mfDefs;
+  return {
+    variables: rest,
+    mfDefs: restDefs,
+    rules: rules.map((r) => {
+      const { [key]: _term, ...antecedent } = r.antecedent;
+      return { ...r, antecedent };
+    }),
+  };
+}
+
+// Нова кількість термів: рівномірне розбиття з типовими назвами;
+// терми в правилах переносяться на найближчий за положенням новий терм
+export function setTermCount({ variables, mfDefs, rules = [] }, key, count) {
+  const v = variables[key];
+  const before = Object.keys(mfDefs[v.name] ?? {});
+  const after = termNames(count);
+  const remap = (term) => {
+    const i = before.indexOf(term);
+    if (i < 0) return term;
+    const pos = before.length > 1 ? i / (before.length - 1) : 0.5;
+    return after[Math.round(pos * (after.length - 1))];
+  };
+  return {
+    mfDefs: { ...mfDefs, [v.name]: uniformTerms(after, v.range) },
+    rules: rules.map((r) =>
+      r.antecedent[key] ? { ...r, antecedent: { ...r.antecedent, [key]: remap(r.antecedent[key]) } } : r
+    ),
+  };
+}
+
+// Новий терм-трикутник посередині діапазону
+export function addTerm({ variables, mfDefs }, key, term) {
+  const v = variables[key];
+  if (!/^\w+$/.test(term ?? "")) throw new Error("Term name must use letters, digits or _");
+  if (mfDefs[v.name]?.[term]) throw new Error(`Term "${term}" already exists`);
+  const [lo, hi] = v.range;
+  const params = [lo + (hi - lo) / 4, (lo + hi) / 2, hi - (hi - lo) / 4].map(round2);
+  return { ...mfDefs, [v.name]: { ...mfDefs[v.name], [term]: { type: "tri", params } } };
+}
+
+// Вилучення терму разом із правилами, що на нього посилаються (вони б ніколи не спрацювали)
+export function removeTerm({ variables, mfDefs, rules = [] }, key, term) {
+  const v = variables[key];
+  const { [term]: _removed, ...terms } = mfDefs[v.name];
+  return {
+    mfDefs: { ...mfDefs, [v.name]: terms },
+    rules: rules.filter((r) => r.antecedent[key] !== term),
+  };
+}
+
+// Новий діапазон: параметри положення термів масштабуються разом з ним
+export function setVariableRange({ variables, mfDefs }, key, range) {
+  if (!(range[0] < range[1])) throw new Error("Range minimum must be below its maximum");
+  const v = variables[key];
+  const [lo, hi] = v.range;
+  const scale = (x) => round2(range[0] + ((x - lo) / (hi - lo)) * (range[1] - range[0]));
+  const k = (range[1] - range[0]) / (hi - lo);
+  const terms = Object.fromEntries(
+    Object.entries(mfDefs[v.name]).map(([term, { type, params }]) => {
+      const next = {
+        gauss: () => [round2(params[0] * k), scale(params[1])],
+        gbell: () => [round2(params[0] * k), params[1], scale(params[2])],
+        sigmoid: () => [round2(params[0] / k), scale(params[1])],
+      }[type];
+      return [term, { type, params: next ? next() : params.map(scale) }];
+    })
+  );
+  return {
+    variables: { ...variables, [key]: { ...v, range } },
+    mfDefs: { ...mfDefs, [v.name]: terms },
+  };
+}
+
+// Значення входів з сигналів симуляції; непідключена змінна отримує середину діапазону
+export function variableInputs(variables, signals) {
+  return Object.fromEntries(
+    Object.entries(variables).map(([key, v]) => {
+      const value = signals[v.source];
+      return [key, value === undefined ? (v.range[0] + v.range[1]) / 2 : value];
+    })
+  );
+}
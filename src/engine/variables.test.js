@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_MFS,
+  DEFAULT_VARIABLES,
+  addTerm,
+  addVariable,
+  createController,
+  generateRuleBase,
+  removeTerm,
+  removeVariable,
+  setTermCount,
+  setVariableRange,
+  uniformTerms,
+  variableInputs,
+  variableTerms,
+} from "./index.js";
+
+const model = { variables: DEFAULT_VARIABLES, mfDefs: DEFAULT_MFS };
+
+test("uniformTerms splits the range into shoulders and triangles", () => {
+  const terms = uniformTerms(["Low", "Medium", "High"], [0, 10]);
+  assert.deepEqual(terms.Low, { type: "trap", params: [0, 0, 0, 5] });
+  assert.deepEqual(terms.Medium, { type: "tri", params: [0, 5, 10] });
+  assert.deepEqual(terms.High, { type: "trap", params: [5, 10, 10, 10] });
+});
+
+test("addVariable creates terms over its own range and rejects duplicates", () => {
+  const next = addVariable(model, { name: "Price", source: "price", range: [0, 10], terms: 5 });
+  assert.deepEqual(next.variables.Price, { name: "Price", source: "price", range: [0, 10] });
+  assert.deepEqual(variableTerms(next.variables, next.mfDefs).Price, [
+    "VeryLow",
+    "Low",
+    "Medium",
+    "High",
+    "VeryHigh",
+  ]);
+  assert.deepEqual(next.mfDefs.Price.Medium.params, [2.5, 5, 7.5]);
+  assert.throws(() => addVariable(next, { name: "Price", source: "price", range: [0, 10] }), /exists/);
+  assert.throws(() => addVariable(model, { name: "Hour", source: "hour", range: [24, 0] }), /Range/);
+});
+
+test("removeVariable turns the input into don't care in every rule", () => {
+  const rules = generateRuleBase();
+  const next = removeVariable({ ...model, rules }, "Temp");
+  assert.equal(next.variables.Temp, undefined);
+  assert.equal(next.mfDefs.Temperature, undefined);
+  assert.ok(next.rules.every((r) => !("Temp" in r.antecedent)));
+  const controller = createController(next);
+  assert.ok(Number.isFinite(controller.infer({ SOC: 40, SOH: 90, Load: 60 }).CP));
+});
+
+test("setVariableRange rescales term locations and widths", () => {
+  const mfDefs = {
+    ...DEFAULT_MFS,
+    Load: { ...DEFAULT_MFS.Load, Peak: { type: "gauss", params: [10, 80] } },
+  };
+  const next = setVariableRange({ variables: DEFAULT_VARIABLES, mfDefs }, "Load", [0, 10]);
+  assert.deepEqual(next.variables.Load.range, [0, 10]);
+  assert.deepEqual(next.mfDefs.Load.Peak.params, [1, 8]);
+  assert.deepEqual(
+    next.mfDefs.Load.Low.params,
+    DEFAULT_MFS.Load.Low.params.map((p) => p / 10)
+  );
+});
+
+test("generateRuleBase covers every combination of a custom term set", () => {
+  const { mfDefs } = setTermCount(model, "SOC", 5);
+  const rules = generateRuleBase(DEFAULT_VARIABLES, mfDefs);
+  assert.equal(rules.length, 5 * 3 * 3 * 3);
+  const nominal = { SOH: "Good", Load: "Low", Temp: "Normal" };
+  const consequent = (SOC) =>
+    rules.find((r) => Object.entries({ ...nominal, SOC }).every(([k, t]) => r.antecedent[k] === t))
+      .consequent;
+  assert.deepEqual(consequent("VeryLow"), { CP: "Low", GP: "High" });
+  assert.deepEqual(consequent("Medium"), { CP: "Medium", GP: "Medium" });
+  assert.deepEqual(consequent("VeryHigh"), { CP: "High", GP: "Low" });
+});
+
+test("variableInputs reads the connected signal or the range midpoint", () => {
+  const variables = {
+    SOC: DEFAULT_VARIABLES.SOC,
+    Hour: { name: "Hour", source: "hour", range: [0, 24] },
+  };
+  assert.deepEqual(variableInputs(variables, { soc: 40 }), { SOC: 40, Hour: 12 });
+});
+
+test("term edits keep the rule base consistent", () => {
+  const rules = generateRuleBase();
+  const five = setTermCount({ ...model, rules }, "SOC", 5);
+  assert.deepEqual(
+    [...new Set(five.rules.map((r) => r.antecedent.SOC))],
+    ["VeryLow", "Medium", "VeryHigh"]
+  );
+
+  const mfDefs = addTerm(model, "Load", "Peak");
+  assert.deepEqual(mfDefs.Load.Peak, { type: "tri", params: [25, 50, 75] });
+  assert.throws(() => addTerm(model, "Load", "High"), /exists/);
+
+  const fewer = removeTerm({ ...model, rules }, "Temp", "High");
+  assert.deepEqual(Object.keys(fewer.mfDefs.Temperature), ["Low", "Normal"]);
+  assert.equal(fewer.rules.length, 54);
+});
@@ -0,0 +1,9 @@
+// Збереження тексту у файл через тимчасове посилання; content — рядок або масив частин
+export function downloadFile(name, content, type = "application/json") {
+  const url = URL.createObjectURL(new Blob(Array.isArray(content) ? content : [content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
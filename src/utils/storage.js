@@ -0,0 +1,53 @@
+// Сховище браузера (IndexedDB): бібліотека сценаріїв та історія прогонів.
+// Записи зберігаються за полем id; підписники дізнаються про кожну зміну сховища.
+const DB_NAME = "deep-flc";
+const DB_VERSION = 1;
+export const STORES = { scenarios: "scenarios", runs: "runs" };
+
+const listeners = new Set();
+let opening = null;
+
+function openDB() {
+  opening ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      for (const name of Object.values(STORES)) {
+        if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, { keyPath: "id" });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      opening = null;
+      reject(req.error);
+    };
+  });
+  return opening;
+}
+
+async function run(store, mode, action) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = action(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export const listRecords = (store) => run(store, "readonly", (s) => s.getAll());
+
+export async function putRecord(store, record) {
+  await run(store, "readwrite", (s) => s.put(record));
+  listeners.forEach((listener) => listener(store));
+}
+
+export async function deleteRecord(store, id) {
+  await run(store, "readwrite", (s) => s.delete(id));
+  listeners.forEach((listener) => listener(store));
+}
+
+// Підписка на зміни; повертає функцію відписки
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,14 @@
+import { trainAnfis } from "../engine/anfis.js";
+
+// ANFIS-навчання поза головним потоком
+self.onmessage = ({ data }) => {
+  try {
+    const result = trainAnfis({
+      ...data,
+      onEpoch: (entry) => self.postMessage({ type: "epoch", entry }),
+    });
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,15 @@
+import { runBatch } from "../engine/batch.js";
+
+// Пакетна симуляція поза головним потоком; стовпці передаються без копіювання
+self.onmessage = ({ data }) => {
+  try {
+    const result = runBatch({
+      ...data,
+      onProgress: (done, total) => self.postMessage({ type: "progress", done, total }),
+    });
+    const buffers = Object.values(result.columns).map((c) => c.buffer);
+    self.postMessage({ type: "done", result }, buffers);
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,17 @@
+import { createForecaster, parseForecaster, trainForecaster } from "../engine/forecaster.js";
+
+// Навчання прогнозної мережі поза головним потоком
+self.onmessage = ({ data }) => {
+  const { model, config, histories, epochs, learningRate } = data;
+  try {
+    const net = model ? parseForecaster(model) : createForecaster(config);
+    trainForecaster(net, histories, {
+      epochs,
+      learningRate,
+      onEpoch: (epoch, loss) => self.postMessage({ type: "epoch", epoch, loss }),
+    });
+    self.postMessage({ type: "done", model: net });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,14 @@
+import { optimizeController } from "../engine/optimizer.js";
+
+// Метаевристичний пошук поза головним потоком
+self.onmessage = ({ data }) => {
+  try {
+    const result = optimizeController({
+      ...data,
+      onIteration: (entry) => self.postMessage({ type: "iteration", entry }),
+    });
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};